@@ -0,0 +1,80 @@
+// applicationPipeline.js - Application status state machine, status history and applicant notifications.
+
+import { publishEvent } from './notifications.js';
+
+export const APPLICATION_STATUSES = [
+    'Submitted',
+    'Under Review',
+    'Interview Needed',
+    'Needed to be Connected',
+    'Rejected',
+    'Hired',
+    'Withdrawn'
+];
+
+// Statuses reachable from each status. Rejected, Hired and Withdrawn are final.
+export const APPLICATION_STATUS_TRANSITIONS = {
+    'Submitted': ['Under Review', 'Interview Needed', 'Needed to be Connected', 'Rejected', 'Withdrawn'],
+    'Under Review': ['Interview Needed', 'Needed to be Connected', 'Rejected', 'Withdrawn'],
+    'Interview Needed': ['Needed to be Connected', 'Hired', 'Rejected', 'Withdrawn'],
+    'Needed to be Connected': ['Interview Needed', 'Hired', 'Rejected', 'Withdrawn'],
+    'Rejected': [],
+    'Hired': [],
+    'Withdrawn': []
+};
+
+// Only the applicant can withdraw; every other move belongs to the company that owns the job.
+const TALENT_STATUSES = ['Withdrawn'];
+
+export function canTransitionApplication(from, to, actorRole) {
+    if (!(APPLICATION_STATUS_TRANSITIONS[from] || []).includes(to)) return false;
+    return actorRole === 'talent' ? TALENT_STATUSES.includes(to) : !TALENT_STATUSES.includes(to);
+}
+
+// Moves an application to a new status, records the history row and notifies the other party.
+// The update is conditional on the current status, so two reviewers acting at once cannot both win.
+// Returns { application } or { status, error } for the caller to send.
+export async function transitionApplication(supabase, { application, job, toStatus, actorId, actorRole, note }) {
+    const fromStatus = application.status || 'Submitted';
+
+    if (!APPLICATION_STATUSES.includes(toStatus)) {
+        return { status: 400, error: `status must be one of: ${APPLICATION_STATUSES.join(', ')}.` };
+    }
+    if (!canTransitionApplication(fromStatus, toStatus, actorRole)) {
+        return { status: 409, error: `Cannot change an application from "${fromStatus}" to "${toStatus}".` };
+    }
+
+    const now = new Date().toISOString();
+    const { data: updated, error: updateError } = await supabase
+        .from('applications')
+        .update({ status: toStatus, status_updated_at: now })
+        .eq('id', application.id)
+        .eq('status', fromStatus)
+        .select('*');
+
+    if (updateError) {
+        console.error('Error updating application status:', updateError);
+        return { status: 500, error: 'Error updating application status' };
+    }
+    if (!updated || updated.length === 0) {
+        return { status: 409, error: 'The application status changed in the meantime. Reload and try again.' };
+    }
+
+    const { error: historyError } = await supabase
+        .from('application_status_history')
+        .insert([{
+            application_id: application.id,
+            from_status: fromStatus,
+            to_status: toStatus,
+            actor_id: actorId,
+            actor_role: actorRole,
+            note: note || null
+        }]);
+
+    if (historyError) console.error('Error recording application status history:', historyError);
+
+    // Tells the other party: the applicant for company actions, the company for withdrawals
+    await publishEvent(supabase, 'application.status_changed', { application, job, fromStatus, toStatus, actorRole });
+
+    return { application: updated[0] };
+}
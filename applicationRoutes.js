@@ -0,0 +1,607 @@
+// applicationRoutes.js - Handles the job application pipeline: company review and talent withdrawal.
+
+import express from 'express';
+import { createAuthenticate } from './auth.js';
+import { APPLICATION_STATUSES, transitionApplication } from './applicationPipeline.js';
+import { avatarUrlOf } from './profiles.js';
+
+const router = express.Router();
+
+// Rating criteria used when a job has not configured its own
+const DEFAULT_REVIEW_CRITERIA = ['Skills', 'Experience', 'Culture Fit', 'Communication'];
+const MAX_TAG_LENGTH = 32;
+const MAX_NOTE_LENGTH = 5000;
+
+// Application files live in a private bucket and are only handed out as short-lived signed URLs
+const APPLICATION_FILES_BUCKET = 'application_files';
+const SIGNED_URL_TTL_SECONDS = 300;
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH);
+
+const reviewCriteriaFor = (job) =>
+    Array.isArray(job.review_criteria) && job.review_criteria.length > 0 ? job.review_criteria : DEFAULT_REVIEW_CRITERIA;
+
+const formatNote = (note) => ({
+    id: note.id,
+    authorId: note.author_id,
+    body: note.body,
+    createdAt: note.created_at,
+    updatedAt: note.updated_at
+});
+
+// File answers point at the authorized download endpoint rather than at storage
+const formatContent = (app) => Object.fromEntries(Object.entries(app.content || {}).map(([key, entry]) => [
+    key,
+    entry && entry.storagePath
+        ? { type: entry.type, description: entry.description, name: entry.name, downloadPath: `/api/applications/${app.id}/files/${encodeURIComponent(key)}` }
+        : entry
+]));
+
+// Shapes an application row (plus the applicant's profile, when known) for the frontend
+const formatApplication = (app, profile) => ({
+    id: app.id,
+    jobId: app.job_id,
+    applicantId: app.user_id,
+    applicant: profile
+        ? { name: profile.name, profilePictureUrl: avatarUrlOf(profile), headline: profile.headline || null, skills: profile.skills || [] }
+        : null,
+    status: app.status || 'Submitted',
+    statusUpdatedAt: app.status_updated_at || null,
+    appliedAt: app.created_at,
+    content: formatContent(app)
+});
+
+// This function is designed to be called from your main server file,
+// where you will pass the initialized Supabase client.
+export default (supabase) => {
+
+    const authenticate = createAuthenticate(supabase, { withRole: true });
+
+    // Fetches an application with its job. Returns { application, job } or { status, error }.
+    async function fetchApplication(applicationId) {
+        const { data: application, error } = await supabase
+            .from('applications')
+            .select('*, jobs(id, user_id, job_title, company_name, review_criteria)')
+            .eq('id', applicationId)
+            .single();
+
+        if (error || !application || !application.jobs) {
+            return { status: 404, error: 'Application not found.' };
+        }
+        const { jobs: job, ...rest } = application;
+        return { application: rest, job };
+    }
+
+    // Same as fetchApplication, but only for the company that owns the job.
+    // Reviewer notes, ratings and tags go through this so they are never exposed to the applicant.
+    async function fetchReviewableApplication(applicationId, userId) {
+        const result = await fetchApplication(applicationId);
+        if (result.error) return result;
+        if (result.job.user_id !== userId) {
+            return { status: 403, error: 'Forbidden: Only the company that posted this job can review it.' };
+        }
+        return result;
+    }
+
+    // Loads tags and ratings for a set of applications.
+    // Returns a Map of application id -> { tags, averageRating, ratingCount, ratings }.
+    async function loadReviewSummaries(applicationIds) {
+        const summaries = new Map(applicationIds.map(id => [id, { tags: [], averageRating: null, ratingCount: 0, ratings: {} }]));
+        if (applicationIds.length === 0) return summaries;
+
+        const [{ data: tags, error: tagsError }, { data: ratings, error: ratingsError }] = await Promise.all([
+            supabase.from('application_tags').select('application_id, tag').in('application_id', applicationIds),
+            supabase.from('application_ratings').select('application_id, criterion, score').in('application_id', applicationIds)
+        ]);
+
+        if (tagsError) throw tagsError;
+        if (ratingsError) throw ratingsError;
+
+        tags.forEach(({ application_id, tag }) => summaries.get(application_id).tags.push(tag));
+
+        const totals = new Map();
+        ratings.forEach(({ application_id, criterion, score }) => {
+            const summary = summaries.get(application_id);
+            const total = totals.get(application_id) || { sum: 0, count: 0, byCriterion: {} };
+            total.sum += score;
+            total.count += 1;
+            const byCriterion = total.byCriterion[criterion] || { sum: 0, count: 0 };
+            byCriterion.sum += score;
+            byCriterion.count += 1;
+            total.byCriterion[criterion] = byCriterion;
+            totals.set(application_id, total);
+            summary.ratingCount = total.count;
+        });
+
+        for (const [applicationId, total] of totals) {
+            const summary = summaries.get(applicationId);
+            summary.averageRating = Math.round((total.sum / total.count) * 10) / 10;
+            for (const [criterion, { sum, count }] of Object.entries(total.byCriterion)) {
+                summary.ratings[criterion] = Math.round((sum / count) * 10) / 10;
+            }
+        }
+        return summaries;
+    }
+
+    // GET /api/applications/job/:jobId - List applications for one of the company's jobs
+    // Optional query params: status, tag, minRating (1-5, average across criteria and reviewers)
+    router.get('/job/:jobId', authenticate, async (req, res) => {
+        const { jobId } = req.params;
+        const { status } = req.query;
+        const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
+        const minRating = req.query.minRating !== undefined ? Number(req.query.minRating) : null;
+
+        if (status && !APPLICATION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${APPLICATION_STATUSES.join(', ')}.` });
+        }
+        if (minRating !== null && !(minRating >= 1 && minRating <= 5)) {
+            return res.status(400).json({ error: 'minRating must be a number between 1 and 5.' });
+        }
+
+        try {
+            const { data: job, error: jobError } = await supabase
+                .from('jobs')
+                .select('id, user_id')
+                .eq('id', jobId)
+                .single();
+
+            if (jobError || !job) {
+                return res.status(404).json({ error: 'Job not found.' });
+            }
+            if (job.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Forbidden: You can only view applications for your own jobs.' });
+            }
+
+            let query = supabase
+                .from('applications')
+                .select('*')
+                .eq('job_id', jobId)
+                .order('created_at', { ascending: false });
+            if (status) query = query.eq('status', status);
+
+            const { data: applications, error: fetchError } = await query;
+            if (fetchError) {
+                console.error('Supabase fetch job applications error:', fetchError);
+                return res.status(500).json({ error: 'Failed to fetch applications.' });
+            }
+
+            const applicantIds = [...new Set(applications.map(app => app.user_id))];
+            const profilesById = new Map();
+            if (applicantIds.length > 0) {
+                const { data: profiles, error: profilesError } = await supabase
+                    .from('profiles')
+                    .select('id, name, profile_picture_url, avatar_url, headline, skills')
+                    .in('id', applicantIds);
+
+                if (profilesError) console.error('Error fetching applicant profiles:', profilesError);
+                (profiles || []).forEach(profile => profilesById.set(profile.id, profile));
+            }
+
+            const summaries = await loadReviewSummaries(applications.map(app => app.id));
+
+            const filtered = applications.filter(app => {
+                const summary = summaries.get(app.id);
+                if (tag && !summary.tags.includes(tag)) return false;
+                if (minRating !== null && (summary.averageRating === null || summary.averageRating < minRating)) return false;
+                return true;
+            });
+
+            res.status(200).json(filtered.map(app => ({
+                ...formatApplication(app, profilesById.get(app.user_id)),
+                review: summaries.get(app.id)
+            })));
+
+        } catch (error) {
+            console.error('Error fetching job applications:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PUT /api/applications/job/:jobId/review-criteria - Configure the rating criteria for a job (job owner only)
+    // Body: { criteria: ['Skills', 'Experience', ...] }
+    router.put('/job/:jobId/review-criteria', authenticate, async (req, res) => {
+        const { criteria } = req.body;
+
+        if (!Array.isArray(criteria) || criteria.length === 0 || criteria.some(item => typeof item !== 'string' || !item.trim())) {
+            return res.status(400).json({ error: 'criteria must be a non-empty array of names.' });
+        }
+
+        try {
+            const { data: job, error: jobError } = await supabase
+                .from('jobs')
+                .select('id, user_id')
+                .eq('id', req.params.jobId)
+                .single();
+
+            if (jobError || !job) {
+                return res.status(404).json({ error: 'Job not found.' });
+            }
+            if (job.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Forbidden: You can only configure your own jobs.' });
+            }
+
+            const uniqueCriteria = [...new Set(criteria.map(item => item.trim()))];
+            const { error: updateError } = await supabase
+                .from('jobs')
+                .update({ review_criteria: uniqueCriteria })
+                .eq('id', job.id);
+
+            if (updateError) {
+                console.error('Error updating review criteria:', updateError);
+                return res.status(500).json({ error: 'Failed to update review criteria.' });
+            }
+
+            res.status(200).json({ message: 'Review criteria updated.', criteria: uniqueCriteria });
+
+        } catch (error) {
+            console.error('Error updating review criteria:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/applications/:applicationId - Application detail with status history
+    // Visible to the applicant and to the company that owns the job
+    router.get('/:applicationId', authenticate, async (req, res) => {
+        try {
+            const { application, job, status, error } = await fetchApplication(req.params.applicationId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (application.user_id !== req.user.id && job.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Forbidden: You cannot view this application.' });
+            }
+
+            const [{ data: profile }, { data: history, error: historyError }] = await Promise.all([
+                supabase.from('profiles').select('id, name, profile_picture_url, avatar_url, headline, skills, work_history, education').eq('id', application.user_id).single(),
+                supabase
+                    .from('application_status_history')
+                    .select('from_status, to_status, actor_id, actor_role, note, created_at')
+                    .eq('application_id', application.id)
+                    .order('created_at', { ascending: true })
+            ]);
+
+            if (historyError) {
+                console.error('Error fetching application status history:', historyError);
+                return res.status(500).json({ error: 'Failed to fetch application history.' });
+            }
+
+            // Reviewer feedback is private to the company
+            const review = job.user_id === req.user.id
+                ? { ...(await loadReviewSummaries([application.id])).get(application.id), criteria: reviewCriteriaFor(job) }
+                : undefined;
+
+            res.status(200).json({
+                ...formatApplication(application, profile),
+                jobTitle: job.job_title,
+                companyName: job.company_name,
+                applicantBackground: profile ? { workHistory: profile.work_history || [], education: profile.education || [] } : null,
+                review,
+                history: history.map(entry => ({
+                    fromStatus: entry.from_status,
+                    toStatus: entry.to_status,
+                    actorId: entry.actor_id,
+                    actorRole: entry.actor_role,
+                    note: entry.note,
+                    changedAt: entry.created_at
+                }))
+            });
+
+        } catch (error) {
+            console.error('Error fetching application:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/applications/:applicationId/files/:fileKey - Short-lived signed URL for an application file
+    // Only the applicant and the company that owns the job may read it. Optional query param: download=true
+    router.get('/:applicationId/files/:fileKey', authenticate, async (req, res) => {
+        try {
+            const { application, job, status, error } = await fetchApplication(req.params.applicationId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (application.user_id !== req.user.id && job.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Forbidden: You cannot access files for this application.' });
+            }
+
+            const entry = (application.content || {})[req.params.fileKey];
+            if (!entry || !entry.storagePath) {
+                return res.status(404).json({ error: 'File not found.' });
+            }
+
+            const { data, error: signError } = await supabase.storage
+                .from(APPLICATION_FILES_BUCKET)
+                .createSignedUrl(entry.storagePath, SIGNED_URL_TTL_SECONDS, req.query.download === 'true' ? { download: entry.name || true } : undefined);
+
+            if (signError || !data?.signedUrl) {
+                console.error('Error creating signed URL for application file:', signError);
+                return res.status(500).json({ error: 'Failed to generate file link.' });
+            }
+
+            res.status(200).json({ url: data.signedUrl, name: entry.name || null, expiresIn: SIGNED_URL_TTL_SECONDS });
+
+        } catch (error) {
+            console.error('Error generating application file link:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PATCH /api/applications/:applicationId/status - Move an application through the pipeline (job owner only)
+    // Body: { status, note }
+    router.patch('/:applicationId/status', authenticate, async (req, res) => {
+        const { status: newStatus, note } = req.body;
+
+        if (!newStatus) {
+            return res.status(400).json({ error: 'status is required.' });
+        }
+
+        try {
+            const { application, job, status, error } = await fetchApplication(req.params.applicationId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (req.userRole !== 'company' || job.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Forbidden: You are not authorized to update this application.' });
+            }
+
+            const result = await transitionApplication(supabase, {
+                application,
+                job,
+                toStatus: newStatus,
+                actorId: req.user.id,
+                actorRole: 'company',
+                note
+            });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            res.status(200).json({ message: 'Application status updated successfully', application: formatApplication(result.application) });
+
+        } catch (error) {
+            console.error('Error updating application status:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/applications/:applicationId/withdraw - Withdraw your own application
+    router.post('/:applicationId/withdraw', authenticate, async (req, res) => {
+        try {
+            const { application, job, status, error } = await fetchApplication(req.params.applicationId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (application.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Forbidden: You can only withdraw your own applications.' });
+            }
+
+            const result = await transitionApplication(supabase, {
+                application,
+                job,
+                toStatus: 'Withdrawn',
+                actorId: req.user.id,
+                actorRole: 'talent',
+                note: req.body?.reason
+            });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            res.status(200).json({ message: 'Application withdrawn.', application: formatApplication(result.application) });
+
+        } catch (error) {
+            console.error('Error withdrawing application:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/applications/:applicationId/notes - List reviewer notes (job owner only)
+    router.get('/:applicationId/notes', authenticate, async (req, res) => {
+        try {
+            const { application, status, error } = await fetchReviewableApplication(req.params.applicationId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const { data: notes, error: notesError } = await supabase
+                .from('application_notes')
+                .select('*')
+                .eq('application_id', application.id)
+                .order('created_at', { ascending: true });
+
+            if (notesError) {
+                console.error('Error fetching application notes:', notesError);
+                return res.status(500).json({ error: 'Failed to fetch notes.' });
+            }
+
+            res.status(200).json(notes.map(formatNote));
+
+        } catch (error) {
+            console.error('Error fetching application notes:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/applications/:applicationId/notes - Add a private reviewer note (job owner only)
+    // Body: { body }
+    router.post('/:applicationId/notes', authenticate, async (req, res) => {
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+        if (!body || body.length > MAX_NOTE_LENGTH) {
+            return res.status(400).json({ error: `Note body is required and must be at most ${MAX_NOTE_LENGTH} characters.` });
+        }
+
+        try {
+            const { application, status, error } = await fetchReviewableApplication(req.params.applicationId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const { data: note, error: insertError } = await supabase
+                .from('application_notes')
+                .insert([{ application_id: application.id, author_id: req.user.id, body }])
+                .select('*')
+                .single();
+
+            if (insertError) {
+                console.error('Error adding application note:', insertError);
+                return res.status(500).json({ error: 'Failed to add note.' });
+            }
+
+            res.status(201).json({ message: 'Note added.', note: formatNote(note) });
+
+        } catch (error) {
+            console.error('Error adding application note:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PATCH /api/applications/:applicationId/notes/:noteId - Edit one of your own notes
+    // Body: { body }
+    router.patch('/:applicationId/notes/:noteId', authenticate, async (req, res) => {
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+        if (!body || body.length > MAX_NOTE_LENGTH) {
+            return res.status(400).json({ error: `Note body is required and must be at most ${MAX_NOTE_LENGTH} characters.` });
+        }
+
+        try {
+            const { application, status, error } = await fetchReviewableApplication(req.params.applicationId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const { data: notes, error: updateError } = await supabase
+                .from('application_notes')
+                .update({ body, updated_at: new Date().toISOString() })
+                .eq('id', req.params.noteId)
+                .eq('application_id', application.id)
+                .eq('author_id', req.user.id)
+                .select('*');
+
+            if (updateError) {
+                console.error('Error editing application note:', updateError);
+                return res.status(500).json({ error: 'Failed to edit note.' });
+            }
+            if (!notes || notes.length === 0) {
+                return res.status(404).json({ error: 'Note not found.' });
+            }
+
+            res.status(200).json({ message: 'Note updated.', note: formatNote(notes[0]) });
+
+        } catch (error) {
+            console.error('Error editing application note:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PUT /api/applications/:applicationId/ratings - Set your 1-5 ratings for the job's criteria (job owner only)
+    // Body: { ratings: { 'Skills': 4, 'Communication': 5 } }
+    router.put('/:applicationId/ratings', authenticate, async (req, res) => {
+        const { ratings } = req.body;
+
+        if (!ratings || typeof ratings !== 'object' || Array.isArray(ratings) || Object.keys(ratings).length === 0) {
+            return res.status(400).json({ error: 'ratings must be an object of criterion -> score.' });
+        }
+
+        try {
+            const { application, job, status, error } = await fetchReviewableApplication(req.params.applicationId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const criteria = reviewCriteriaFor(job);
+            const rows = [];
+            for (const [criterion, score] of Object.entries(ratings)) {
+                if (!criteria.includes(criterion)) {
+                    return res.status(400).json({ error: `Unknown criterion "${criterion}". Valid criteria: ${criteria.join(', ')}.` });
+                }
+                if (!Number.isInteger(score) || score < 1 || score > 5) {
+                    return res.status(400).json({ error: `Rating for "${criterion}" must be a whole number from 1 to 5.` });
+                }
+                rows.push({ application_id: application.id, reviewer_id: req.user.id, criterion, score, updated_at: new Date().toISOString() });
+            }
+
+            const { error: upsertError } = await supabase
+                .from('application_ratings')
+                .upsert(rows, { onConflict: 'application_id,reviewer_id,criterion' });
+
+            if (upsertError) {
+                console.error('Error saving application ratings:', upsertError);
+                return res.status(500).json({ error: 'Failed to save ratings.' });
+            }
+
+            const summary = (await loadReviewSummaries([application.id])).get(application.id);
+            res.status(200).json({ message: 'Ratings saved.', averageRating: summary.averageRating, ratings: summary.ratings });
+
+        } catch (error) {
+            console.error('Error saving application ratings:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/applications/:applicationId/tags - Add tags to an application (job owner only)
+    // Body: { tags: ['strong-portfolio', 'relocating'] }
+    router.post('/:applicationId/tags', authenticate, async (req, res) => {
+        const { tags } = req.body;
+
+        if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+            return res.status(400).json({ error: 'tags must be a non-empty array of strings.' });
+        }
+
+        try {
+            const { application, status, error } = await fetchReviewableApplication(req.params.applicationId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const rows = [...new Set(tags.map(normalizeTag))]
+                .map(tag => ({ application_id: application.id, tag, created_by: req.user.id }));
+
+            const { error: upsertError } = await supabase
+                .from('application_tags')
+                .upsert(rows, { onConflict: 'application_id,tag', ignoreDuplicates: true });
+
+            if (upsertError) {
+                console.error('Error tagging application:', upsertError);
+                return res.status(500).json({ error: 'Failed to add tags.' });
+            }
+
+            const summary = (await loadReviewSummaries([application.id])).get(application.id);
+            res.status(200).json({ message: 'Tags added.', tags: summary.tags });
+
+        } catch (error) {
+            console.error('Error tagging application:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // DELETE /api/applications/:applicationId/tags/:tag - Remove a tag (job owner only)
+    router.delete('/:applicationId/tags/:tag', authenticate, async (req, res) => {
+        try {
+            const { application, status, error } = await fetchReviewableApplication(req.params.applicationId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const { error: deleteError } = await supabase
+                .from('application_tags')
+                .delete()
+                .eq('application_id', application.id)
+                .eq('tag', normalizeTag(req.params.tag));
+
+            if (deleteError) {
+                console.error('Error removing application tag:', deleteError);
+                return res.status(500).json({ error: 'Failed to remove tag.' });
+            }
+
+            res.status(200).json({ message: 'Tag removed.' });
+
+        } catch (error) {
+            console.error('Error removing application tag:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+};
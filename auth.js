@@ -0,0 +1,60 @@
+// auth.js - Request authentication shared by the route modules: bearer-token verification and role checks.
+
+import { fetchUserRole } from './profiles.js';
+
+const bearerToken = (req) => req.headers.authorization?.split(' ')[1];
+
+// Middleware that verifies the bearer token with Supabase and attaches the user to req.user.
+// With { withRole: true } it also loads the user's profile role into req.userRole.
+export function createAuthenticate(supabase, { withRole = false } = {}) {
+    return async (req, res, next) => {
+        const token = bearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Unauthorized: No token provided.' });
+        }
+
+        try {
+            const { data, error } = await supabase.auth.getUser(token);
+            if (error || !data?.user) {
+                return res.status(401).json({ error: 'Unauthorized: Invalid or expired token.' });
+            }
+
+            req.user = data.user;
+            if (withRole) req.userRole = await fetchUserRole(supabase, data.user.id);
+        } catch (error) {
+            console.error('Authentication failed:', error);
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+        next();
+    };
+}
+
+// Middleware that lets through only users whose profile role is `role`. Runs after authenticate.
+export function requireRole(supabase, role, message = 'Forbidden: Insufficient role.') {
+    return async (req, res, next) => {
+        try {
+            if (req.userRole === undefined) req.userRole = await fetchUserRole(supabase, req.user.id);
+        } catch (error) {
+            console.error('Role check failed:', error);
+            return res.status(500).json({ error: 'Internal server error.' });
+        }
+
+        if (req.userRole !== role) {
+            return res.status(403).json({ error: message });
+        }
+        next();
+    };
+}
+
+// The signed-in user on public routes, or null for anonymous requests and invalid tokens.
+export async function optionalUser(supabase, req) {
+    const token = bearerToken(req);
+    if (!token) return null;
+    try {
+        const { data, error } = await supabase.auth.getUser(token);
+        return error ? null : data?.user || null;
+    } catch (error) {
+        console.error('Authentication failed:', error);
+        return null;
+    }
+}
@@ -1,6 +1,7 @@
 // authRoutes.js - Handles all authentication-related API endpoints.
 
 import express from 'express';
+import { PROFILE_ROLES } from './profiles.js';
 
 const router = express.Router();
 
@@ -16,6 +17,9 @@ export default (supabase) => {
         if (!email || !password || !role) {
             return res.status(400).json({ error: 'Email, password, and role are required.' });
         }
+        if (!PROFILE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${PROFILE_ROLES.join(', ')}.` });
+        }
 
         try {
             // Create user in Supabase Auth
@@ -45,6 +49,18 @@ export default (supabase) => {
                     await supabase.auth.admin.deleteUser(user.id);
                     return res.status(500).json({ error: 'Error saving user profile.' });
                 }
+
+                // The profiles row is where the rest of the API reads the user's role, name and avatar
+                const { error: profileError } = await supabase
+                    .from('profiles')
+                    .upsert({ id: user.id, role: role }, { onConflict: 'id' });
+
+                if (profileError) {
+                    console.error('Supabase profile insert error:', profileError);
+                    await supabase.from('users').delete().eq('user_id', user.id);
+                    await supabase.auth.admin.deleteUser(user.id);
+                    return res.status(500).json({ error: 'Error saving user profile.' });
+                }
             }
 
 
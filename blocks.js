@@ -0,0 +1,41 @@
+// blocks.js - Block lookups. A block is respected in both directions, but only the blocker is told about it:
+// the blocked user gets the same responses they would get for a stranger or a user who doesn't exist.
+
+import { validate as isUuid } from 'uuid';
+
+// The users this user blocked, the users who blocked them, and both combined.
+// Returns { blockedByMe, blockedMe, all } (Sets of user ids) or { error }.
+export async function fetchBlockSets(supabase, userId) {
+    if (!isUuid(userId)) return { error: new Error('Invalid user id.') };
+
+    const { data, error } = await supabase
+        .from('blocked_users')
+        .select('blocker_id, blocked_id')
+        .or(`blocker_id.eq.${userId},blocked_id.eq.${userId}`);
+
+    if (error) {
+        console.error('Supabase fetch blocks error:', error);
+        return { error };
+    }
+
+    const blockedByMe = new Set(data.filter(row => row.blocker_id === userId).map(row => row.blocked_id));
+    const blockedMe = new Set(data.filter(row => row.blocked_id === userId).map(row => row.blocker_id));
+    return { blockedByMe, blockedMe, all: new Set([...blockedByMe, ...blockedMe]) };
+}
+
+// Whether either user has blocked the other. Returns { blocked, blockedByFirst } or { error }.
+export async function findBlockBetween(supabase, userA, userB) {
+    if (!isUuid(userA) || !isUuid(userB)) return { error: new Error('Invalid user id.') };
+
+    const results = await Promise.all([
+        supabase.from('blocked_users').select('blocker_id').match({ blocker_id: userA, blocked_id: userB }),
+        supabase.from('blocked_users').select('blocker_id').match({ blocker_id: userB, blocked_id: userA })
+    ]);
+    const error = results.find(result => result.error)?.error;
+    if (error) {
+        console.error('Supabase check block error:', error);
+        return { error };
+    }
+    const data = results.flatMap(result => result.data);
+    return { blocked: data.length > 0, blockedByFirst: data.some(row => row.blocker_id === userA) };
+}
@@ -0,0 +1,292 @@
+// chatHistory.js - Paged reads of chat history, threads and attachments, and full-text message search.
+// All of them hide what the viewer shouldn't see at query time (messages they deleted for themselves, senders they
+// blocked), so a page is never short because rows were filtered out afterwards.
+
+import { validate as isUuid } from 'uuid';
+import { fetchProfilesByIds } from './profiles.js';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+const SNIPPET_RADIUS = 60;
+const QUOTE_LENGTH = 100;
+
+export const parsePageSize = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Restricts a messages query to what the viewer may see
+const visibleTo = (query, viewerId, hiddenSenderIds) => {
+    query = query.or(`deleted_by.is.null,deleted_by.not.cs.{${viewerId}}`);
+    if (hiddenSenderIds.size > 0) {
+        query = query.not('sender_id', 'in', `(${[...hiddenSenderIds].join(',')})`);
+    }
+    return query;
+};
+
+// Keyset conditions on (created_at, id), so messages sharing a timestamp are neither skipped nor repeated across
+// pages. The cursor is a row read back from the database, never request input.
+const olderThanCursor = (query, cursor, inclusive = false) =>
+    query.or(`created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.${inclusive ? 'lte' : 'lt'}.${cursor.id})`);
+const newerThanCursor = (query, cursor) =>
+    query.or(`created_at.gt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.gt.${cursor.id})`);
+
+const newestFirst = (query) => query.order('created_at', { ascending: false }).order('id', { ascending: false });
+const oldestFirst = (query) => query.order('created_at', { ascending: true }).order('id', { ascending: true });
+
+const invalidCursor = (name) => ({ status: 400, error: `Invalid ${name} cursor.` });
+
+// Looks up a cursor message in the room. Returns { anchor } or { status, error }.
+async function fetchAnchor(supabase, chatId, messageId) {
+    const { data: anchor, error } = await supabase
+        .from('messages')
+        .select('id, created_at')
+        .eq('id', messageId)
+        .eq('chat_id', chatId)
+        .maybeSingle();
+    if (error) {
+        console.error('Error fetching cursor message:', error);
+        return { status: 500, error: 'Failed to fetch messages.' };
+    }
+    if (!anchor) return { status: 404, error: 'Message not found in this chat room.' };
+    return { anchor };
+}
+
+// One page of a room's history, oldest first.
+// options: { before, after, around } (message ids, at most one), limit, hiddenSenderIds.
+// Returns { messages, hasOlder, hasNewer } or { status, error }.
+export async function fetchMessagePage(supabase, chatId, viewerId, { before, after, around, limit = DEFAULT_PAGE_SIZE, hiddenSenderIds = new Set() } = {}) {
+    if ([before, after, around].filter(Boolean).length > 1) {
+        return { status: 400, error: 'Use only one of before, after or around.' };
+    }
+    const cursorId = before || after || around;
+    if (cursorId && !isUuid(cursorId)) return invalidCursor(before ? 'before' : after ? 'after' : 'around');
+
+    const base = () => visibleTo(supabase.from('messages').select('*').eq('chat_id', chatId), viewerId, hiddenSenderIds);
+
+    // Newest messages up to (and optionally including) the anchor message, returned oldest first
+    const olderThan = async (anchor, count, inclusive) => {
+        const query = anchor ? olderThanCursor(base(), anchor, inclusive) : base();
+        const { data, error } = await newestFirst(query).limit(count + 1);
+        if (error) throw error;
+        return { rows: data.slice(0, count).reverse(), more: data.length > count };
+    };
+    const newerThan = async (anchor, count) => {
+        const { data, error } = await oldestFirst(newerThanCursor(base(), anchor)).limit(count + 1);
+        if (error) throw error;
+        return { rows: data.slice(0, count), more: data.length > count };
+    };
+
+    try {
+        let anchor = null;
+        if (cursorId) {
+            const found = await fetchAnchor(supabase, chatId, cursorId);
+            if (found.error) return found;
+            anchor = found.anchor;
+        }
+
+        if (after) {
+            const newer = await newerThan(anchor, limit);
+            return { messages: newer.rows, hasOlder: true, hasNewer: newer.more };
+        }
+
+        if (around) {
+            // The target message plus roughly half a page on either side
+            const older = await olderThan(anchor, Math.ceil(limit / 2), true);
+            const newer = await newerThan(anchor, Math.floor(limit / 2));
+            return { messages: [...older.rows, ...newer.rows], hasOlder: older.more, hasNewer: newer.more };
+        }
+
+        const older = await olderThan(anchor, limit, false);
+        return { messages: older.rows, hasOlder: older.more, hasNewer: Boolean(before) };
+
+    } catch (error) {
+        console.error('Error fetching message page:', error);
+        return { status: 500, error: 'Failed to fetch messages.' };
+    }
+}
+
+// Replies in a thread (every message whose thread_root_id is the root), oldest first.
+// `after` is a message id cursor from the previous page. Returns { messages, hasMore } or { status, error }.
+export async function fetchThreadPage(supabase, root, viewerId, { after, limit = DEFAULT_PAGE_SIZE, hiddenSenderIds = new Set() } = {}) {
+    if (after && !isUuid(after)) return invalidCursor('after');
+
+    try {
+        let query = visibleTo(
+            supabase.from('messages').select('*').eq('chat_id', root.chat_id).eq('thread_root_id', root.id),
+            viewerId,
+            hiddenSenderIds
+        );
+
+        if (after) {
+            const found = await fetchAnchor(supabase, root.chat_id, after);
+            if (found.error) return found;
+            query = newerThanCursor(query, found.anchor);
+        }
+
+        const { data, error } = await oldestFirst(query).limit(limit + 1);
+        if (error) throw error;
+        return { messages: data.slice(0, limit), hasMore: data.length > limit };
+
+    } catch (error) {
+        console.error('Error fetching thread:', error);
+        return { status: 500, error: 'Failed to fetch thread.' };
+    }
+}
+
+// Number of visible replies in each thread started by one of the given messages. Returns { counts } or { error }.
+export async function fetchThreadReplyCounts(supabase, rootIds, viewerId, hiddenSenderIds = new Set()) {
+    const counts = new Map();
+    if (rootIds.length === 0) return { counts };
+
+    const { data, error } = await visibleTo(
+        supabase.from('messages').select('thread_root_id').in('thread_root_id', rootIds).is('deleted_at', null),
+        viewerId,
+        hiddenSenderIds
+    );
+    if (error) {
+        console.error('Error counting thread replies:', error);
+        return { error };
+    }
+    data.forEach(row => counts.set(row.thread_root_id, (counts.get(row.thread_root_id) || 0) + 1));
+    return { counts };
+}
+
+// The quoted message for each reply, as the viewer may see it: sender and a text snippet, or a tombstone when
+// the quoted message was deleted, hidden from the viewer or is missing. Returns { quotes: Map<id, quote> } or { error }.
+export async function fetchReplyQuotes(supabase, messages, viewerId, hiddenSenderIds = new Set()) {
+    const quotes = new Map();
+    const quotedIds = [...new Set(messages.map(msg => msg.reply_to_message_id).filter(Boolean))];
+    if (quotedIds.length === 0) return { quotes };
+
+    const { data, error } = await supabase
+        .from('messages')
+        .select('id, chat_id, sender_id, text, files_urls, deleted_at, deleted_by')
+        .in('id', quotedIds);
+    if (error) {
+        console.error('Error fetching quoted messages:', error);
+        return { error };
+    }
+
+    const profilesById = await fetchProfilesByIds(supabase, data.map(row => row.sender_id));
+    const rowsById = new Map(data.map(row => [row.id, row]));
+    const roomOf = new Map(messages.map(msg => [msg.reply_to_message_id, msg.chat_id]));
+
+    for (const id of quotedIds) {
+        const row = rowsById.get(id);
+        const hidden = !row
+            || row.chat_id !== roomOf.get(id)
+            || row.deleted_at
+            || (row.deleted_by || []).includes(viewerId)
+            || hiddenSenderIds.has(row.sender_id);
+        quotes.set(id, hidden
+            ? { messageId: id, isDeleted: true }
+            : {
+                messageId: id,
+                senderId: row.sender_id,
+                senderName: profilesById.get(row.sender_id)?.name || 'Unknown User',
+                snippet: row.text ? row.text.slice(0, QUOTE_LENGTH) : '',
+                hasFiles: (row.files_urls || []).length > 0,
+                isDeleted: false
+            });
+    }
+    return { quotes };
+}
+
+// A room's pinned messages the viewer can see, most recently pinned first. Returns { messages } or { status, error }.
+export async function fetchPinnedMessages(supabase, chatId, viewerId, { hiddenSenderIds = new Set() } = {}) {
+    const { data, error } = await visibleTo(
+        supabase.from('messages').select('*').eq('chat_id', chatId).eq('is_pinned', true).is('deleted_at', null),
+        viewerId,
+        hiddenSenderIds
+    ).order('pinned_at', { ascending: false, nullsFirst: false });
+
+    if (error) {
+        console.error('Error fetching pinned messages:', error);
+        return { status: 500, error: 'Failed to fetch pinned messages.' };
+    }
+    return { messages: data };
+}
+
+// Messages with attachments in a room, newest first, for the attachments gallery. `before` is a message id cursor.
+// Returns { messages, hasMore } or { status, error }.
+export async function fetchAttachmentMessages(supabase, chatId, viewerId, { before, limit = DEFAULT_PAGE_SIZE, hiddenSenderIds = new Set() } = {}) {
+    if (before && !isUuid(before)) return invalidCursor('before');
+
+    try {
+        let query = visibleTo(
+            supabase
+                .from('messages')
+                .select('id, chat_id, sender_id, files_urls, created_at')
+                .eq('chat_id', chatId)
+                .is('deleted_at', null)
+                .not('files_urls', 'is', null),
+            viewerId,
+            hiddenSenderIds
+        );
+
+        if (before) {
+            const found = await fetchAnchor(supabase, chatId, before);
+            if (found.error) return found;
+            query = olderThanCursor(query, found.anchor);
+        }
+
+        const { data, error } = await newestFirst(query).limit(limit + 1);
+        if (error) throw error;
+        return { messages: data.slice(0, limit), hasMore: data.length > limit };
+
+    } catch (error) {
+        console.error('Error fetching attachments:', error);
+        return { status: 500, error: 'Failed to fetch attachments.' };
+    }
+}
+
+// A short excerpt of the text around the first matched search term
+export function buildSnippet(text, searchQuery) {
+    if (!text) return '';
+    const terms = searchQuery.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const lower = text.toLowerCase();
+    const index = terms.map(term => lower.indexOf(term)).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+
+    const start = Math.max(0, index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, index + SNIPPET_RADIUS * 2);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Full-text search over the given rooms, newest first. `before` is a message id cursor from the previous page.
+// Returns { messages, hasMore } or { status, error }.
+export async function searchMessages(supabase, viewerId, { searchQuery, roomIds, before, limit = DEFAULT_PAGE_SIZE, hiddenSenderIds = new Set() }) {
+    if (before && !isUuid(before)) return invalidCursor('before');
+    if (roomIds.length === 0) return { messages: [], hasMore: false };
+
+    try {
+        let query = visibleTo(
+            supabase
+                .from('messages')
+                .select('*')
+                .in('chat_id', roomIds)
+                .is('deleted_at', null)
+                .eq('type', 'user')
+                .textSearch('search_vector', searchQuery, { type: 'websearch', config: 'simple' }),
+            viewerId,
+            hiddenSenderIds
+        );
+
+        if (before) {
+            const { data: cursor, error: cursorError } = await supabase
+                .from('messages')
+                .select('id, created_at')
+                .eq('id', before)
+                .in('chat_id', roomIds)
+                .maybeSingle();
+            if (cursorError) throw cursorError;
+            if (!cursor) return invalidCursor('before');
+            query = olderThanCursor(query, cursor);
+        }
+
+        const { data, error } = await newestFirst(query).limit(limit + 1);
+        if (error) throw error;
+        return { messages: data.slice(0, limit), hasMore: data.length > limit };
+
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        return { status: 500, error: 'Failed to search messages.' };
+    }
+}
@@ -0,0 +1,140 @@
+// chatMedia.js - Chat attachments: upload to the private chat_media bucket and signed URLs for participants.
+// messages.files_urls stores metadata and the storage path only; links are signed each time messages are read,
+// so they stop working shortly after a user leaves the room.
+
+import { v4 as uuidv4 } from 'uuid';
+import { UPLOAD_POLICIES, imageDimensions, inspectUpload } from './uploadPolicy.js';
+
+export const CHAT_MEDIA_BUCKET = 'chat_media';
+const SIGNED_URL_TTL_SECONDS = 3600;
+const THUMBNAIL_SIZE = 320;
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Older messages stored a public URL instead of the path
+export const storagePathOf = (file) => file.path || file.url?.split(`/public/${CHAT_MEDIA_BUCKET}/`)[1] || null;
+
+const isImage = (file) => IMAGE_MIME_TYPES.includes(file.type);
+
+// Checks and stores a message's attachments. All files are checked before any is stored, and stored files
+// are removed again if a later one fails. Returns { files } (metadata for files_urls) or { status, code, error }.
+export async function uploadChatFiles(supabase, { chatRoomId, senderId, files }) {
+    const policy = UPLOAD_POLICIES.chatMedia;
+    if (files.length > policy.maxFiles) {
+        return { status: 400, code: 'TOO_MANY_FILES', error: `A message can have at most ${policy.maxFiles} attachments.` };
+    }
+    const totalBytes = files.reduce((sum, file) => sum + file.buffer.length, 0);
+    if (totalBytes > policy.maxTotalBytes) {
+        return { status: 413, code: 'MESSAGE_TOO_LARGE', error: `Attachments can total at most ${policy.maxTotalBytes / (1024 * 1024)} MB per message.` };
+    }
+
+    const checkedFiles = [];
+    for (const rawFile of files) {
+        const inspection = await inspectUpload(supabase, rawFile, 'chatMedia', { userId: senderId });
+        if (inspection.error) {
+            return { status: inspection.status, code: inspection.code, error: inspection.error };
+        }
+        checkedFiles.push(inspection.file);
+    }
+
+    const stored = [];
+    for (const file of checkedFiles) {
+        const filePath = `${chatRoomId}/${senderId}/${uuidv4()}-${file.originalname}`; // Unique path within a chat room and user
+        const { error: uploadError } = await supabase.storage
+            .from(CHAT_MEDIA_BUCKET)
+            .upload(filePath, file.buffer, { contentType: file.mimetype, upsert: false });
+
+        if (uploadError) {
+            console.error('Error uploading file to Supabase Storage:', uploadError);
+            if (stored.length > 0) {
+                await supabase.storage.from(CHAT_MEDIA_BUCKET).remove(stored.map(entry => entry.path));
+            }
+            return { status: 500, code: 'UPLOAD_FAILED', error: `Failed to upload file ${file.originalname}.` };
+        }
+
+        const dimensions = isImage({ type: file.mimetype })
+            ? imageDimensions(file.buffer, file.mimetype.split('/')[1])
+            : null;
+        stored.push({
+            name: file.originalname,
+            type: file.mimetype,
+            size: file.buffer.length,
+            width: dimensions?.width || null,
+            height: dimensions?.height || null,
+            path: filePath
+        });
+    }
+    return { files: stored };
+}
+
+// Copies another message's attachments for a forwarded message, so each message owns its files.
+// Returns { files } or { error }; copies already made are removed again if one fails.
+export async function copyChatFiles(supabase, files, { chatRoomId, senderId }) {
+    const copied = [];
+    for (const file of files) {
+        const sourcePath = storagePathOf(file);
+        if (!sourcePath) continue;
+        const filePath = `${chatRoomId}/${senderId}/${uuidv4()}-${file.name}`;
+        const { error } = await supabase.storage.from(CHAT_MEDIA_BUCKET).copy(sourcePath, filePath);
+
+        if (error) {
+            console.error('Error copying chat attachment:', error);
+            if (copied.length > 0) {
+                await supabase.storage.from(CHAT_MEDIA_BUCKET).remove(copied.map(entry => entry.path));
+            }
+            return { error };
+        }
+        copied.push({
+            name: file.name,
+            type: file.type,
+            size: file.size ?? null,
+            width: file.width ?? null,
+            height: file.height ?? null,
+            path: filePath
+        });
+    }
+    return { files: copied };
+}
+
+// Replaces the stored attachment entries of formatted messages with what the client needs: metadata, a signed
+// URL and, for images, a signed thumbnail URL (resized by Supabase Storage image transformations).
+// Callers must only pass messages the viewer is allowed to see.
+export async function signMessageFiles(supabase, messages) {
+    const paths = [...new Set(messages.flatMap(msg => msg.files.map(storagePathOf)).filter(Boolean))];
+    if (paths.length === 0) {
+        return messages.map(msg => ({ ...msg, files: [] }));
+    }
+
+    const signed = new Map();
+    const { data, error } = await supabase.storage.from(CHAT_MEDIA_BUCKET).createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+    if (error) {
+        console.error('Error signing chat attachment URLs:', error);
+    } else {
+        data.filter(entry => entry.signedUrl).forEach(entry => signed.set(entry.path, entry.signedUrl));
+    }
+
+    const thumbnails = new Map();
+    const imagePaths = [...new Set(messages.flatMap(msg => msg.files.filter(isImage).map(storagePathOf)).filter(Boolean))];
+    await Promise.all(imagePaths.map(async (filePath) => {
+        const { data: thumbnail } = await supabase.storage
+            .from(CHAT_MEDIA_BUCKET)
+            .createSignedUrl(filePath, SIGNED_URL_TTL_SECONDS, { transform: { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, resize: 'contain' } });
+        if (thumbnail?.signedUrl) thumbnails.set(filePath, thumbnail.signedUrl);
+    }));
+
+    return messages.map(msg => ({
+        ...msg,
+        files: msg.files.map(file => {
+            const filePath = storagePathOf(file);
+            return {
+                name: file.name,
+                type: file.type,
+                size: file.size ?? null,
+                width: file.width ?? null,
+                height: file.height ?? null,
+                url: signed.get(filePath) || null,
+                thumbnailUrl: thumbnails.get(filePath) || null,
+                expiresIn: SIGNED_URL_TTL_SECONDS
+            };
+        })
+    }));
+}
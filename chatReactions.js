@@ -0,0 +1,74 @@
+// chatReactions.js - Emoji reactions on chat messages. One row per user, message and emoji; reacting again
+// with the same emoji removes it. Messages carry aggregated counts, not the list of who reacted.
+
+const MAX_EMOJI_LENGTH = 16;
+const EMOJI = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|[\u200d\ufe0f\u20e3\u{1f3fb}-\u{1f3ff}#*0-9])+$/u;
+
+// An emoji (including skin tones, flags and ZWJ sequences), or null
+export const cleanEmoji = (value) => {
+    if (typeof value !== 'string') return null;
+    const emoji = value.trim();
+    return emoji && emoji.length <= MAX_EMOJI_LENGTH && EMOJI.test(emoji) && /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(emoji)
+        ? emoji
+        : null;
+};
+
+// Adds the reaction, or removes it if the user already reacted with that emoji. Returns { added } or { error }.
+export async function toggleReaction(supabase, messageId, userId, emoji) {
+    const { data: removed, error: deleteError } = await supabase
+        .from('message_reactions')
+        .delete()
+        .eq('message_id', messageId)
+        .eq('user_id', userId)
+        .eq('emoji', emoji)
+        .select('emoji');
+
+    if (deleteError) {
+        console.error('Error removing reaction:', deleteError);
+        return { error: deleteError };
+    }
+    if (removed.length > 0) return { added: false };
+
+    const { error: insertError } = await supabase
+        .from('message_reactions')
+        .insert([{ message_id: messageId, user_id: userId, emoji }]);
+
+    // A concurrent request already added the same reaction
+    if (insertError && insertError.code !== '23505') {
+        console.error('Error adding reaction:', insertError);
+        return { error: insertError };
+    }
+    return { added: true };
+}
+
+// Aggregated reactions per message: Map<messageId, [{ emoji, count, reactedByMe }]>, in order of first use.
+// Reactions from hiddenUserIds (users the viewer blocked) are left out. Returns { reactions } or { error }.
+export async function fetchReactionSummaries(supabase, messageIds, viewerId, hiddenUserIds = new Set()) {
+    const reactions = new Map();
+    if (messageIds.length === 0) return { reactions };
+
+    const { data, error } = await supabase
+        .from('message_reactions')
+        .select('message_id, user_id, emoji, created_at')
+        .in('message_id', messageIds)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.error('Error fetching reactions:', error);
+        return { error };
+    }
+
+    for (const row of data) {
+        if (hiddenUserIds.has(row.user_id)) continue;
+        if (!reactions.has(row.message_id)) reactions.set(row.message_id, new Map());
+        const byEmoji = reactions.get(row.message_id);
+        const entry = byEmoji.get(row.emoji) || { emoji: row.emoji, count: 0, reactedByMe: false };
+        entry.count += 1;
+        entry.reactedByMe = entry.reactedByMe || row.user_id === viewerId;
+        byEmoji.set(row.emoji, entry);
+    }
+    for (const [messageId, byEmoji] of reactions) {
+        reactions.set(messageId, [...byEmoji.values()]);
+    }
+    return { reactions };
+}
@@ -0,0 +1,86 @@
+// chatReads.js - Read cursors for chat rooms: unread counts for the chat list and "seen" receipts for senders.
+// Each participant has one cursor per room (the newest message they've read). Cursors only move forward.
+
+// Unread message counts for every room the user is in. Returns { counts: Map<chatId, number> } or { error }.
+export async function fetchUnreadCounts(supabase, userId) {
+    const { data, error } = await supabase.rpc('chat_unread_counts', { p_user_id: userId });
+    if (error) {
+        console.error('Error fetching unread counts:', error);
+        return { error };
+    }
+    return { counts: new Map(data.map(row => [row.chat_id, Number(row.unread)])) };
+}
+
+// Every participant's cursor in a room. Returns { cursors: Map<userId, cursorRow> } or { error }.
+export async function fetchReadCursors(supabase, chatId) {
+    const { data, error } = await supabase
+        .from('chat_read_cursors')
+        .select('user_id, last_read_at, last_read_message_id')
+        .eq('chat_id', chatId);
+    if (error) {
+        console.error('Error fetching read cursors:', error);
+        return { error };
+    }
+    return { cursors: new Map(data.map(row => [row.user_id, row])) };
+}
+
+// Moves the user's cursor to the given message (or the room's newest message). A cursor never moves back,
+// so marking an older message read is a no-op. Returns { cursor, advanced } or { status, error }.
+export async function markRoomRead(supabase, chatId, userId, messageId = null) {
+    let query = supabase.from('messages').select('id, created_at').eq('chat_id', chatId);
+    query = messageId ? query.eq('id', messageId) : query.order('created_at', { ascending: false }).limit(1);
+    const { data: messages, error: messageError } = await query;
+
+    if (messageError) {
+        console.error('Error fetching message for read cursor:', messageError);
+        return { status: 500, error: 'Failed to mark chat as read.' };
+    }
+    const target = messages[0];
+    if (!target) {
+        return messageId ? { status: 404, error: 'Message not found in this chat room.' } : { cursor: null, advanced: false };
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+        .from('chat_read_cursors')
+        .select('last_read_at, last_read_message_id')
+        .eq('chat_id', chatId)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (fetchError) {
+        console.error('Error fetching read cursor:', fetchError);
+        return { status: 500, error: 'Failed to mark chat as read.' };
+    }
+    if (existing && new Date(existing.last_read_at) >= new Date(target.created_at)) {
+        return { cursor: existing, advanced: false };
+    }
+
+    const { data: cursor, error: upsertError } = await supabase
+        .from('chat_read_cursors')
+        .upsert({
+            chat_id: chatId,
+            user_id: userId,
+            last_read_at: target.created_at,
+            last_read_message_id: target.id,
+            updated_at: new Date().toISOString()
+        }, { onConflict: 'chat_id,user_id' })
+        .select('last_read_at, last_read_message_id')
+        .single();
+
+    if (upsertError) {
+        console.error('Error updating read cursor:', upsertError);
+        return { status: 500, error: 'Failed to mark chat as read.' };
+    }
+    return { cursor, advanced: true };
+}
+
+// Ids of the participants (other than the sender) whose cursor has reached a message
+export const seenByOf = (message, cursors, hiddenUserIds = new Set()) => {
+    const sentAt = new Date(message.created_at);
+    const seenBy = [];
+    for (const [userId, cursor] of cursors) {
+        if (userId === message.sender_id || hiddenUserIds.has(userId)) continue;
+        if (new Date(cursor.last_read_at) >= sentAt) seenBy.push(userId);
+    }
+    return seenBy;
+};
@@ -0,0 +1,398 @@
+// chatRoomRoutes.js - Group chat room details, settings and membership (admins and members).
+// Groups are created through POST /api/chat/create-chat-room; direct rooms have nothing to manage here.
+
+import express from 'express';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
+import { createAuthenticate } from './auth.js';
+import { createUpload, withUploadErrors, inspectUpload } from './uploadPolicy.js';
+import { fetchProfilesByIds, formatProfileSummary } from './profiles.js';
+import { canMessage } from './connections.js';
+import { fetchBlockSets } from './blocks.js';
+import { publishToRoom, publishToUser } from './realtime.js';
+import { fetchAttachmentMessages, parsePageSize } from './chatHistory.js';
+import { signMessageFiles } from './chatMedia.js';
+import {
+    MAX_GROUP_MEMBERS, ROOM_ROLES, cleanGroupName, fetchRoomForAdmin, fetchRoomForMember, formatMessage, isGroupRoom,
+    postSystemMessage, roomRoleOf
+} from './chatRooms.js';
+
+const router = express.Router();
+
+const AVATARS_BUCKET = 'avatars';
+const avatarUpload = withUploadErrors(createUpload('avatar').single('avatar'));
+const MEMBERSHIP_CONFLICT = 'The group changed in the meantime. Reload and try again.';
+
+// Postgres array literal for comparing a uuid[] column with eq()
+const arrayLiteral = (ids) => `{${ids.join(',')}}`;
+
+const formatRoom = (room, userId, profilesById, hiddenUserIds) => ({
+    id: room.id,
+    type: room.type || 'direct',
+    name: room.name || null,
+    avatarUrl: room.avatar_url || null,
+    createdBy: room.created_by || null,
+    myRole: isGroupRoom(room) ? roomRoleOf(room, userId) : null,
+    memberCount: room.participants.length,
+    members: room.participants
+        .filter(id => !hiddenUserIds.has(id))
+        .map(id => ({
+            ...(formatProfileSummary(profilesById.get(id)) || { id }),
+            roomRole: isGroupRoom(room) ? roomRoleOf(room, id) : null
+        }))
+});
+
+export default (supabase) => {
+
+    const authenticate = createAuthenticate(supabase);
+
+    const updateRoom = async (chatId, updates) => {
+        const { data, error } = await supabase
+            .from('chat_rooms')
+            .update(updates)
+            .eq('id', chatId)
+            .select('*')
+            .single();
+        if (error) {
+            console.error('Error updating chat room:', error);
+            throw error;
+        }
+        return data;
+    };
+
+    // Membership and admin changes are read-modify-write on arrays, so the update only applies while both arrays
+    // still hold what was read. Returns the updated room, or null if someone else changed the group in between.
+    const updateMembership = async (room, updates) => {
+        let query = supabase
+            .from('chat_rooms')
+            .update(updates)
+            .eq('id', room.id)
+            .eq('participants', arrayLiteral(room.participants));
+        query = room.admin_ids ? query.eq('admin_ids', arrayLiteral(room.admin_ids)) : query.is('admin_ids', null);
+
+        const { data, error } = await query.select('*');
+        if (error) {
+            console.error('Error updating chat room members:', error);
+            throw error;
+        }
+        return data[0] || null;
+    };
+
+    const roomResponse = async (room, userId) => {
+        const blocks = await fetchBlockSets(supabase, userId);
+        if (blocks.error) {
+            throw blocks.error;
+        }
+        const profilesById = await fetchProfilesByIds(supabase, room.participants);
+        return formatRoom(room, userId, profilesById, blocks.blockedByMe);
+    };
+
+    // GET /api/chat/rooms/:chatId - Room details with members and their roles
+    router.get('/:chatId', authenticate, async (req, res) => {
+        try {
+            const { room, status, error } = await fetchRoomForMember(supabase, req.params.chatId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json(await roomResponse(room, req.user.id));
+
+        } catch (error) {
+            console.error('Error fetching chat room:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/chat/rooms/:chatId/attachments - Files shared in a room, newest first, with signed URLs
+    // Query: kind ('image' or 'file', optional), before (message id cursor), limit (messages per page)
+    router.get('/:chatId/attachments', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const { kind, before } = req.query;
+
+        if (kind && !['image', 'file'].includes(kind)) {
+            return res.status(400).json({ error: 'kind must be "image" or "file".' });
+        }
+
+        try {
+            const { room, status, error } = await fetchRoomForMember(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+
+            const page = await fetchAttachmentMessages(supabase, room.id, userId, {
+                before, limit: parsePageSize(req.query.limit), hiddenSenderIds: blocks.blockedByMe
+            });
+            if (page.error) {
+                return res.status(page.status).json({ error: page.error });
+            }
+
+            const signed = await signMessageFiles(supabase, page.messages.map(formatMessage));
+            const attachments = signed.flatMap(msg => msg.files.map(file => ({
+                ...file,
+                messageId: msg.id,
+                senderId: msg.senderId,
+                sender: msg.senderId === userId ? 'my' : 'other',
+                time: msg.time
+            }))).filter(file => !kind || (kind === 'image') === file.type.startsWith('image/'));
+
+            res.status(200).json({
+                attachments,
+                hasMore: page.hasMore,
+                nextBefore: page.hasMore ? page.messages[page.messages.length - 1].id : null
+            });
+
+        } catch (error) {
+            console.error('Error fetching chat attachments:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PUT /api/chat/rooms/:chatId - Rename a group (admins only)
+    // Body: { name }
+    router.put('/:chatId', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const name = cleanGroupName(req.body.name);
+
+        if (!name) {
+            return res.status(400).json({ error: 'A group name is required.' });
+        }
+
+        try {
+            const { room, status, error } = await fetchRoomForAdmin(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (room.name === name) {
+                return res.status(200).json(await roomResponse(room, userId));
+            }
+
+            const updated = await updateRoom(room.id, { name });
+            await postSystemMessage(supabase, room.id, { action: 'room_renamed', actorId: userId, name });
+            publishToRoom(room.id, 'room.updated', { name, avatarUrl: updated.avatar_url || null });
+
+            res.status(200).json(await roomResponse(updated, userId));
+
+        } catch (error) {
+            console.error('Error renaming chat room:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/chat/rooms/:chatId/avatar - Upload a group photo (admins only, field name "avatar")
+    router.post('/:chatId/avatar', authenticate, avatarUpload, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'An image file is required (field name "avatar").' });
+            }
+
+            const { room, status, error } = await fetchRoomForAdmin(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const inspection = await inspectUpload(supabase, req.file, 'avatar', { userId });
+            if (inspection.error) {
+                return res.status(inspection.status).json({ code: inspection.code, error: inspection.error });
+            }
+
+            const filePath = `rooms/${room.id}/${uuidv4()}${inspection.extension}`;
+            const { error: uploadError } = await supabase.storage
+                .from(AVATARS_BUCKET)
+                .upload(filePath, inspection.file.buffer, { contentType: inspection.file.mimetype });
+
+            if (uploadError) {
+                console.error('Supabase room avatar upload error:', uploadError);
+                return res.status(500).json({ error: 'Failed to upload group photo.' });
+            }
+
+            const { data: publicUrlData } = supabase.storage.from(AVATARS_BUCKET).getPublicUrl(filePath);
+            const updated = await updateRoom(room.id, { avatar_url: publicUrlData.publicUrl });
+
+            // The previous photo is only removed once the room points at the new one
+            const previousPath = room.avatar_url?.split(`/public/${AVATARS_BUCKET}/`)[1];
+            if (previousPath && previousPath.startsWith(`rooms/${room.id}/`)) {
+                const { error: removeError } = await supabase.storage.from(AVATARS_BUCKET).remove([previousPath]);
+                if (removeError) console.warn('Could not delete old group photo:', removeError);
+            }
+
+            await postSystemMessage(supabase, room.id, { action: 'avatar_changed', actorId: userId });
+            publishToRoom(room.id, 'room.updated', { name: updated.name, avatarUrl: updated.avatar_url });
+
+            res.status(200).json(await roomResponse(updated, userId));
+
+        } catch (error) {
+            console.error('Error uploading group photo:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/chat/rooms/:chatId/members - Add members to a group (admins only)
+    // Body: { userIds }. Each new member needs a connection or an application with the admin adding them.
+    router.post('/:chatId/members', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const { userIds } = req.body;
+
+        if (!Array.isArray(userIds) || userIds.length === 0 || !userIds.every(isUuid)) {
+            return res.status(400).json({ error: 'userIds must be a non-empty array of user ids.' });
+        }
+
+        try {
+            const { room, status, error } = await fetchRoomForAdmin(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const newMemberIds = [...new Set(userIds.filter(id => !room.participants.includes(id)))];
+            if (newMemberIds.length === 0) {
+                return res.status(200).json(await roomResponse(room, userId));
+            }
+            if (room.participants.length + newMemberIds.length > MAX_GROUP_MEMBERS) {
+                return res.status(400).json({ error: `A group can have at most ${MAX_GROUP_MEMBERS} members.` });
+            }
+
+            for (const memberId of newMemberIds) {
+                const permission = await canMessage(supabase, userId, memberId);
+                if (!permission.allowed) {
+                    return res.status(permission.status).json({ error: permission.error, userId: memberId });
+                }
+            }
+
+            const updated = await updateMembership(room, { participants: [...room.participants, ...newMemberIds] });
+            if (!updated) {
+                return res.status(409).json({ error: MEMBERSHIP_CONFLICT });
+            }
+
+            for (const memberId of newMemberIds) {
+                publishToUser(memberId, 'room.created', { chatRoomId: room.id });
+            }
+            await postSystemMessage(supabase, room.id, { action: 'members_added', actorId: userId, userIds: newMemberIds });
+
+            res.status(200).json(await roomResponse(updated, userId));
+
+        } catch (error) {
+            console.error('Error adding chat room members:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // DELETE /api/chat/rooms/:chatId/members/:userId - Remove a member from a group (admins only)
+    router.delete('/:chatId/members/:userId', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const memberId = req.params.userId;
+
+        if (memberId === userId) {
+            return res.status(400).json({ error: 'Use POST /leave to leave a group.' });
+        }
+
+        try {
+            const { room, status, error } = await fetchRoomForAdmin(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (!room.participants.includes(memberId)) {
+                return res.status(404).json({ error: 'User is not a member of this group.' });
+            }
+
+            const updated = await updateMembership(room, {
+                participants: room.participants.filter(id => id !== memberId),
+                admin_ids: (room.admin_ids || []).filter(id => id !== memberId)
+            });
+            if (!updated) {
+                return res.status(409).json({ error: MEMBERSHIP_CONFLICT });
+            }
+
+            await postSystemMessage(supabase, room.id, { action: 'member_removed', actorId: userId, userIds: [memberId] });
+            publishToUser(memberId, 'room.removed', { chatRoomId: room.id });
+
+            res.status(200).json(await roomResponse(updated, userId));
+
+        } catch (error) {
+            console.error('Error removing chat room member:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PUT /api/chat/rooms/:chatId/members/:userId/role - Make a member an admin or back (admins only)
+    // Body: { role: 'admin' | 'member' }
+    router.put('/:chatId/members/:userId/role', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const memberId = req.params.userId;
+        const { role } = req.body;
+
+        if (!ROOM_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${ROOM_ROLES.join(', ')}.` });
+        }
+
+        try {
+            const { room, status, error } = await fetchRoomForAdmin(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (!room.participants.includes(memberId)) {
+                return res.status(404).json({ error: 'User is not a member of this group.' });
+            }
+            if (roomRoleOf(room, memberId) === role) {
+                return res.status(200).json(await roomResponse(room, userId));
+            }
+
+            const adminIds = room.admin_ids || [];
+            const newAdminIds = role === 'admin' ? [...adminIds, memberId] : adminIds.filter(id => id !== memberId);
+            if (newAdminIds.length === 0) {
+                return res.status(409).json({ error: 'A group needs at least one admin.' });
+            }
+
+            const updated = await updateMembership(room, { admin_ids: newAdminIds });
+            if (!updated) {
+                return res.status(409).json({ error: MEMBERSHIP_CONFLICT });
+            }
+            await postSystemMessage(supabase, room.id, { action: 'role_changed', actorId: userId, userIds: [memberId], role });
+
+            res.status(200).json(await roomResponse(updated, userId));
+
+        } catch (error) {
+            console.error('Error changing chat room role:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/chat/rooms/:chatId/leave - Leave a group
+    // If the last admin leaves, the longest-standing remaining member becomes admin.
+    router.post('/:chatId/leave', authenticate, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const { room, status, error } = await fetchRoomForMember(supabase, req.params.chatId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (!isGroupRoom(room)) {
+                return res.status(400).json({ error: 'You can only leave group rooms.' });
+            }
+
+            const participants = room.participants.filter(id => id !== userId);
+            let adminIds = (room.admin_ids || []).filter(id => id !== userId);
+            if (adminIds.length === 0 && participants.length > 0) {
+                adminIds = [participants[0]];
+            }
+
+            if (!await updateMembership(room, { participants, admin_ids: adminIds })) {
+                return res.status(409).json({ error: MEMBERSHIP_CONFLICT });
+            }
+            await postSystemMessage(supabase, room.id, { action: 'member_left', actorId: userId });
+            publishToUser(userId, 'room.removed', { chatRoomId: room.id });
+
+            res.status(200).json({ message: 'You left the group.' });
+
+        } catch (error) {
+            console.error('Error leaving chat room:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+};
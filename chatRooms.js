@@ -0,0 +1,142 @@
+// chatRooms.js - Chat room shapes and membership rules shared by the chat and room management routes.
+// A room is either 'direct' (exactly two participants) or 'group' (named, with admins and members).
+// chat_rooms.participants stays the membership list every query filters on; admin_ids marks the admins.
+
+import { fetchProfilesByIds } from './profiles.js';
+import { publishToRoom } from './realtime.js';
+
+export const ROOM_TYPES = ['direct', 'group'];
+export const ROOM_ROLES = ['admin', 'member'];
+export const MAX_GROUP_MEMBERS = 50;
+export const MAX_PINNED_MESSAGES = 10; // Per room
+const MAX_GROUP_NAME_LENGTH = 100;
+
+// How long after sending a message its sender may still edit it or delete it for everyone
+export const MESSAGE_EDIT_WINDOW_MINUTES = Number(process.env.CHAT_EDIT_WINDOW_MINUTES) || 15;
+
+// Shapes a messages row for the frontend. Viewer-relative fields (e.g. 'sender') are added by the caller,
+// since the same shape is also pushed to every participant over the realtime stream.
+export const formatMessage = (msg) => ({
+    id: msg.id,
+    chatId: msg.chat_id,
+    senderId: msg.sender_id, // Keep sender_id for potential frontend use (e.g., displaying sender name)
+    type: msg.type || 'user', // 'system' for membership changes and other room events
+    systemEvent: msg.system_event || null,
+    text: msg.deleted_at ? null : msg.text,
+    files: msg.deleted_at ? [] : msg.files_urls || [], // Use column name for file URLs (expected to be an array)
+    isDeleted: Boolean(msg.deleted_at), // Deleted for everyone (by the sender or a moderator)
+    replyTo: msg.reply_to_message_id ? { messageId: msg.reply_to_message_id } : null, // Structure for frontend reply display
+    threadRootId: msg.thread_root_id || null, // First message of the thread this reply belongs to
+    isForwarded: Boolean(msg.forwarded_from_message_id),
+    time: new Date(msg.created_at).toISOString(), // Use column name for timestamp
+    isEdited: msg.is_edited || false, // Use column name for edited status
+    editedAt: msg.edited_at || null,
+    isPinned: msg.is_pinned || false, // Use column name for pinned status
+    pinnedBy: msg.is_pinned ? msg.pinned_by || null : null,
+    pinnedAt: msg.is_pinned ? msg.pinned_at || null : null,
+});
+
+export const isGroupRoom = (room) => room.type === 'group';
+export const roomRoleOf = (room, userId) => ((room.admin_ids || []).includes(userId) ? 'admin' : 'member');
+
+export const cleanGroupName = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_GROUP_NAME_LENGTH) : null);
+
+// A room the user belongs to. Returns { room } or { status, error }; rooms the user isn't in look missing.
+export async function fetchRoomForMember(supabase, chatId, userId) {
+    const { data: room, error } = await supabase
+        .from('chat_rooms')
+        .select('*')
+        .eq('id', chatId)
+        .contains('participants', [userId])
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching chat room:', error);
+        return { status: 500, error: 'Failed to fetch chat room.' };
+    }
+    if (!room) return { status: 404, error: 'Chat room not found.' };
+    return { room };
+}
+
+// A message in a room the user belongs to, with its room's participants and type.
+// Returns { message } or { status, error }; messages in other rooms look missing.
+export async function fetchMessageForMember(supabase, messageId, userId) {
+    const { data: message, error } = await supabase
+        .from('messages')
+        .select('*, chat_rooms(participants, type)')
+        .eq('id', messageId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Error fetching message:', error);
+        return { status: 500, error: 'Failed to fetch message.' };
+    }
+    if (!message || !message.chat_rooms?.participants?.includes(userId)) {
+        return { status: 404, error: 'Message not found.' };
+    }
+    return { message };
+}
+
+export const isWithinEditWindow = (message, now = Date.now()) =>
+    now - new Date(message.created_at).getTime() <= MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+
+// The same room, but only if it's a group the user administers. Returns { room } or { status, error }.
+export async function fetchRoomForAdmin(supabase, chatId, userId) {
+    const { room, status, error } = await fetchRoomForMember(supabase, chatId, userId);
+    if (error) return { status, error };
+    if (!isGroupRoom(room)) return { status: 400, error: 'Only group rooms can be managed.' };
+    if (roomRoleOf(room, userId) !== 'admin') return { status: 403, error: 'Only room admins can do this.' };
+    return { room };
+}
+
+const describeSystemEvent = (event, nameOf) => {
+    const actor = nameOf(event.actorId);
+    const users = (event.userIds || []).map(nameOf).join(', ');
+    switch (event.action) {
+        case 'room_created': return `${actor} created the group "${event.name}"`;
+        case 'room_renamed': return `${actor} renamed the group to "${event.name}"`;
+        case 'avatar_changed': return `${actor} changed the group photo`;
+        case 'members_added': return `${actor} added ${users}`;
+        case 'member_removed': return `${actor} removed ${users}`;
+        case 'member_left': return `${actor} left the group`;
+        case 'role_changed': return `${actor} made ${users} ${event.role === 'admin' ? 'an admin' : 'a member'}`;
+        case 'message_pinned': return `${actor} pinned a message`;
+        case 'message_unpinned': return `${actor} unpinned a message`;
+        default: return `${actor} updated the group`;
+    }
+};
+
+// Records a room event (membership change, rename, ...) as a system message and pushes it to the room.
+// event: { action, actorId, userIds?, name?, role?, messageId? }. Failures are logged; the change itself already happened.
+export async function postSystemMessage(supabase, chatId, event) {
+    const profilesById = await fetchProfilesByIds(supabase, [event.actorId, ...(event.userIds || [])]);
+    const nameOf = (id) => profilesById.get(id)?.name || 'Someone';
+    const text = describeSystemEvent(event, nameOf);
+
+    const { data: message, error } = await supabase
+        .from('messages')
+        .insert([{
+            chat_id: chatId,
+            sender_id: event.actorId,
+            type: 'system',
+            system_event: event,
+            text,
+            is_edited: false,
+            is_pinned: false
+        }])
+        .select('*')
+        .single();
+
+    if (error) {
+        console.error('Error posting system message:', error);
+        return { error };
+    }
+
+    await supabase
+        .from('chat_rooms')
+        .update({ last_message: text.substring(0, 100), last_message_timestamp: new Date().toISOString() })
+        .eq('id', chatId);
+
+    publishToRoom(chatId, 'message.created', { message: formatMessage(message) });
+    return { message };
+}
@@ -1,29 +1,35 @@
 // chatRoutes.js - Handles all chat-related API endpoints.
 
 import express from 'express';
+import { validate as isUuid } from 'uuid';
+import { createAuthenticate } from './auth.js';
+import { createUpload, withUploadErrors } from './uploadPolicy.js';
+import { copyChatFiles, signMessageFiles, uploadChatFiles } from './chatMedia.js';
+import { fetchProfilesByIds, formatProfileSummary } from './profiles.js';
+import { canMessage, severConnection } from './connections.js';
+import { fetchBlockSets } from './blocks.js';
+import { deleteMessageForEveryone, fileReport } from './moderation.js';
+import { publishToRoom, publishToUser } from './realtime.js';
+import { publishEvent } from './notifications.js';
+import { fetchUnreadCounts, fetchReadCursors, markRoomRead, seenByOf } from './chatReads.js';
+import {
+    buildSnippet, fetchMessagePage, fetchPinnedMessages, fetchReplyQuotes, fetchThreadPage, fetchThreadReplyCounts, parsePageSize, searchMessages
+} from './chatHistory.js';
+import { cleanEmoji, fetchReactionSummaries, toggleReaction } from './chatReactions.js';
+import {
+    MAX_GROUP_MEMBERS, MAX_PINNED_MESSAGES, MESSAGE_EDIT_WINDOW_MINUTES, cleanGroupName, fetchMessageForMember, formatMessage, isGroupRoom,
+    isWithinEditWindow, postSystemMessage, roomRoleOf
+} from './chatRooms.js';
 
 const router = express.Router();
 
+const chatMediaUpload = withUploadErrors(createUpload('chatMedia').array('files'));
+const MAX_FORWARD_ROOMS = 5;
+
 export default (supabaseClient) => {
     const supabase = supabaseClient;
 
-    // Middleware to verify Supabase JWT token and attach user to request
-    const authenticate = async (req, res, next) => { // Renamed from authenticateFirebase
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ error: 'Unauthorized: No token provided.' });
-        }
-            // Use Supabase auth.getUser() to validate the JWT
-            const { data: { user }, error } = await supabase.auth.getUser(token);
-
-            if (error || !user) {
-                console.error('Supabase auth error:', error?.message);
-                return res.status(401).json({ error: 'Unauthorized: Invalid or expired token.' });
-            }
-
-            req.user = user; // Attach authenticated Supabase user object
-            next(); // Proceed to the next middleware or route handler
-    };
+    const authenticate = createAuthenticate(supabase);
 
     // Endpoint to validate token and return user info (for frontend authentication check)
     router.post('/check-status', authenticate, (req, res) => {
@@ -49,40 +55,104 @@ export default (supabaseClient) => {
                 throw chatRoomsError; // Re-throw to be caught by outer catch block
             }
 
+            // Direct rooms and requests involving a blocked user (in either direction) are hidden.
+            // Group rooms stay listed; messages from users the viewer blocked are hidden inside them instead.
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+
+            const unread = await fetchUnreadCounts(supabase, userId);
+            if (unread.error) {
+                throw unread.error;
+            }
+
             const transformedChatRooms = [];
+            const visibleRooms = chatRooms.filter(room => isGroupRoom(room) || !room.participants.some(id => blocks.all.has(id)));
+            const participantIds = visibleRooms.flatMap(room => room.participants.filter(id => id !== userId));
+            const profilesById = await fetchProfilesByIds(supabase, participantIds);
+
+            const participantSummary = (id) => {
+                const participant = formatProfileSummary(profilesById.get(id));
+                return {
+                    id,
+                    name: participant?.name || 'Unknown User', // Use fetched name or fallback
+                    role: participant?.role || null,
+                    headline: participant?.headline || null,
+                    profilePic: participant?.avatarUrl || `https://placehold.co/40x40/e2e8f0/000000?text=${participant?.name?.charAt(0) || 'U'}`, // Use fetched avatar or fallback
+                };
+            };
 
-            for (const room of chatRooms) {
-                const otherParticipantId = room.participants.find(id => id !== userId);
+            for (const room of visibleRooms) {
+                const common = {
+                    id: room.id,
+                    lastMessage: room.last_message || '', // Use column name from Supabase table
+                    time: room.last_message_timestamp ? new Date(room.last_message_timestamp).toISOString() : null, // Use column name from Supabase table
+                    unread: unread.counts.get(room.id) || 0 // Messages from others after the user's read cursor
+                };
 
-                if (otherParticipantId) {
-                    // Fetch the other participant's profile (assuming a 'profiles' table with 'id', 'name', 'avatar_url')
-                    const { data: otherParticipant, error: profileError } = await supabase
-                        .from('profiles')
-                        .select('id, name, avatar_url')
-                        .eq('id', otherParticipantId)
-                        .single(); // Get a single result or null/error
+                if (isGroupRoom(room)) {
+                    transformedChatRooms.push({
+                        ...common,
+                        type: 'group',
+                        name: room.name,
+                        avatarUrl: room.avatar_url || null,
+                        myRole: roomRoleOf(room, userId),
+                        memberCount: room.participants.length,
+                        participants: room.participants
+                            .filter(id => id !== userId && !blocks.blockedByMe.has(id))
+                            .map(id => ({ ...participantSummary(id), roomRole: roomRoleOf(room, id) }))
+                    });
+                    continue;
+                }
 
+                const otherParticipantId = room.participants.find(id => id !== userId);
+                if (otherParticipantId) {
                     // Construct chat room object
                     transformedChatRooms.push({
-                        id: room.id,
-                        otherParticipant: {
-                            id: otherParticipantId,
-                            name: otherParticipant?.name || 'Unknown User', // Use fetched name or fallback
-                            profilePic: otherParticipant?.avatar_url || `https://placehold.co/40x40/e2e8f0/000000?text=${otherParticipant?.name?.charAt(0) || 'U'}`, // Use fetched avatar_url or fallback
-                        },
-                        lastMessage: room.last_message || '', // Use column name from Supabase table
-                        time: room.last_message_timestamp ? new Date(room.last_message_timestamp).toISOString() : null, // Use column name from Supabase table
-                        // You might add logic here to calculate unread count for the current user from a separate table/logic
-                        unread: 0 // Placeholder
+                        ...common,
+                        type: 'direct',
+                        otherParticipant: participantSummary(otherParticipantId)
                     });
                 }
                 // If no other participant is found (e.g., error in data, or a solo room which shouldn't happen in this context),
                 // that room is effectively skipped from the list presented to the user.
             }
 
-            // In this simplified version, we treat all fetched rooms as 'connections'
-            // You would need separate logic/tables in Supabase to distinguish between 'connections' and 'requests'
-            res.status(200).json({ connections: transformedChatRooms, requests: [] }); // Return empty requests array for now
+            // Pending connection requests sent to the user are listed under "requests"
+            const { data: pendingRequests, error: requestsError } = await supabase
+                .from('connections')
+                .select('id, requester_id, message, created_at')
+                .eq('addressee_id', userId)
+                .eq('status', 'pending')
+                .order('created_at', { ascending: false });
+
+            if (requestsError) {
+                console.error('Error fetching connection requests from Supabase:', requestsError);
+                throw requestsError;
+            }
+
+            const visibleRequests = pendingRequests.filter(request => !blocks.all.has(request.requester_id));
+            const requesters = await fetchProfilesByIds(supabase, visibleRequests.map(request => request.requester_id));
+            const requests = visibleRequests.map(request => {
+                const requester = formatProfileSummary(requesters.get(request.requester_id));
+                return {
+                    id: request.id,
+                    type: 'connection_request',
+                    otherParticipant: {
+                        id: request.requester_id,
+                        name: requester?.name || 'Unknown User',
+                        role: requester?.role || null,
+                        headline: requester?.headline || null,
+                        profilePic: requester?.avatarUrl || `https://placehold.co/40x40/e2e8f0/000000?text=${requester?.name?.charAt(0) || 'U'}`,
+                    },
+                    lastMessage: request.message || '',
+                    time: new Date(request.created_at).toISOString(),
+                    unread: 0
+                };
+            });
+
+            res.status(200).json({ connections: transformedChatRooms, requests });
 
         } catch (error) {
             console.error('Error fetching chat connections:', error);
@@ -90,9 +160,12 @@ export default (supabaseClient) => {
         }
     });
 
-    // GET /api/chat/get-messages/:chatId - Get messages for a specific chat room
+    // GET /api/chat/get-messages/:chatId - Get a page of messages for a specific chat room, oldest first
+    // Query: before | after | around (message id), limit. Without a cursor the newest page is returned;
+    // "around" centres the page on a message, e.g. to jump to a reply or pinned message.
     router.get('/get-messages/:chatId', authenticate, async (req, res) => {
         const { chatId } = req.params;
+        const { before, after, around } = req.query;
         const userId = req.user.id; // Get user's ID from Supabase user object
 
         try {
@@ -109,37 +182,25 @@ export default (supabaseClient) => {
                 return res.status(403).json({ error: 'Forbidden: You are not a participant in this chat room.' });
             }
 
-            // Fetch messages from the 'messages' table for the given chat_id, ordered by timestamp
-            const { data: messages, error: messagesError } = await supabase
-                .from('messages')
-                .select('*')
-                .eq('chat_id', chatId) // Filter by chat room ID
-                .order('created_at', { ascending: true }); // Order by timestamp
-
-            if (messagesError) {
-                console.error('Error fetching messages from Supabase:', messagesError);
-                throw messagesError; // Re-throw to be caught by outer catch block
-            }
-
-            // Transform messages for the frontend, including sender context ('my' or 'other')
-            const transformedMessages = messages.map(msg => ({
-                id: msg.id,
-                chatId: msg.chat_id,
-                senderId: msg.sender_id, // Keep sender_id for potential frontend use (e.g., displaying sender name)
-                sender: msg.sender_id === userId ? 'my' : 'other', // Determine if the message is from the current user
-                text: msg.text,
-                files: msg.files_urls || [], // Use column name for file URLs (expected to be an array)
-                replyTo: msg.reply_to_message_id ? { messageId: msg.reply_to_message_id } : null, // Structure for frontend reply display
-                time: new Date(msg.created_at).toISOString(), // Use column name for timestamp
-                isEdited: msg.is_edited || false, // Use column name for edited status
-                isPinned: msg.is_pinned || false, // Use column name for pinned status
-            }));
-
-            // Filter out messages deleted by the current user
-            const filteredMessages = transformedMessages.filter(msg =>
-                !(msg.deleted_by && msg.deleted_by.includes(userId))
-            );
-            res.status(200).json(filteredMessages);
+            // Messages from users the viewer blocked are hidden from the viewer only
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+
+            // Messages the viewer deleted for themselves are filtered out by the query
+            const page = await fetchMessagePage(supabase, chatId, userId, {
+                before, after, around, limit: parsePageSize(req.query.limit), hiddenSenderIds: blocks.blockedByMe
+            });
+            if (page.error) {
+                return res.status(page.status).json({ error: page.error });
+            }
+
+            // Transform messages for the frontend, including sender context ('my' or 'other'), quoted replies,
+            // reactions, thread reply counts and "seen" receipts on the viewer's own messages
+            const transformedMessages = await decorateMessages(page.messages, userId, blocks);
+
+            res.status(200).json({ messages: transformedMessages, hasOlder: page.hasOlder, hasNewer: page.hasNewer });
 
         } catch (error) {
             console.error('Error fetching messages:', error);
@@ -147,11 +208,208 @@ export default (supabaseClient) => {
         }
     });
 
+    // GET /api/chat/search - Full-text search across every chat room the user is in
+    // Query: q, chatId (optional, limits the search to one room), before (message id cursor), limit
+    router.get('/search', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const searchQuery = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+        if (searchQuery.length < 2) {
+            return res.status(400).json({ error: 'Search query q must be at least 2 characters.' });
+        }
+
+        try {
+            let roomsQuery = supabase.from('chat_rooms').select('*').contains('participants', [userId]);
+            if (req.query.chatId) roomsQuery = roomsQuery.eq('id', req.query.chatId);
+            const { data: rooms, error: roomsError } = await roomsQuery;
+
+            if (roomsError) {
+                console.error('Error fetching chat rooms for search:', roomsError);
+                throw roomsError;
+            }
+
+            // Same visibility as the chat list: direct rooms with a block either way are left out
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+            const visibleRooms = rooms.filter(room => isGroupRoom(room) || !room.participants.some(id => blocks.all.has(id)));
+            const roomsById = new Map(visibleRooms.map(room => [room.id, room]));
+
+            const { messages, hasMore, status, error } = await searchMessages(supabase, userId, {
+                searchQuery,
+                roomIds: [...roomsById.keys()],
+                before: req.query.before,
+                limit: parsePageSize(req.query.limit),
+                hiddenSenderIds: blocks.blockedByMe
+            });
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const otherIds = visibleRooms.filter(room => !isGroupRoom(room)).map(room => room.participants.find(id => id !== userId));
+            const profilesById = await fetchProfilesByIds(supabase, [...otherIds, ...messages.map(msg => msg.sender_id)]);
+
+            const roomContext = (room) => {
+                if (isGroupRoom(room)) {
+                    return { id: room.id, type: 'group', name: room.name, avatarUrl: room.avatar_url || null };
+                }
+                const other = formatProfileSummary(profilesById.get(room.participants.find(id => id !== userId)));
+                return { id: room.id, type: 'direct', name: other?.name || 'Unknown User', avatarUrl: other?.avatarUrl || null };
+            };
+
+            res.status(200).json({
+                results: messages.map(msg => ({
+                    messageId: msg.id,
+                    snippet: buildSnippet(msg.text, searchQuery),
+                    time: new Date(msg.created_at).toISOString(),
+                    sender: msg.sender_id === userId ? 'my' : 'other',
+                    senderName: profilesById.get(msg.sender_id)?.name || 'Unknown User',
+                    room: roomContext(roomsById.get(msg.chat_id))
+                })),
+                hasMore,
+                nextBefore: hasMore ? messages[messages.length - 1].id : null
+            });
+
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // Checks the user may post in a room: they must be a participant, and in a direct room a block in either
+    // direction stops new messages (the wording doesn't say who blocked whom). Group rooms stay open; the blocker
+    // simply doesn't see the blocked user's messages. Returns { chatRoom, blocks } or { status, error }.
+    const checkCanPost = async (chatRoomId, senderId) => {
+        const { data: chatRoom, error: participantError } = await supabase
+            .from('chat_rooms')
+            .select('id, participants, type, name')
+            .eq('id', chatRoomId)
+            .contains('participants', [senderId])
+            .maybeSingle();
+
+        if (participantError || !chatRoom) {
+            console.error('Participant verification failed:', participantError?.message);
+            return { status: 403, error: 'Forbidden: You are not a participant in this chat room.' };
+        }
+
+        const blocks = await fetchBlockSets(supabase, senderId);
+        if (blocks.error) {
+            throw blocks.error;
+        }
+        if (!isGroupRoom(chatRoom) && chatRoom.participants.some(id => id !== senderId && blocks.all.has(id))) {
+            return { status: 403, error: 'You cannot send messages in this conversation.' };
+        }
+        return { chatRoom, blocks };
+    };
+
+    // Formats messages of one room for a viewer: signed attachment URLs, quoted replies, reactions, thread
+    // reply counts and, on the viewer's own messages, "seen" receipts.
+    const decorateMessages = async (rows, userId, blocks) => {
+        if (rows.length === 0) return [];
+        const ids = rows.map(msg => msg.id);
+
+        const [signed, { cursors, error: cursorsError }, quoted, reacted, threads] = await Promise.all([
+            signMessageFiles(supabase, rows.map(formatMessage)),
+            fetchReadCursors(supabase, rows[0].chat_id),
+            fetchReplyQuotes(supabase, rows, userId, blocks.blockedByMe),
+            fetchReactionSummaries(supabase, ids, userId, blocks.blockedByMe),
+            fetchThreadReplyCounts(supabase, ids, userId, blocks.blockedByMe)
+        ]);
+        const failed = cursorsError || quoted.error || reacted.error || threads.error;
+        if (failed) {
+            throw failed;
+        }
+
+        // Receipts from blocked users are left out
+        return rows.map((msg, index) => {
+            const formatted = {
+                ...signed[index],
+                sender: msg.sender_id === userId ? 'my' : 'other',
+                replyTo: msg.reply_to_message_id ? quoted.quotes.get(msg.reply_to_message_id) : null,
+                reactions: reacted.reactions.get(msg.id) || [],
+                threadReplyCount: threads.counts.get(msg.id) || 0
+            };
+            if (msg.sender_id === userId) {
+                formatted.seenBy = seenByOf(msg, cursors, blocks.all);
+                formatted.seen = formatted.seenBy.length > 0;
+            }
+            return formatted;
+        });
+    };
+
+    // Inserts a message, updates the room preview and the sender's read cursor, and pushes the message to the
+    // room. Returns the message formatted for the sender.
+    const createMessage = async ({ chatRoom, senderId, blocks, text, files, replyTo, forwardedFromId }) => {
+        const chatRoomId = chatRoom.id;
+        // Insert the new message into the 'messages' table
+        const newMessage = {
+            chat_id: chatRoomId,
+            sender_id: senderId,
+            text: text || null, // Allow messages with only files
+            files_urls: files.length > 0 ? files : null, // Store array of uploaded file metadata (name, type, size, dimensions, path)
+            reply_to_message_id: replyTo ? replyTo.id : null, // ID of the message being replied to
+            thread_root_id: replyTo ? replyTo.thread_root_id || replyTo.id : null, // Every reply in a thread points at its first message
+            forwarded_from_message_id: forwardedFromId || null,
+            // created_at column is automatically set by Supabase with a default timestamp
+            is_edited: false,
+            is_pinned: false,
+        };
+
+        const { data: insertedMessage, error: insertError } = await supabase
+            .from('messages')
+            .insert([newMessage])
+            .select('*') // Select the inserted row to return
+            .single(); // Expecting a single inserted row
+
+        if (insertError) {
+            console.error('Error inserting message into Supabase:', insertError);
+            throw insertError; // Re-throw to be caught by outer catch block
+        }
+
+        // Update the 'last_message' and 'last_message_timestamp' fields on the chat_rooms table
+        const { error: updateError } = await supabase
+            .from('chat_rooms')
+            .update({
+                last_message: text ? text.substring(0, 100) : (files.length > 0 ? `Sent ${files.length} file(s)` : ''), // Snippet or file indicator
+                last_message_timestamp: new Date().toISOString(), // Use current server time
+            })
+            .eq('id', chatRoomId);
+
+        if (updateError) {
+            console.error('Error updating chat room timestamp:', updateError);
+            // Log the error but still return success for the message send, as the message itself was saved.
+        }
+
+        // Sending a message means the sender has read the room up to it. Unread counts for the other
+        // participants come from their own read cursors, so nothing else needs updating.
+        const { error: cursorError } = await markRoomRead(supabase, chatRoomId, senderId, insertedMessage.id);
+        if (cursorError) {
+            console.error('Error advancing sender read cursor:', cursorError);
+        }
+
+        // Push the message to everyone in the room without the sender-relative fields
+        const [sentMessage] = await decorateMessages([insertedMessage], senderId, blocks);
+        const { sender, seen, seenBy, ...roomMessage } = sentMessage;
+        publishToRoom(chatRoomId, 'message.created', { message: roomMessage });
+
+        // Participants who aren't connected get a notification. Not awaited: publishEvent never throws, and the
+        // sender shouldn't wait for it.
+        fetchProfilesByIds(supabase, [senderId])
+            .then(profilesById => publishEvent(supabase, 'chat.message_sent', {
+                message: insertedMessage, room: chatRoom, senderName: profilesById.get(senderId)?.name
+            }))
+            .catch(error => console.error('Error publishing chat message notification:', error));
+
+        return sentMessage;
+    };
+
     // POST /api/chat/send-message - Send a new message (text and/or files)
-    router.post('/send-message', authenticate, async (req, res) => {
+    // Body: multipart/form-data with chatRoomId, text, replyToMessageId and up to 10 "files" (or JSON without files)
+    router.post('/send-message', authenticate, chatMediaUpload, async (req, res) => {
         const { chatRoomId, text, replyToMessageId } = req.body;
         const senderId = req.user.id; // Get sender's ID from authenticated Supabase user
-        const files = req.files; // Assuming 'req.files' is populated by a middleware like 'express-fileupload' or 'multer'
+        const files = req.files; // Populated by multer from the "files" field
 
         if (!chatRoomId || (!text && (!files || files.length === 0))) {
             return res.status(400).json({ error: 'chatRoomId is required.' });
@@ -159,139 +417,284 @@ export default (supabaseClient) => {
 
         try {
             // Verify that the user is a participant in the chat room before allowing message creation
-            const { count: participantCount, error: participantError } = await supabase
-                .from('chat_rooms')
-                .select('id', { count: 'exact' })
-                .eq('id', chatRoomId)
-                .contains('participants', [senderId]);
+            const { chatRoom, blocks, status, error } = await checkCanPost(chatRoomId, senderId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
 
-            if (participantError || participantCount === 0) {
-                console.error('Participant verification failed:', participantError?.message);
-                return res.status(403).json({ error: 'Forbidden: You are not a participant in this chat room.' });
+            // A reply must quote a message in the same room
+            let replyTo = null;
+            if (replyToMessageId) {
+                const { data: quoted, error: quotedError } = await supabase
+                    .from('messages')
+                    .select('id, thread_root_id')
+                    .eq('id', replyToMessageId)
+                    .eq('chat_id', chatRoom.id)
+                    .maybeSingle();
+
+                if (quotedError) {
+                    console.error('Error fetching replied-to message:', quotedError);
+                    throw quotedError;
+                }
+                if (!quoted) {
+                    return res.status(400).json({ error: 'replyToMessageId must be a message in this chat room.' });
+                }
+                replyTo = quoted;
             }
 
             // --- File Upload to Supabase Storage ---
-            const uploadedFilesUrls = [];
-            if (files && files.length > 0) {
-                for (const file of files) {
-                    const filePath = `${chatRoomId}/${senderId}/${Date.now()}-${file.originalname}`; // Unique path within a chat room and user
-                    
-                    const { data: uploadData, error: uploadError } = await supabase.storage
-                        .from('chat_media') // Assuming you have a bucket named 'chat_media'
-                        .upload(filePath, file.buffer, { // Use file.buffer if using multer, or file.data if using express-fileupload
-                            contentType: file.mimetype,
-                            upsert: false // Prevent overwriting
-                        });
-
-                    if (uploadError) {
-                        console.error('Error uploading file to Supabase Storage:', uploadError);
-                        // Depending on requirements, you might stop the process or continue without this file
-                        // For now, we'll throw an error to fail the message sending
-                        throw new Error(`Failed to upload file ${file.originalname}: ${uploadError.message}`);
-                    }
-
-                    // Get the public URL for the uploaded file
-                    const { data: publicUrlData } = supabase.storage
-                        .from('chat_media')
-                        .getPublicUrl(filePath);
-
-                    if (publicUrlData?.publicUrl) {
-                        uploadedFilesUrls.push({
-                            name: file.originalname,
-                            type: file.mimetype,
-                            url: publicUrlData.publicUrl
-                        });
-                    } else {
-                        console.warn('Could not get public URL for file:', filePath);
-                        // Handle case where public URL is not available immediately
-                    }
-                }
+            // Files go to the private chat_media bucket; participants get signed URLs when messages are read
+            const upload = await uploadChatFiles(supabase, { chatRoomId, senderId, files: files || [] });
+            if (upload.error) {
+                return res.status(upload.status).json({ code: upload.code, error: upload.error });
             }
             // --- End File Upload ---
 
-            // Insert the new message into the 'messages' table
-            // Assuming a 'messages' table with columns: id, chat_id, sender_id, text, files_urls (jsonb array), reply_to_message_id, created_at, is_edited, is_pinned
-            const newMessage = {
-                chat_id: chatRoomId,
-                sender_id: senderId,
-                text: text || null, // Allow messages with only files
-                files_urls: uploadedFilesUrls.length > 0 ? uploadedFilesUrls : null, // Store array of uploaded file metadata (name, type, url)
-                reply_to_message_id: replyToMessageId || null, // ID of the message being replied to
-                // created_at column is automatically set by Supabase with a default timestamp
-                is_edited: false,
-                is_pinned: false,
-            };
+            const sentMessage = await createMessage({ chatRoom, senderId, blocks, text, files: upload.files, replyTo });
 
-            const { data: insertedMessage, error: insertError } = await supabase
-                .from('messages')
-                .insert([newMessage])
-                .select('*') // Select the inserted row to return
-                .single(); // Expecting a single inserted row
+            // Return the newly created message data to the frontend
+            res.status(201).json({ message: 'Message sent successfully!', sentMessage });
 
-            if (insertError) {
-                console.error('Error inserting message into Supabase:', insertError);
-                throw insertError; // Re-throw to be caught by outer catch block
+        } catch (error) {
+            console.error('Error sending message:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/chat/messages/:messageId/forward - Forward a message into other rooms the user belongs to
+    // Body: { chatRoomIds }. Attachments are copied, so deleting the original doesn't remove them from the copies.
+    router.post('/messages/:messageId/forward', authenticate, async (req, res) => {
+        const { messageId } = req.params;
+        const { chatRoomIds } = req.body;
+        const userId = req.user.id;
+
+        if (!Array.isArray(chatRoomIds) || chatRoomIds.length === 0 || chatRoomIds.length > MAX_FORWARD_ROOMS) {
+            return res.status(400).json({ error: `chatRoomIds must list between 1 and ${MAX_FORWARD_ROOMS} chat rooms.` });
+        }
+
+        try {
+            const { message, status, error } = await fetchMessageForMember(supabase, messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
             }
 
-            // Update the 'last_message' and 'last_message_timestamp' fields on the chat_rooms table
-            const { error: updateError } = await supabase
-                .from('chat_rooms')
-                .update({
-                    last_message: text ? text.substring(0, 100) : (uploadedFilesUrls.length > 0 ? `Sent ${uploadedFilesUrls.length} file(s)` : ''), // Snippet or file indicator
-                    last_message_timestamp: new Date().toISOString(), // Use current server time
-                    // TODO: Add logic here to update 'unread_count' for other participants
-                })
-                .eq('id', chatRoomId);
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+            // Only content the user can currently see can be forwarded
+            if (message.deleted_at || message.type === 'system' || (message.deleted_by || []).includes(userId) || blocks.blockedByMe.has(message.sender_id)) {
+                return res.status(400).json({ error: 'This message cannot be forwarded.' });
+            }
 
-            if (updateError) {
-                console.error('Error updating chat room timestamp:', updateError);
-                // Log the error but still return success for the message send, as the message itself was saved.
+            // Check every target before posting to any of them
+            const targets = [];
+            for (const chatRoomId of [...new Set(chatRoomIds)]) {
+                const target = await checkCanPost(chatRoomId, userId);
+                if (target.error) {
+                    return res.status(target.status).json({ error: target.error, chatRoomId });
+                }
+                targets.push(target);
             }
 
-            // Return the newly created message data to the frontend
-            res.status(201).json({
-                message: 'Message sent successfully!',
-                sentMessage: {
-                    id: insertedMessage.id,
-                    chatId: insertedMessage.chat_id,
-                    senderId: insertedMessage.sender_id,
-                    sender: insertedMessage.sender_id === userId ? 'my' : 'other',
-                    text: insertedMessage.text,
-                    files: insertedMessage.files_urls || [],
-                    replyTo: insertedMessage.reply_to_message_id ? { messageId: insertedMessage.reply_to_message_id } : null,
-                    time: new Date(insertedMessage.created_at).toISOString(),
-                    isEdited: insertedMessage.is_edited,
-                    isPinned: insertedMessage.is_pinned,
+            const forwarded = [];
+            for (const { chatRoom } of targets) {
+                const copied = await copyChatFiles(supabase, message.files_urls || [], { chatRoomId: chatRoom.id, senderId: userId });
+                if (copied.error) {
+                    return res.status(500).json({ error: 'Failed to copy attachments.', forwarded });
+                }
+                forwarded.push(await createMessage({
+                    chatRoom, senderId: userId, blocks, text: message.text, files: copied.files, forwardedFromId: message.id
+                }));
+            }
+
+            res.status(201).json({ message: 'Message forwarded successfully.', forwarded });
+
+        } catch (error) {
+            console.error('Error forwarding message:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/chat/messages/:messageId/reactions - Add an emoji reaction, or remove it if already added
+    // Body: { emoji }
+    router.post('/messages/:messageId/reactions', authenticate, async (req, res) => {
+        const { messageId } = req.params;
+        const userId = req.user.id;
+        const emoji = cleanEmoji(req.body.emoji);
+
+        if (!emoji) {
+            return res.status(400).json({ error: 'A single emoji is required.' });
+        }
+
+        try {
+            const { message, status, error } = await fetchMessageForMember(supabase, messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (message.deleted_at || message.type === 'system') {
+                return res.status(400).json({ error: 'You cannot react to this message.' });
+            }
+
+            const { chatRoom, blocks, status: postStatus, error: postError } = await checkCanPost(message.chat_id, userId);
+            if (postError) {
+                return res.status(postStatus).json({ error: postError });
+            }
+
+            const { added, error: toggleError } = await toggleReaction(supabase, messageId, userId, emoji);
+            if (toggleError) {
+                throw toggleError;
+            }
+
+            publishToRoom(chatRoom.id, 'message.reaction', { messageId, userId, emoji, added });
+
+            const { reactions, error: summaryError } = await fetchReactionSummaries(supabase, [messageId], userId, blocks.blockedByMe);
+            if (summaryError) {
+                throw summaryError;
+            }
+            res.status(200).json({ added, reactions: reactions.get(messageId) || [] });
+
+        } catch (error) {
+            console.error('Error toggling reaction:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/chat/messages/:messageId/thread - A message and the replies in its thread, oldest first
+    // Query: after (message id cursor), limit
+    router.get('/messages/:messageId/thread', authenticate, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const { message, status, error } = await fetchMessageForMember(supabase, req.params.messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+
+            // Opening any reply shows the whole thread it belongs to
+            let root = message;
+            if (message.thread_root_id) {
+                const { data: rootMessage, error: rootError } = await supabase
+                    .from('messages')
+                    .select('*')
+                    .eq('id', message.thread_root_id)
+                    .maybeSingle();
+                if (rootError) {
+                    console.error('Error fetching thread root:', rootError);
+                    throw rootError;
                 }
+                root = rootMessage || message;
+            }
+
+            const page = await fetchThreadPage(supabase, root, userId, {
+                after: req.query.after, limit: parsePageSize(req.query.limit), hiddenSenderIds: blocks.blockedByMe
+            });
+            if (page.error) {
+                return res.status(page.status).json({ error: page.error });
+            }
+
+            const rootHidden = (root.deleted_by || []).includes(userId) || blocks.blockedByMe.has(root.sender_id);
+            const [decoratedRoot] = rootHidden ? [null] : await decorateMessages([root], userId, blocks);
+
+            res.status(200).json({
+                root: decoratedRoot || { id: root.id, isDeleted: true },
+                replies: await decorateMessages(page.messages, userId, blocks),
+                hasMore: page.hasMore
             });
 
         } catch (error) {
-            console.error('Error sending message:', error);
+            console.error('Error fetching thread:', error);
             res.status(500).json({ error: 'Internal server error.' });
         }
     });
 
+    // Creates a named group room with the creator as its admin. Every invitee needs a connection or an
+    // application with the creator, the same rule as starting a direct chat.
+    const createGroupRoom = async (req, res) => {
+        const userId = req.user.id;
+        const name = cleanGroupName(req.body.name);
+        if (!req.body.participantIds.every(isUuid)) {
+            return res.status(400).json({ error: 'participantIds must be user ids.' });
+        }
+        const memberIds = [...new Set(req.body.participantIds.filter(id => id !== userId))];
+
+        if (!name) {
+            return res.status(400).json({ error: 'A group name is required.' });
+        }
+        if (memberIds.length === 0 || memberIds.length + 1 > MAX_GROUP_MEMBERS) {
+            return res.status(400).json({ error: `A group needs between 2 and ${MAX_GROUP_MEMBERS} members including you.` });
+        }
+
+        for (const memberId of memberIds) {
+            const permission = await canMessage(supabase, userId, memberId);
+            if (!permission.allowed) {
+                return res.status(permission.status).json({ error: permission.error, userId: memberId });
+            }
+        }
+
+        const { data: insertedRoom, error: insertError } = await supabase
+            .from('chat_rooms')
+            .insert([{
+                type: 'group',
+                name,
+                participants: [userId, ...memberIds],
+                admin_ids: [userId],
+                created_by: userId,
+                last_message: '',
+                last_message_timestamp: new Date().toISOString()
+            }])
+            .select('id')
+            .single();
+
+        if (insertError) {
+            console.error('Error creating group chat room in Supabase:', insertError);
+            throw insertError;
+        }
+
+        for (const participantId of [userId, ...memberIds]) {
+            publishToUser(participantId, 'room.created', { chatRoomId: insertedRoom.id });
+        }
+        await postSystemMessage(supabase, insertedRoom.id, { action: 'room_created', actorId: userId, name });
+
+        res.status(201).json({ message: 'Group chat room created successfully.', chatRoomId: insertedRoom.id });
+    };
+
     // POST /api/chat/create-chat-room
+    // Body: { otherParticipantId } for a direct chat, or { name, participantIds } for a group
     router.post('/create-chat-room', authenticate, async (req, res) => {
         const { otherParticipantId } = req.body; // Changed variable name for clarity
         const userId = req.user.id; // Get current user's ID
 
-        if (!otherParticipantId || userId === otherParticipantId) {
+        if (Array.isArray(req.body.participantIds)) {
+            try {
+                return await createGroupRoom(req, res);
+            } catch (error) {
+                console.error('Error creating group chat room:', error);
+                return res.status(500).json({ error: 'Internal server error.' });
+            }
+        }
+
+        if (!isUuid(otherParticipantId) || userId === otherParticipantId) {
             return res.status(400).json({ error: 'Invalid otherParticipantId.' });
         }
 
         try {
-            // Check if a chat room already exists between these two users
-            // We need to find a room where the participants array contains *both* user IDs.
-            // Supabase's `contains` can check if an array column contains ALL the values in a provided array.
+            // Check if a direct chat room already exists between these two users.
+            // `contains` would also match any group both users are in, so only direct rooms are considered.
             const { data: existingRoom, error: existingRoomError } = await supabase
                 .from('chat_rooms')
                 .select('id')
+                .eq('type', 'direct')
                 .contains('participants', [userId, otherParticipantId])
                 .limit(1) // We only need to find one if it exists
-                .single(); // Get a single result or null/error
+                .maybeSingle();
 
-            if (existingRoomError && existingRoomError.code !== 'PGRST116') { // PGRST116 means 'The result contains 0 rows'
+            if (existingRoomError) {
                 console.error('Error checking for existing chat room:', existingRoomError);
                 throw existingRoomError;
             }
@@ -301,13 +704,19 @@ export default (supabaseClient) => {
                 return res.status(200).json({ message: 'Chat room already exists.', chatRoomId: existingRoom.id });
             }
 
+            // Strangers can't cold-message: a new room needs a connection or an application between the two users
+            const permission = await canMessage(supabase, userId, otherParticipantId);
+            if (!permission.allowed) {
+                return res.status(permission.status).json({ error: permission.error });
+            }
+
             // If no existing room, create a new one
             const newChatRoom = {
+                type: 'direct',
                 participants: [userId, otherParticipantId],
                 // created_at column is automatically set by Supabase
                 last_message: '', // Initialize
                 last_message_timestamp: new Date().toISOString(), // Initialize with current time
-                // TODO: Add columns/logic for unread counts, room type (e.g., direct, group), etc.
             };
 
             // Insert the new chat room into the 'chat_rooms' table
@@ -322,6 +731,11 @@ export default (supabaseClient) => {
                 throw insertError;
             }
 
+            // Open realtime streams subscribe to the new room when they hear about it
+            for (const participantId of newChatRoom.participants) {
+                publishToUser(participantId, 'room.created', { chatRoomId: insertedRoom.id });
+            }
+
             res.status(201).json({ message: 'Chat room created successfully.', chatRoomId: insertedRoom.id });
 
         } catch (error) {
@@ -330,34 +744,97 @@ export default (supabaseClient) => {
         }
     });
 
+    // POST /api/chat/mark-read/:chatId - Mark a chat room read up to a message
+    // Body: { messageId } (optional; defaults to the newest message in the room)
+    router.post('/mark-read/:chatId', authenticate, async (req, res) => {
+        const { chatId } = req.params;
+        const { messageId } = req.body || {};
+        const userId = req.user.id;
+
+        try {
+            const { data: chatRoom, error: roomError } = await supabase
+                .from('chat_rooms')
+                .select('id')
+                .eq('id', chatId)
+                .contains('participants', [userId])
+                .maybeSingle();
+
+            if (roomError || !chatRoom) {
+                return res.status(403).json({ error: 'Forbidden: You are not a participant in this chat room.' });
+            }
+
+            const { cursor, advanced, status, error } = await markRoomRead(supabase, chatId, userId, messageId || null);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            // Senders watching the room update their "seen" receipts
+            if (advanced) {
+                publishToRoom(chatId, 'room.read', { userId, lastReadAt: cursor.last_read_at, messageId: cursor.last_read_message_id });
+            }
+
+            const unread = await fetchUnreadCounts(supabase, userId);
+            res.status(200).json({
+                lastReadAt: cursor?.last_read_at || null,
+                lastReadMessageId: cursor?.last_read_message_id || null,
+                unread: unread.error ? null : unread.counts.get(chatId) || 0
+            });
+
+        } catch (error) {
+            console.error('Error marking chat as read:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
     // PUT /api/chat/edit-message/:messageId - Edit a message
+    // The previous text is kept in message_edits. Edits are refused once the edit window has passed.
     router.put('/edit-message/:messageId', authenticate, async (req, res) => {
         const { messageId } = req.params;
         const { newText } = req.body;
         const userId = req.user.id;
 
-        if (!newText) {
+        if (typeof newText !== 'string' || !newText.trim()) {
             return res.status(400).json({ error: 'newText is required.' });
         }
 
         try {
-            // Verify the message exists and the user is the sender
-            const { data: message, error: fetchError } = await supabase
-                .from('messages')
-                .select('id, sender_id')
-                .eq('id', messageId)
-                .eq('sender_id', userId) // Ensure the user is the sender
-                .single();
+            const { message, status, error } = await fetchMessageForMember(supabase, messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
 
-            if (fetchError || !message) {
-                console.error('Message fetch or sender verification failed:', fetchError?.message);
+            // Verify the user is the sender. System messages are attributed to the user who made the change
+            // but aren't theirs to edit.
+            if (message.sender_id !== userId || message.type === 'system') {
                 return res.status(403).json({ error: 'Forbidden: You can only edit your own messages.' });
             }
+            if (message.deleted_at) {
+                return res.status(409).json({ code: 'MESSAGE_DELETED', error: 'This message has been deleted.' });
+            }
+            if (!isWithinEditWindow(message)) {
+                return res.status(403).json({
+                    code: 'EDIT_WINDOW_EXPIRED',
+                    error: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending.`
+                });
+            }
+            if (message.text === newText) {
+                const [unchanged] = await signMessageFiles(supabase, [formatMessage(message)]);
+                return res.status(200).json({ message: 'Message unchanged.', updatedMessage: unchanged });
+            }
+
+            const { error: historyError } = await supabase
+                .from('message_edits')
+                .insert([{ message_id: messageId, editor_id: userId, previous_text: message.text }]);
+
+            if (historyError) {
+                console.error('Error saving message edit history:', historyError);
+                throw historyError;
+            }
 
             // Update the message
             const { data: updatedMessage, error: updateError } = await supabase
                 .from('messages')
-                .update({ text: newText, is_edited: true })
+                .update({ text: newText, is_edited: true, edited_at: new Date().toISOString() })
                 .eq('id', messageId)
                 .select('*') // Select the updated row
                 .single();
@@ -367,7 +844,10 @@ export default (supabaseClient) => {
                 throw updateError;
             }
 
-            res.status(200).json({ message: 'Message edited successfully.', updatedMessage });
+            const [formatted] = await signMessageFiles(supabase, [formatMessage(updatedMessage)]);
+            publishToRoom(updatedMessage.chat_id, 'message.updated', { message: formatted });
+
+            res.status(200).json({ message: 'Message edited successfully.', updatedMessage: formatted });
 
         } catch (error) {
             console.error('Error editing message:', error);
@@ -375,22 +855,82 @@ export default (supabaseClient) => {
         }
     });
 
+    // GET /api/chat/messages/:messageId/edits - Earlier versions of an edited message, oldest first
+    router.get('/messages/:messageId/edits', authenticate, async (req, res) => {
+        const { messageId } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const { message, status, error } = await fetchMessageForMember(supabase, messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            // Hidden messages (deleted for this user, or from a user they blocked) have no visible history either
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+            if ((message.deleted_by || []).includes(userId) || blocks.blockedByMe.has(message.sender_id)) {
+                return res.status(404).json({ error: 'Message not found.' });
+            }
+
+            const { data: edits, error: editsError } = await supabase
+                .from('message_edits')
+                .select('previous_text, created_at')
+                .eq('message_id', messageId)
+                .order('created_at', { ascending: true });
+
+            if (editsError) {
+                console.error('Error fetching message edit history:', editsError);
+                throw editsError;
+            }
+
+            res.status(200).json({
+                messageId,
+                currentText: message.deleted_at ? null : message.text,
+                edits: edits.map(edit => ({ text: edit.previous_text, replacedAt: edit.created_at }))
+            });
+
+        } catch (error) {
+            console.error('Error fetching message edit history:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
     // DELETE /api/chat/delete-message/:messageId - Delete a message for the current user
+    // Query: scope=everyone lets the sender delete the message for all participants within the edit window
     router.delete('/delete-message/:messageId', authenticate, async (req, res) => {
         const { messageId } = req.params;
         const userId = req.user.id;
+        const forEveryone = req.query.scope === 'everyone';
 
         try {
-            // Fetch the message to ensure it exists and get current deleted_by array
-            const { data: message, error: fetchError } = await supabase
-                .from('messages')
-                .select('id, deleted_by')
-                .eq('id', messageId)
-                .single();
+            // Fetch the message to ensure it exists in one of the user's rooms and get current deleted_by array
+            const { message, status, error } = await fetchMessageForMember(supabase, messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
 
-            if (fetchError || !message) {
-                console.error('Message fetch failed:', fetchError?.message);
-                return res.status(404).json({ error: 'Message not found.' });
+            if (forEveryone) {
+                if (message.sender_id !== userId || message.type === 'system') {
+                    return res.status(403).json({ error: 'Forbidden: You can only delete your own messages for everyone.' });
+                }
+                if (message.deleted_at) {
+                    return res.status(200).json({ message: 'Message already deleted for everyone.' });
+                }
+                if (!isWithinEditWindow(message)) {
+                    return res.status(403).json({
+                        code: 'EDIT_WINDOW_EXPIRED',
+                        error: `Messages can only be deleted for everyone within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending.`
+                    });
+                }
+
+                const { error: deleteError } = await deleteMessageForEveryone(supabase, message);
+                if (deleteError) {
+                    throw deleteError;
+                }
+                return res.status(200).json({ message: 'Message deleted for everyone.' });
             }
 
             // Add the current user's ID to the deleted_by array
@@ -411,6 +951,9 @@ export default (supabaseClient) => {
                 throw updateError;
             }
 
+            // Only the user's own open streams (e.g. other tabs or devices) need to drop the message
+            publishToUser(userId, 'message.hidden', { chatRoomId: message.chat_id, messageId });
+
             res.status(200).json({ message: 'Message deleted for this user successfully.' });
 
         } catch (error) {
@@ -420,6 +963,7 @@ export default (supabaseClient) => {
     });
 
     // PUT /api/chat/pin-message/:messageId - Pin or unpin a message
+    // Body: { pin }. Any participant may pin, up to MAX_PINNED_MESSAGES per room; the room gets a system message.
     router.put('/pin-message/:messageId', authenticate, async (req, res) => {
         const { messageId } = req.params;
         const { pin } = req.body; // Expect true to pin, false to unpin
@@ -431,25 +975,48 @@ export default (supabaseClient) => {
 
         try {
             // Verify the message exists and the user is a participant in the chat room
-            const { data: message, error: fetchError } = await supabase
-                .from('messages')
-                .select('id, chat_id')
-                .eq('id', messageId)
-                .single();
+            const { message, status, error } = await fetchMessageForMember(supabase, messageId, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (pin && (message.deleted_at || message.type === 'system')) {
+                return res.status(400).json({ error: 'This message cannot be pinned.' });
+            }
 
-            if (fetchError || !message) {
-                 console.error('Message fetch failed:', fetchError?.message);
-                 return res.status(404).json({ error: 'Message not found.' });
+            // Pinning announces itself in the room, so it follows the same rules as sending a message
+            const { status: postStatus, error: postError } = await checkCanPost(message.chat_id, userId);
+            if (postError) {
+                return res.status(postStatus).json({ error: postError });
             }
 
-             // You might want to add an extra check here to ensure the user is a participant
-             // in the chat room of the message. This would involve fetching the chat_room
-             // and checking the participants array, similar to the /get-messages endpoint.
+            if (Boolean(message.is_pinned) === pin) {
+                return res.status(200).json({ message: `Message is already ${pin ? 'pinned' : 'unpinned'}.` });
+            }
+
+            if (pin) {
+                const { count, error: countError } = await supabase
+                    .from('messages')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('chat_id', message.chat_id)
+                    .eq('is_pinned', true);
+
+                if (countError) {
+                    console.error('Error counting pinned messages:', countError);
+                    throw countError;
+                }
+                if (count >= MAX_PINNED_MESSAGES) {
+                    return res.status(409).json({
+                        code: 'PIN_LIMIT_REACHED',
+                        error: `A chat room can have at most ${MAX_PINNED_MESSAGES} pinned messages. Unpin one first.`
+                    });
+                }
+            }
 
             // Update the message's is_pinned status
+            const pinnedAt = pin ? new Date().toISOString() : null;
             const { error: updateError } = await supabase
                 .from('messages')
-                .update({ is_pinned: pin })
+                .update({ is_pinned: pin, pinned_by: pin ? userId : null, pinned_at: pinnedAt })
                 .eq('id', messageId);
 
             if (updateError) {
@@ -457,7 +1024,12 @@ export default (supabaseClient) => {
                 throw updateError;
             }
 
-            res.status(200).json({ message: `Message ${pin ? 'pinned' : 'unpinned'} successfully.` });
+            publishToRoom(message.chat_id, 'message.pinned', { messageId, isPinned: pin, pinnedBy: pin ? userId : null, pinnedAt });
+            await postSystemMessage(supabase, message.chat_id, {
+                action: pin ? 'message_pinned' : 'message_unpinned', actorId: userId, messageId
+            });
+
+            res.status(200).json({ message: `Message ${pin ? 'pinned' : 'unpinned'} successfully.`, pinnedBy: pin ? userId : null, pinnedAt });
 
         } catch (error) {
             console.error('Error pinning/unpinning message:', error);
@@ -465,27 +1037,65 @@ export default (supabaseClient) => {
         }
     });
 
+    // GET /api/chat/pinned-messages/:chatId - A room's pinned messages, most recently pinned first
+    router.get('/pinned-messages/:chatId', authenticate, async (req, res) => {
+        const { chatId } = req.params;
+        const userId = req.user.id;
+
+        try {
+            const { data: chatRoom, error: roomError } = await supabase
+                .from('chat_rooms')
+                .select('id')
+                .eq('id', chatId)
+                .contains('participants', [userId])
+                .maybeSingle();
+
+            if (roomError || !chatRoom) {
+                console.error('Chat room verification failed or room not found:', roomError?.message);
+                return res.status(403).json({ error: 'Forbidden: You are not a participant in this chat room.' });
+            }
+
+            // Same visibility as get-messages
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+            const { messages, status, error } = await fetchPinnedMessages(supabase, chatId, userId, { hiddenSenderIds: blocks.blockedByMe });
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            res.status(200).json({ messages: await decorateMessages(messages, userId, blocks), limit: MAX_PINNED_MESSAGES });
+
+        } catch (error) {
+            console.error('Error fetching pinned messages:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
     // POST /api/chat/block-user - Block a user
     router.post('/block-user', authenticate, async (req, res) => {
         const { blockedUserId } = req.body;
         const blockerId = req.user.id;
 
-        if (!blockedUserId || blockerId === blockedUserId) {
+        if (!isUuid(blockedUserId) || blockerId === blockedUserId) {
             return res.status(400).json({ error: 'Invalid blockedUserId.' });
         }
 
         try {
-            // Optional: Verify that both users exist in the 'profiles' table
-            // const { data: usersExist, error: usersExistError } = await supabase
-            //     .from('profiles')
-            //     .select('id')
-            //     .in('id', [blockerId, blockedUserId])
-            //     .then(({ data }) => ({ data, error: null })) // Simple check for both IDs existing
-
-            // if (usersExistError || !usersExist || usersExist.length !== 2) {
-            //     console.error('Error verifying users:', usersExistError?.message);
-            //     return res.status(404).json({ error: 'One or both users not found.' });
-            // }
+            const { data: blockedProfile, error: profileError } = await supabase
+                .from('profiles')
+                .select('id')
+                .eq('id', blockedUserId)
+                .maybeSingle();
+
+            if (profileError) {
+                console.error('Error verifying blocked user:', profileError);
+                throw profileError;
+            }
+            if (!blockedProfile) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
 
             // Check if the user is already blocked
             const { count: existingBlockCount, error: existingBlockError } = await supabase
@@ -513,6 +1123,9 @@ export default (supabaseClient) => {
                 throw insertError;
             }
 
+            // Blocking also ends any connection or pending request between the two users
+            await severConnection(supabase, blockerId, blockedUserId);
+
             res.status(201).json({ message: 'User blocked successfully.' });
 
         } catch (error) {
@@ -521,7 +1134,66 @@ export default (supabaseClient) => {
         }
     });
 
+    // POST /api/chat/unblock-user - Remove a block the user created
+    router.post('/unblock-user', authenticate, async (req, res) => {
+        const { blockedUserId } = req.body;
+        const blockerId = req.user.id;
+
+        if (!isUuid(blockedUserId)) {
+            return res.status(400).json({ error: 'Invalid blockedUserId.' });
+        }
+
+        try {
+            const { data: removed, error: deleteError } = await supabase
+                .from('blocked_users')
+                .delete()
+                .eq('blocker_id', blockerId)
+                .eq('blocked_id', blockedUserId)
+                .select('blocked_id');
+
+            if (deleteError) {
+                console.error('Error unblocking user:', deleteError);
+                throw deleteError;
+            }
+            if (removed.length === 0) {
+                return res.status(404).json({ error: 'User is not blocked.' });
+            }
+
+            res.status(200).json({ message: 'User unblocked successfully.' });
+
+        } catch (error) {
+            console.error('Error unblocking user:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/chat/blocked-users - Users the authenticated user has blocked
+    router.get('/blocked-users', authenticate, async (req, res) => {
+        try {
+            const { data: blocks, error: blocksError } = await supabase
+                .from('blocked_users')
+                .select('*')
+                .eq('blocker_id', req.user.id);
+
+            if (blocksError) {
+                console.error('Error fetching blocked users:', blocksError);
+                throw blocksError;
+            }
+
+            const profilesById = await fetchProfilesByIds(supabase, blocks.map(block => block.blocked_id));
+            res.status(200).json(blocks.map(block => ({
+                user: formatProfileSummary(profilesById.get(block.blocked_id)) || { id: block.blocked_id },
+                blockedAt: block.created_at || null
+            })));
+
+        } catch (error) {
+            console.error('Error fetching blocked users:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
     // POST /api/chat/report-item - Report a message or chat room
+    // Kept for the chat UI; reports on any item type go through POST /api/moderation/reports
     router.post('/report-item', authenticate, async (req, res) => {
         const { itemType, itemId, reason } = req.body;
         const reporterId = req.user.id;
@@ -531,18 +1203,9 @@ export default (supabaseClient) => {
         }
 
         try {
-            // Optional: Verify the existence and user's relation to the reported item
-            // - If itemType is 'message', check if the message exists and the reporter is in the chat room.
-            // - If itemType is 'chat', check if the chat room exists and the reporter is a participant.
-
-            // Insert into 'reports' table
-            const { error: insertError } = await supabase
-                .from('reports')
-                .insert([{ reporter_id: reporterId, item_type: itemType, item_id: itemId, reason: reason }]);
-
-            if (insertError) {
-                console.error('Error reporting item:', insertError);
-                throw insertError;
+            const { status, error } = await fileReport(supabase, { reporterId, itemType, itemId, reason });
+            if (error) {
+                return res.status(status).json({ error });
             }
 
             res.status(201).json({ message: `${itemType} reported successfully.` });
@@ -0,0 +1,440 @@
+// connectionRoutes.js - Handles connection requests, the user's network and "people you may know".
+
+import express from 'express';
+import { validate as isUuid } from 'uuid';
+import { createAuthenticate } from './auth.js';
+import { fetchConnectionGraph, findActiveConnection, mutualCount, otherParty } from './connections.js';
+import { fetchBlockSets, findBlockBetween } from './blocks.js';
+import { fetchProfile, fetchProfilesByIds, fetchUserRole, formatProfileSummary } from './profiles.js';
+import { publishEvent } from './notifications.js';
+
+const router = express.Router();
+
+const MAX_REQUEST_MESSAGE_LENGTH = 300;
+const DEFAULT_SUGGESTION_LIMIT = 10;
+const SUGGESTION_POOL_LIMIT = 50;
+
+// Suggestion scoring: each signal adds its weight to a candidate's score
+const SUGGESTION_WEIGHTS = { mutualConnection: 3, sharedIndustry: 2, application: 4 };
+
+const formatRequest = (row, profile, userId) => ({
+    id: row.id,
+    direction: row.requester_id === userId ? 'outgoing' : 'incoming',
+    user: formatProfileSummary(profile) || { id: otherParty(row, userId) },
+    message: row.message || null,
+    status: row.status,
+    createdAt: row.created_at,
+    respondedAt: row.responded_at || null
+});
+
+// This function is designed to be called from your main server file,
+// where you will pass the initialized Supabase client.
+export default (supabase) => {
+
+    const authenticate = createAuthenticate(supabase);
+
+    // Fetches a pending request addressed to or sent by the user. Returns { request } or { status, error }.
+    async function fetchPendingRequest(requestId, userId, side) {
+        if (!isUuid(requestId)) return { status: 404, error: 'Connection request not found.' };
+
+        const { data: request, error } = await supabase
+            .from('connections')
+            .select('*')
+            .eq('id', requestId)
+            .maybeSingle();
+
+        if (error) {
+            console.error('Supabase fetch connection request error:', error);
+            return { status: 500, error: 'Failed to fetch connection request.' };
+        }
+        const ownerId = side === 'addressee' ? request?.addressee_id : request?.requester_id;
+        if (!request || ownerId !== userId) return { status: 404, error: 'Connection request not found.' };
+        if (request.status !== 'pending') return { status: 409, error: `Connection request is already ${request.status}.` };
+        return { request };
+    }
+
+    // Moves a pending request to its final status. The status filter keeps two responses from both applying.
+    async function resolveRequest(request, status) {
+        const { data, error } = await supabase
+            .from('connections')
+            .update({ status, responded_at: new Date().toISOString() })
+            .eq('id', request.id)
+            .eq('status', 'pending')
+            .select('*')
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Supabase ${status} connection request error:`, error);
+            return { status: 500, error: 'Failed to update connection request.' };
+        }
+        if (!data) return { status: 409, error: 'Connection request was already answered.' };
+        return { request: data };
+    }
+
+    // GET /api/connections - The user's accepted connections, with mutual connection counts
+    router.get('/', authenticate, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const { data: rows, error: fetchError } = await supabase
+                .from('connections')
+                .select('id, requester_id, addressee_id, responded_at, created_at')
+                .eq('status', 'accepted')
+                .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+                .order('responded_at', { ascending: false });
+
+            if (fetchError) {
+                console.error('Supabase fetch connections error:', fetchError);
+                return res.status(500).json({ error: 'Failed to fetch connections.' });
+            }
+
+            const connectionIds = rows.map(row => otherParty(row, userId));
+            const [profilesById, { graph, error: graphError }] = await Promise.all([
+                fetchProfilesByIds(supabase, connectionIds),
+                fetchConnectionGraph(supabase, [userId, ...connectionIds])
+            ]);
+            if (graphError) {
+                return res.status(500).json({ error: 'Failed to fetch connections.' });
+            }
+
+            res.status(200).json(rows.map(row => {
+                const otherId = otherParty(row, userId);
+                return {
+                    connectionId: row.id,
+                    user: formatProfileSummary(profilesById.get(otherId)) || { id: otherId },
+                    connectedAt: row.responded_at || row.created_at,
+                    mutualConnections: mutualCount(graph, userId, otherId)
+                };
+            }));
+
+        } catch (error) {
+            console.error('Error fetching connections:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/connections/requests - Pending requests. Query: direction=incoming (default) | outgoing
+    router.get('/requests', authenticate, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const direction = req.query.direction === 'outgoing' ? 'outgoing' : 'incoming';
+
+            const { data: rows, error: fetchError } = await supabase
+                .from('connections')
+                .select('*')
+                .eq('status', 'pending')
+                .eq(direction === 'incoming' ? 'addressee_id' : 'requester_id', userId)
+                .order('created_at', { ascending: false });
+
+            if (fetchError) {
+                console.error('Supabase fetch connection requests error:', fetchError);
+                return res.status(500).json({ error: 'Failed to fetch connection requests.' });
+            }
+
+            const profilesById = await fetchProfilesByIds(supabase, rows.map(row => otherParty(row, userId)));
+            res.status(200).json(rows.map(row => formatRequest(row, profilesById.get(otherParty(row, userId)), userId)));
+
+        } catch (error) {
+            console.error('Error fetching connection requests:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/connections/requests - Send a connection request. Body: { userId, message? }
+    router.post('/requests', authenticate, async (req, res) => {
+        try {
+            const requesterId = req.user.id;
+            const { userId: addresseeId, message } = req.body;
+
+            if (!isUuid(addresseeId) || addresseeId === requesterId) {
+                return res.status(400).json({ error: 'A valid userId is required.' });
+            }
+            if (message !== undefined && (typeof message !== 'string' || message.length > MAX_REQUEST_MESSAGE_LENGTH)) {
+                return res.status(400).json({ error: `message must be text of at most ${MAX_REQUEST_MESSAGE_LENGTH} characters.` });
+            }
+
+            const { profile: addressee, status, error } = await fetchProfile(supabase, addresseeId);
+            if (error) {
+                return res.status(status).json({ error: status === 404 ? 'User not found.' : error });
+            }
+
+            // Someone who blocked the requester looks like a missing user; the blocker is told to unblock first
+            const block = await findBlockBetween(supabase, requesterId, addresseeId);
+            if (block.error) {
+                return res.status(500).json({ error: 'Failed to check existing connection.' });
+            }
+            if (block.blockedByFirst) {
+                return res.status(403).json({ code: 'USER_BLOCKED', error: 'You have blocked this user. Unblock them to connect.' });
+            }
+            if (block.blocked) {
+                return res.status(404).json({ error: 'User not found.' });
+            }
+
+            const { connection: existing, error: existingError } = await findActiveConnection(supabase, requesterId, addresseeId);
+            if (existingError) {
+                return res.status(500).json({ error: 'Failed to check existing connection.' });
+            }
+            if (existing) {
+                if (existing.status === 'accepted') {
+                    return res.status(409).json({ code: 'ALREADY_CONNECTED', error: 'You are already connected.' });
+                }
+                if (existing.requester_id === addresseeId) {
+                    return res.status(409).json({
+                        code: 'INCOMING_REQUEST_EXISTS',
+                        requestId: existing.id,
+                        error: 'This user has already sent you a connection request. Accept it instead.'
+                    });
+                }
+                return res.status(409).json({ code: 'REQUEST_PENDING', requestId: existing.id, error: 'Connection request already sent.' });
+            }
+
+            const { data: request, error: insertError } = await supabase
+                .from('connections')
+                .insert([{ requester_id: requesterId, addressee_id: addresseeId, message: message?.trim() || null, status: 'pending' }])
+                .select('*')
+                .single();
+
+            if (insertError) {
+                // The unique index on active pairs catches a request sent concurrently from the other side
+                if (insertError.code === '23505') {
+                    return res.status(409).json({ code: 'REQUEST_PENDING', error: 'A connection request between you already exists.' });
+                }
+                console.error('Supabase insert connection request error:', insertError);
+                return res.status(500).json({ error: 'Failed to send connection request.' });
+            }
+
+            const { profile: requester } = await fetchProfile(supabase, requesterId);
+            await publishEvent(supabase, 'connection.requested', { request, senderName: requester?.name });
+
+            res.status(201).json({ message: 'Connection request sent.', request: formatRequest(request, addressee, requesterId) });
+
+        } catch (error) {
+            console.error('Error sending connection request:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/connections/requests/:requestId/accept - Accept a request sent to the user
+    router.post('/requests/:requestId/accept', authenticate, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const pending = await fetchPendingRequest(req.params.requestId, userId, 'addressee');
+            if (pending.error) {
+                return res.status(pending.status).json({ error: pending.error });
+            }
+
+            const { request, status, error } = await resolveRequest(pending.request, 'accepted');
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const { profile: accepter } = await fetchProfile(supabase, userId);
+            await publishEvent(supabase, 'connection.accepted', { request, senderName: accepter?.name });
+
+            res.status(200).json({ message: 'Connection request accepted.', request: formatRequest(request, null, userId) });
+
+        } catch (error) {
+            console.error('Error accepting connection request:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/connections/requests/:requestId/decline - Decline a request sent to the user
+    router.post('/requests/:requestId/decline', authenticate, async (req, res) => {
+        try {
+            const pending = await fetchPendingRequest(req.params.requestId, req.user.id, 'addressee');
+            if (pending.error) {
+                return res.status(pending.status).json({ error: pending.error });
+            }
+
+            const { request, status, error } = await resolveRequest(pending.request, 'declined');
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json({ message: 'Connection request declined.', request: formatRequest(request, null, req.user.id) });
+
+        } catch (error) {
+            console.error('Error declining connection request:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // DELETE /api/connections/requests/:requestId - Withdraw a request the user sent
+    router.delete('/requests/:requestId', authenticate, async (req, res) => {
+        try {
+            const pending = await fetchPendingRequest(req.params.requestId, req.user.id, 'requester');
+            if (pending.error) {
+                return res.status(pending.status).json({ error: pending.error });
+            }
+
+            const { status, error } = await resolveRequest(pending.request, 'withdrawn');
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json({ message: 'Connection request withdrawn.' });
+
+        } catch (error) {
+            console.error('Error withdrawing connection request:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/connections/suggestions - People you may know
+    // Ranked by mutual connections, shared industry and application history. Query: limit (max 50)
+    router.get('/suggestions', authenticate, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_SUGGESTION_LIMIT, SUGGESTION_POOL_LIMIT);
+
+            const [{ profile: me }, role, blocks, { data: ownRows, error: ownError }] = await Promise.all([
+                fetchProfile(supabase, userId),
+                fetchUserRole(supabase, userId),
+                fetchBlockSets(supabase, userId),
+                supabase
+                    .from('connections')
+                    .select('requester_id, addressee_id, status')
+                    .in('status', ['pending', 'accepted'])
+                    .or(`requester_id.eq.${userId},addressee_id.eq.${userId}`)
+            ]);
+
+            if (ownError || blocks.error) {
+                console.error('Supabase fetch own connections error:', ownError || blocks.error);
+                return res.status(500).json({ error: 'Failed to fetch suggestions.' });
+            }
+
+            // Existing connections, pending requests and blocked users (either direction) are never suggested
+            const excluded = new Set([userId, ...ownRows.map(row => otherParty(row, userId)), ...blocks.all]);
+            const connectionIds = ownRows.filter(row => row.status === 'accepted').map(row => otherParty(row, userId));
+            const candidates = new Map();
+            const addSignal = (candidateId, signal) => {
+                if (!candidateId || excluded.has(candidateId)) return;
+                const candidate = candidates.get(candidateId) || { score: 0, mutualConnections: 0, reasons: new Set() };
+                candidate.score += SUGGESTION_WEIGHTS[signal];
+                if (signal === 'mutualConnection') candidate.mutualConnections++;
+                candidate.reasons.add(signal);
+                candidates.set(candidateId, candidate);
+            };
+
+            // Friends of friends
+            const { graph, error: graphError } = await fetchConnectionGraph(supabase, connectionIds);
+            if (graphError) {
+                return res.status(500).json({ error: 'Failed to fetch suggestions.' });
+            }
+            for (const connectionId of connectionIds) {
+                for (const candidateId of graph.get(connectionId) || []) addSignal(candidateId, 'mutualConnection');
+            }
+
+            // Companies the talent applied to, or talent who applied to the company's jobs
+            if (role === 'talent') {
+                const { data: applied } = await supabase
+                    .from('applications')
+                    .select('jobs!inner(user_id)')
+                    .eq('user_id', userId)
+                    .limit(SUGGESTION_POOL_LIMIT);
+                new Set((applied || []).map(app => app.jobs.user_id)).forEach(id => addSignal(id, 'application'));
+            } else if (role === 'company') {
+                const { data: applicants } = await supabase
+                    .from('applications')
+                    .select('user_id, jobs!inner(user_id)')
+                    .eq('jobs.user_id', userId)
+                    .limit(SUGGESTION_POOL_LIMIT);
+                new Set((applicants || []).map(app => app.user_id)).forEach(id => addSignal(id, 'application'));
+            }
+
+            // Same industry
+            const industries = [...new Set([me?.industry, ...(me?.industries || [])].filter(Boolean))];
+            if (industries.length > 0) {
+                const [byIndustry, byIndustries] = await Promise.all([
+                    supabase.from('profiles').select('id').in('industry', industries).limit(SUGGESTION_POOL_LIMIT),
+                    supabase.from('profiles').select('id').overlaps('industries', industries).limit(SUGGESTION_POOL_LIMIT)
+                ]);
+                new Set([...(byIndustry.data || []), ...(byIndustries.data || [])].map(row => row.id))
+                    .forEach(id => addSignal(id, 'sharedIndustry'));
+            }
+
+            const ranked = [...candidates.entries()]
+                .sort(([, a], [, b]) => b.score - a.score || b.mutualConnections - a.mutualConnections)
+                .slice(0, limit);
+            const profilesById = await fetchProfilesByIds(supabase, ranked.map(([id]) => id));
+
+            res.status(200).json(ranked
+                .filter(([id]) => profilesById.has(id))
+                .map(([id, candidate]) => ({
+                    user: formatProfileSummary(profilesById.get(id)),
+                    score: candidate.score,
+                    mutualConnections: candidate.mutualConnections,
+                    reasons: [...candidate.reasons]
+                })));
+
+        } catch (error) {
+            console.error('Error fetching connection suggestions:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/connections/mutual/:userId - Connections the user shares with another user
+    router.get('/mutual/:userId', authenticate, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const otherId = req.params.userId;
+            if (!isUuid(otherId)) {
+                return res.status(400).json({ error: 'Invalid user id.' });
+            }
+
+            const [{ graph, error }, blocks] = await Promise.all([
+                fetchConnectionGraph(supabase, [userId, otherId]),
+                fetchBlockSets(supabase, userId)
+            ]);
+            if (error || blocks.error) {
+                return res.status(500).json({ error: 'Failed to fetch mutual connections.' });
+            }
+
+            const mine = graph.get(userId);
+            const mutualIds = blocks.all.has(otherId)
+                ? []
+                : [...graph.get(otherId)].filter(id => mine.has(id) && !blocks.all.has(id));
+            const profilesById = await fetchProfilesByIds(supabase, mutualIds);
+
+            res.status(200).json({
+                count: mutualIds.length,
+                users: mutualIds.map(id => formatProfileSummary(profilesById.get(id)) || { id })
+            });
+
+        } catch (error) {
+            console.error('Error fetching mutual connections:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // DELETE /api/connections/:userId - Remove an accepted connection
+    router.delete('/:userId', authenticate, async (req, res) => {
+        try {
+            if (!isUuid(req.params.userId)) {
+                return res.status(400).json({ error: 'Invalid user id.' });
+            }
+            const { connection, error } = await findActiveConnection(supabase, req.user.id, req.params.userId);
+            if (error) {
+                return res.status(500).json({ error: 'Failed to fetch connection.' });
+            }
+            if (!connection || connection.status !== 'accepted') {
+                return res.status(404).json({ error: 'Connection not found.' });
+            }
+
+            const { error: updateError } = await supabase
+                .from('connections')
+                .update({ status: 'removed', responded_at: new Date().toISOString() })
+                .eq('id', connection.id);
+
+            if (updateError) {
+                console.error('Supabase remove connection error:', updateError);
+                return res.status(500).json({ error: 'Failed to remove connection.' });
+            }
+            res.status(200).json({ message: 'Connection removed.' });
+
+        } catch (error) {
+            console.error('Error removing connection:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,133 @@
+// connections.js - The professional network graph: connection lookups, mutual connections and
+// the "may these two users message each other" check used by chat.
+
+import { validate as isUuid } from 'uuid';
+import { findBlockBetween } from './blocks.js';
+
+// Status flow: pending -> accepted | declined | withdrawn; accepted -> removed. A block moves either active status to removed.
+// Only pending and accepted rows are active; the rest are history.
+const ACTIVE_STATUSES = ['pending', 'accepted'];
+
+export const otherParty = (row, userId) => (row.requester_id === userId ? row.addressee_id : row.requester_id);
+
+const invalidIds = (...ids) => (ids.every(isUuid) ? null : new Error('Invalid user id.'));
+
+// Runs a query once per direction of the pair. Ids are passed as values with match(), never spliced into a filter string.
+const bothDirections = (buildQuery, userA, userB) => Promise.all([
+    buildQuery().match({ requester_id: userA, addressee_id: userB }),
+    buildQuery().match({ requester_id: userB, addressee_id: userA })
+]);
+
+// The pending or accepted connection between two users, if any. Returns { connection } (possibly null) or { error }.
+export async function findActiveConnection(supabase, userA, userB) {
+    const invalid = invalidIds(userA, userB);
+    if (invalid) return { error: invalid };
+
+    const results = await bothDirections(
+        () => supabase.from('connections').select('*').in('status', ACTIVE_STATUSES),
+        userA,
+        userB
+    );
+    const error = results.find(result => result.error)?.error;
+    if (error) {
+        console.error('Supabase find connection error:', error);
+        return { error };
+    }
+    return { connection: results.flatMap(result => result.data)[0] || null };
+}
+
+// Accepted connections of the given users as an adjacency map (userId -> Set of connected ids).
+// Returns { graph } or { error }.
+export async function fetchConnectionGraph(supabase, userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const invalid = invalidIds(...ids);
+    if (invalid) return { error: invalid };
+    const graph = new Map(ids.map(id => [id, new Set()]));
+    if (ids.length === 0) return { graph };
+
+    const idList = ids.join(',');
+    const { data, error } = await supabase
+        .from('connections')
+        .select('requester_id, addressee_id')
+        .eq('status', 'accepted')
+        .or(`requester_id.in.(${idList}),addressee_id.in.(${idList})`);
+
+    if (error) {
+        console.error('Supabase fetch connection graph error:', error);
+        return { error };
+    }
+
+    const link = (from, to) => {
+        if (!graph.has(from)) graph.set(from, new Set());
+        graph.get(from).add(to);
+    };
+    for (const row of data) {
+        link(row.requester_id, row.addressee_id);
+        link(row.addressee_id, row.requester_id);
+    }
+    return { graph };
+}
+
+export const mutualCount = (graph, userA, userB) => {
+    const connectionsA = graph.get(userA) || new Set();
+    const connectionsB = graph.get(userB) || new Set();
+    let count = 0;
+    for (const id of connectionsA) if (connectionsB.has(id)) count++;
+    return count;
+};
+
+// True when either user has applied to a job the other posted
+export async function hasApplicationRelationship(supabase, userA, userB) {
+    const appliedTo = (applicantId, companyId) => supabase
+        .from('applications')
+        .select('id, jobs!inner(user_id)', { count: 'exact', head: true })
+        .eq('user_id', applicantId)
+        .eq('jobs.user_id', companyId);
+
+    const [forward, backward] = await Promise.all([appliedTo(userA, userB), appliedTo(userB, userA)]);
+    if (forward.error || backward.error) {
+        console.error('Supabase application relationship check error:', forward.error || backward.error);
+        return false;
+    }
+    return forward.count > 0 || backward.count > 0;
+}
+
+const NOT_ALLOWED = {
+    allowed: false,
+    status: 403,
+    error: 'You can only message your connections or people you have an application with. Send a connection request first.'
+};
+
+// Direct messages need an accepted connection or an application between the two users, and no block either way.
+// A blocked pair gets the same answer as strangers. Returns { allowed: true } or { allowed: false, status, error }.
+export async function canMessage(supabase, senderId, recipientId) {
+    if (invalidIds(senderId, recipientId)) return { allowed: false, status: 400, error: 'Invalid user id.' };
+
+    const { blocked, error: blockError } = await findBlockBetween(supabase, senderId, recipientId);
+    if (blockError) return { allowed: false, status: 500, error: 'Failed to check connection.' };
+    if (blocked) return NOT_ALLOWED;
+
+    const { connection, error } = await findActiveConnection(supabase, senderId, recipientId);
+    if (error) return { allowed: false, status: 500, error: 'Failed to check connection.' };
+    if (connection && connection.status === 'accepted') return { allowed: true };
+
+    if (await hasApplicationRelationship(supabase, senderId, recipientId)) return { allowed: true };
+
+    return NOT_ALLOWED;
+}
+
+// Ends any pending or accepted connection between two users (used when one blocks the other)
+export async function severConnection(supabase, userA, userB) {
+    const invalid = invalidIds(userA, userB);
+    if (invalid) return { error: invalid };
+
+    const respondedAt = new Date().toISOString();
+    const results = await bothDirections(
+        () => supabase.from('connections').update({ status: 'removed', responded_at: respondedAt }).in('status', ACTIVE_STATUSES),
+        userA,
+        userB
+    );
+    const error = results.find(result => result.error)?.error || null;
+    if (error) console.error('Supabase sever connection error:', error);
+    return { error };
+}
@@ -1,6 +1,7 @@
 // contactRoutes.js - Handles all contact-related API endpoints using Supabase.
 
 import express from 'express';
+import { createAuthenticate } from './auth.js';
 const router = express.Router();
 
 // This function is designed to be called from your main server file,
@@ -8,39 +9,7 @@ const router = express.Router();
 export default (supabase) => {
     // The Supabase client is now available via the `supabase` parameter
 
-    // Middleware to verify Supabase token and attach user to request
-    // This middleware can be reused across different route files
-    const verifyToken = async (req, res, next) => {
-        const token = req.headers.authorization?.split(' ')[1]; // Assuming token is in "Bearer TOKEN" format
-        if (!token) {
-            return res.status(401).json({
-                error: 'Unauthorized: No token provided.'
-            });
-        }
-
-        try {
-            // Use the Supabase client (initialized with service role key in index.js)
-            // to verify the token on the backend.
-            const {
-                data: {
-                    user
-                },
-                error
-            } = await supabase.auth.getUser(token);
-            if (error || !user) {
-                console.error('Supabase token verification failed:', error);
-                return res.status(401).json({
-                    error: 'Unauthorized: Invalid or expired token.'
-                });
-            }
-            req.user = user; // Attach the authenticated user to the request object
-            next(); // Proceed to the route handler
-        } catch (error) {
-            console.error('Unexpected error during token verification:', error);
-            return res.status(401).json({ error: 'Unauthorized: Invalid or expired token.' });
-        }
-    };
-
+    const verifyToken = createAuthenticate(supabase);
 
     // POST /api/contact - Handle contact form submissions.
     // Requires authentication using the verifyToken middleware.
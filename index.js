@@ -5,8 +5,15 @@ import { createClient } from '@supabase/supabase-js';
 import authRoutes from './routes/authRoutes.js';
 import jobRoutes from './routes/jobRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
+import chatRoomRoutes from './routes/chatRoomRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import contactRoutes from './routes/contactRoutes.js';
+import applicationRoutes from './routes/applicationRoutes.js';
+import profileRoutes from './routes/profileRoutes.js';
+import connectionRoutes from './routes/connectionRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
+import realtimeRoutes from './routes/realtimeRoutes.js';
+import { expireJobs } from './routes/jobLifecycle.js';
 
 // Initialize Express app
 const app = express();
@@ -49,6 +56,11 @@ if (typeof jobRoutes === 'function') {
 } else {
     console.error('jobRoutes is not a function. Check the export in jobRoutes.js.');
 }
+if (typeof chatRoomRoutes === 'function') {
+    app.use('/api/chat/rooms', chatRoomRoutes(supabase));
+} else {
+    console.error('chatRoomRoutes is not a function. Check the export in chatRoomRoutes.js.');
+}
 if (typeof chatRoutes === 'function') {
     app.use('/api/chat', chatRoutes(supabase));
 } else {
@@ -64,6 +76,37 @@ if (typeof contactRoutes === 'function') {
 } else {
     console.error('contactRoutes is not a function. Check the export in contactRoutes.js.');
 }
+if (typeof applicationRoutes === 'function') {
+    app.use('/api/applications', applicationRoutes(supabase));
+} else {
+    console.error('applicationRoutes is not a function. Check the export in applicationRoutes.js.');
+}
+if (typeof profileRoutes === 'function') {
+    app.use('/api/profile', profileRoutes(supabase));
+} else {
+    console.error('profileRoutes is not a function. Check the export in profileRoutes.js.');
+}
+if (typeof connectionRoutes === 'function') {
+    app.use('/api/connections', connectionRoutes(supabase));
+} else {
+    console.error('connectionRoutes is not a function. Check the export in connectionRoutes.js.');
+}
+if (typeof moderationRoutes === 'function') {
+    app.use('/api/moderation', moderationRoutes(supabase));
+} else {
+    console.error('moderationRoutes is not a function. Check the export in moderationRoutes.js.');
+}
+if (typeof realtimeRoutes === 'function') {
+    app.use('/api/realtime', realtimeRoutes(supabase));
+} else {
+    console.error('realtimeRoutes is not a function. Check the export in realtimeRoutes.js.');
+}
+
+// Move jobs past their application deadline to "expired". Listings already hide them by deadline,
+// so this only keeps the stored status (shown to job owners) up to date.
+const JOB_EXPIRY_INTERVAL_MS = 15 * 60 * 1000;
+expireJobs(supabase);
+setInterval(() => expireJobs(supabase), JOB_EXPIRY_INTERVAL_MS).unref();
 
 // Basic error handling middleware
 app.use((err, req, res, next) => {
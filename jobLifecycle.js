@@ -0,0 +1,104 @@
+// jobLifecycle.js - Job posting status lifecycle (draft, open, paused, closed, expired, removed).
+
+export const JOB_STATUSES = ['draft', 'open', 'paused', 'closed', 'expired', 'removed'];
+
+// Statuses a job may move to from each status. Expired jobs can only be reopened with a new deadline.
+// "removed" is set by moderators when a posting is taken down; its owner cannot move it anywhere.
+export const JOB_STATUS_TRANSITIONS = {
+    draft: ['open', 'closed'],
+    open: ['paused', 'closed'],
+    paused: ['open', 'closed'],
+    closed: ['open'],
+    expired: ['open', 'closed'],
+    removed: []
+};
+
+export const canTransitionJob = (from, to) => (JOB_STATUS_TRANSITIONS[from] || []).includes(to);
+
+export const isDeadlinePassed = (deadline, now = new Date()) => Boolean(deadline) && new Date(deadline) < now;
+
+// Checks whether a job can accept applications given its deadline and current application count.
+// Returns null when it can, otherwise the status it should be in and why.
+export function closingReason(job, applicationCount, now = new Date()) {
+    if (isDeadlinePassed(job.application_deadline, now)) {
+        return { status: 'expired', reason: 'application_deadline' };
+    }
+    if (job.max_applicants && applicationCount >= job.max_applicants) {
+        return { status: 'closed', reason: 'max_applicants' };
+    }
+    return null;
+}
+
+// Restricts a jobs query to postings whose deadline hasn't passed. Listings filter on the deadline rather than
+// trusting the stored status, which expireJobs() only updates periodically.
+export const withinDeadline = (query, now = new Date()) =>
+    query.or(`application_deadline.is.null,application_deadline.gte.${now.toISOString()}`);
+
+// Moves open and paused jobs whose deadline has passed to "expired". Run on a timer (see index.js).
+export async function expireJobs(supabase) {
+    const { error } = await supabase
+        .from('jobs')
+        .update({ status: 'expired', closed_reason: 'application_deadline', updated_at: new Date().toISOString() })
+        .in('status', ['open', 'paused'])
+        .lt('application_deadline', new Date().toISOString());
+
+    if (error) {
+        console.error('Error expiring jobs past their deadline:', error);
+    }
+}
+
+// Applications that take up a place on the job; withdrawn ones don't count toward max_applicants.
+// includeWithdrawn counts every application, e.g. to know whether a job has any history at all.
+export async function countApplications(supabase, jobId, { includeWithdrawn = false } = {}) {
+    let query = supabase
+        .from('applications')
+        .select('id', { count: 'exact', head: true })
+        .eq('job_id', jobId);
+    if (!includeWithdrawn) query = query.neq('status', 'Withdrawn');
+
+    const { count, error } = await query;
+
+    if (error) throw error;
+    return count || 0;
+}
+
+// Structured errors for POST /api/jobs/apply-job. "code" is stable for the frontend; "message" is for display.
+export const APPLICATION_ERRORS = {
+    JOB_NOT_FOUND: { status: 404, message: 'Job not found or could not be retrieved.' },
+    JOB_NOT_OPEN: { status: 409, message: 'This job is not accepting applications right now.' },
+    DEADLINE_PASSED: { status: 409, message: 'The application deadline for this job has passed.' },
+    CAPACITY_REACHED: { status: 409, message: 'This job has reached its maximum number of applicants.' },
+    DUPLICATE_APPLICATION: { status: 409, message: 'You have already applied to this job.' }
+};
+
+export const applicationErrorResponse = (code) => ({ code, error: APPLICATION_ERRORS[code].message });
+
+// Cheap pre-check run before uploading application files. Not race-free on its own:
+// submitApplication() repeats every check under a row lock.
+export function applicationRejection(job, applicationCount, alreadyApplied) {
+    if (isDeadlinePassed(job.application_deadline)) return 'DEADLINE_PASSED';
+    if (job.status !== 'open') return 'JOB_NOT_OPEN';
+    if (alreadyApplied) return 'DUPLICATE_APPLICATION';
+    if (job.max_applicants && applicationCount >= job.max_applicants) return 'CAPACITY_REACHED';
+    return null;
+}
+
+// Inserts an application through the submit_application database function, which locks the job row
+// so deadline, capacity and duplicate checks are atomic. Returns { application } or { code }.
+export async function submitApplication(supabase, { jobId, userId, content }) {
+    const { data, error } = await supabase
+        .rpc('submit_application', { p_job_id: jobId, p_user_id: userId, p_content: content })
+        .single();
+
+    if (error) {
+        if (APPLICATION_ERRORS[error.message]) {
+            return { code: error.message };
+        }
+        // The unique (job_id, user_id) index catches duplicates that slip past the function
+        if (error.code === '23505') {
+            return { code: 'DUPLICATE_APPLICATION' };
+        }
+        throw error;
+    }
+    return { application: data };
+}
@@ -0,0 +1,264 @@
+// jobMatching.js - Offline job/talent matching engine.
+// Scores jobs against a talent profile (and talents against a job) using BM25 over the
+// free-text fields plus weighted structured fields. Runs entirely in-process: no external AI service.
+
+export const EXPERIENCE_LEVELS = ['Entry-Level', 'Mid-Level', 'Senior', 'Executive'];
+
+// Relative weight of each factor in the final score. They sum to 1.
+export const DEFAULT_WEIGHTS = {
+    skills: 0.35,
+    text: 0.2,
+    experience: 0.15,
+    industry: 0.12,
+    locationType: 0.1,
+    positionType: 0.08
+};
+
+// Score used when one side of a structured factor is unknown, so missing data neither helps nor sinks a match.
+const NEUTRAL_SCORE = 0.5;
+
+// Standard BM25 tuning parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'above', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being',
+    'both', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'etc', 'for', 'from', 'has', 'have', 'having', 'he',
+    'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'job', 'may', 'me', 'more', 'most', 'must',
+    'my', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'ours', 'out', 'over', 'role', 'she', 'should', 'so',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+    'to', 'under', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+    'will', 'with', 'within', 'work', 'would', 'you', 'your'
+]);
+
+// Very light suffix stripping so "developers"/"developer" and "testing"/"tests" meet in the index.
+const stem = (word) => {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && word.endsWith('es') && /(ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+};
+
+// Lowercases, splits on anything that isn't part of a word and drops stop words.
+// Keeps "+", "#" and inner dots so skills like "c++", "c#" and "node.js" survive.
+export function tokenize(text) {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .split(/[^a-z0-9+#.]+/)
+        .map(token => token.replace(/^\.+|\.+$/g, ''))
+        .filter(token => token && !STOP_WORDS.has(token))
+        .map(stem);
+}
+
+const toList = (value) => {
+    if (Array.isArray(value)) return value.filter(item => item !== null && item !== undefined && item !== '');
+    if (typeof value === 'string') return value.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+    return [];
+};
+
+const normalizeLabel = (value) => (value ? String(value).trim().toLowerCase() : '');
+
+// Responsibilities are stored either as an array or as newline-separated text.
+const responsibilitiesText = (responsibilities) =>
+    Array.isArray(responsibilities) ? responsibilities.join('\n') : (responsibilities || '');
+
+// Work history entries (from a parsed resume) contribute their titles, companies and descriptions.
+const workHistoryText = (workHistory) =>
+    Array.isArray(workHistory) ? workHistory.map(entry => [entry.title, entry.company, entry.description].filter(Boolean).join(' ')).join('\n') : '';
+
+// Maps a row from the profiles table (or a request override) onto the fields the matcher understands.
+export function buildTalentProfile(row = {}) {
+    const skills = toList(row.skills);
+    return {
+        id: row.id || row.user_id || null,
+        skills,
+        experienceLevel: row.experience_level || row.experienceLevel || null,
+        industries: toList(row.industries || row.industry || row.preferred_industries),
+        locationTypes: toList(row.preferred_location_types || row.location_type || row.locationType),
+        positionTypes: toList(row.preferred_position_types || row.position_type || row.positionType),
+        text: [row.headline, row.bio, row.summary, row.experience, workHistoryText(row.work_history), skills.join(' ')]
+            .map(part => (Array.isArray(part) ? part.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join(' ') : part))
+            .filter(Boolean)
+            .join('\n')
+    };
+}
+
+const jobText = (job) => [job.job_title, job.job_description, responsibilitiesText(job.responsibilities)].filter(Boolean).join('\n');
+
+// Builds a BM25 index over already-tokenized documents.
+export function createBm25Index(documents) {
+    const docCount = documents.length;
+    const termFrequencies = documents.map(tokens => {
+        const frequencies = new Map();
+        for (const token of tokens) frequencies.set(token, (frequencies.get(token) || 0) + 1);
+        return frequencies;
+    });
+    const lengths = documents.map(tokens => tokens.length);
+    const averageLength = docCount ? lengths.reduce((sum, length) => sum + length, 0) / docCount : 0;
+
+    const documentFrequency = new Map();
+    for (const frequencies of termFrequencies) {
+        for (const term of frequencies.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+
+    const idf = (term) => {
+        const n = documentFrequency.get(term) || 0;
+        return Math.log(1 + (docCount - n + 0.5) / (n + 0.5));
+    };
+
+    const score = (queryTokens, docIndex) => {
+        const frequencies = termFrequencies[docIndex];
+        const lengthNorm = averageLength ? lengths[docIndex] / averageLength : 1;
+        let total = 0;
+        for (const term of new Set(queryTokens)) {
+            const tf = frequencies.get(term);
+            if (!tf) continue;
+            total += idf(term) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthNorm));
+        }
+        return total;
+    };
+
+    return { size: docCount, score, termSet: (docIndex) => termFrequencies[docIndex] };
+}
+
+// Fraction of the talent's skills that appear in the target text. A multi-word skill counts when all its words appear.
+function skillsFactor(skills, termSet) {
+    if (skills.length === 0) {
+        return { score: NEUTRAL_SCORE, matched: [], explanation: 'No skills on the profile to compare.' };
+    }
+    const matched = skills.filter(skill => {
+        const tokens = tokenize(skill);
+        return tokens.length > 0 && tokens.every(token => termSet.has(token));
+    });
+    return {
+        score: matched.length / skills.length,
+        matched,
+        explanation: matched.length
+            ? `${matched.length} of ${skills.length} skills mentioned: ${matched.join(', ')}.`
+            : 'None of the listed skills are mentioned.'
+    };
+}
+
+function experienceFactor(talentLevel, jobLevel) {
+    const talentRank = EXPERIENCE_LEVELS.findIndex(level => normalizeLabel(level) === normalizeLabel(talentLevel));
+    const jobRank = EXPERIENCE_LEVELS.findIndex(level => normalizeLabel(level) === normalizeLabel(jobLevel));
+    if (talentRank === -1 || jobRank === -1) {
+        return { score: NEUTRAL_SCORE, explanation: 'Experience level not specified.' };
+    }
+    const gap = talentRank - jobRank;
+    if (gap === 0) return { score: 1, explanation: `Experience level matches (${jobLevel}).` };
+    if (gap === 1) return { score: 0.75, explanation: `One level above the required ${jobLevel}.` };
+    if (gap === -1) return { score: 0.5, explanation: `One level below the required ${jobLevel}.` };
+    return { score: gap > 0 ? 0.25 : 0, explanation: `${talentLevel} is far from the required ${jobLevel}.` };
+}
+
+function industryFactor(talentIndustries, jobIndustry) {
+    if (talentIndustries.length === 0 || !jobIndustry) {
+        return { score: NEUTRAL_SCORE, explanation: 'Industry not specified.' };
+    }
+    if (talentIndustries.some(industry => normalizeLabel(industry) === normalizeLabel(jobIndustry))) {
+        return { score: 1, explanation: `Same industry (${jobIndustry}).` };
+    }
+    // Partial credit for related industries, e.g. "Digital Banking" vs. "Banking"
+    const jobTokens = new Set(tokenize(jobIndustry));
+    const overlap = Math.max(...talentIndustries.map(industry => {
+        const tokens = tokenize(industry);
+        return tokens.length ? tokens.filter(token => jobTokens.has(token)).length / Math.max(tokens.length, jobTokens.size) : 0;
+    }));
+    if (overlap > 0) return { score: 0.5 * overlap, explanation: `Related industry (${jobIndustry}).` };
+    return { score: 0, explanation: `Different industry (${jobIndustry}).` };
+}
+
+function locationTypeFactor(talentTypes, jobType) {
+    if (talentTypes.length === 0 || !jobType) {
+        return { score: NEUTRAL_SCORE, explanation: 'Location preference not specified.' };
+    }
+    const wanted = talentTypes.map(normalizeLabel);
+    const offered = normalizeLabel(jobType);
+    if (wanted.includes(offered)) return { score: 1, explanation: `${jobType} matches the location preference.` };
+    // Hybrid sits between remote and on-site, so it half-satisfies either preference.
+    if (offered === 'hybrid' || wanted.includes('hybrid')) {
+        return { score: 0.5, explanation: `${jobType} partially matches the location preference.` };
+    }
+    return { score: 0, explanation: `${jobType} does not match the location preference.` };
+}
+
+function positionTypeFactor(talentTypes, jobType) {
+    if (talentTypes.length === 0 || !jobType) {
+        return { score: NEUTRAL_SCORE, explanation: 'Position type not specified.' };
+    }
+    if (talentTypes.map(normalizeLabel).includes(normalizeLabel(jobType))) {
+        return { score: 1, explanation: `${jobType} matches the preferred position type.` };
+    }
+    return { score: 0, explanation: `${jobType} is not one of the preferred position types.` };
+}
+
+// Combines the individual factors into a 0-100 score with a per-factor breakdown.
+function combineFactors(factors, weights) {
+    let total = 0;
+    const breakdown = {};
+    for (const [name, factor] of Object.entries(factors)) {
+        const weight = weights[name] || 0;
+        total += factor.score * weight;
+        breakdown[name] = { ...factor, score: Math.round(factor.score * 100), weight };
+    }
+    return { score: Math.round(total * 100), breakdown };
+}
+
+function scorePair(job, profile, textScore, termSet, weights) {
+    return combineFactors({
+        skills: skillsFactor(profile.skills, termSet),
+        text: {
+            score: textScore,
+            explanation: textScore > 0
+                ? 'Description relevance, relative to the other results.'
+                : 'No overlap between the description and the profile.'
+        },
+        experience: experienceFactor(profile.experienceLevel, job.experience_level),
+        industry: industryFactor(profile.industries, job.industry),
+        locationType: locationTypeFactor(profile.locationTypes, job.location_type),
+        positionType: positionTypeFactor(profile.positionTypes, job.position_type)
+    }, weights);
+}
+
+// BM25 scores are unbounded, so text relevance is expressed relative to the best score in the result set.
+const normalizeScores = (scores) => {
+    const max = Math.max(0, ...scores);
+    return scores.map(score => (max > 0 ? score / max : 0));
+};
+
+const rankAndTrim = (results, { minScore = 0, limit } = {}) => {
+    const ranked = results
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+    return limit ? ranked.slice(0, limit) : ranked;
+};
+
+// Ranks job rows against a talent profile row.
+// Returns [{ job, score, breakdown }] sorted by score, highest first.
+export function rankJobsForProfile(jobs, profileRow, options = {}) {
+    const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    const profile = buildTalentProfile(profileRow);
+    const index = createBm25Index(jobs.map(job => tokenize(jobText(job))));
+    const query = tokenize(profile.text);
+    const textScores = normalizeScores(jobs.map((job, i) => index.score(query, i)));
+
+    const results = jobs.map((job, i) => ({ job, ...scorePair(job, profile, textScores[i], index.termSet(i), weights) }));
+    return rankAndTrim(results, options);
+}
+
+// Ranks talent profile rows against a single job row (reverse matching).
+// Returns [{ profile, score, breakdown }] sorted by score, highest first.
+export function rankCandidatesForJob(job, profileRows, options = {}) {
+    const weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    const profiles = profileRows.map(buildTalentProfile);
+    const index = createBm25Index(profiles.map(profile => tokenize(profile.text)));
+    const query = tokenize(jobText(job));
+    const textScores = normalizeScores(profiles.map((profile, i) => index.score(query, i)));
+    const jobTerms = new Set(tokenize([jobText(job), ...(Array.isArray(job.requirements) ? job.requirements.map(req => req.description) : [])].join('\n')));
+
+    const results = profileRows.map((row, i) => ({ profile: row, ...scorePair(job, profiles[i], textScores[i], jobTerms, weights) }));
+    return rankAndTrim(results, options);
+}
@@ -0,0 +1,250 @@
+// jobRequirements.js - Job application requirement definitions and server-side answer validation.
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const REQUIREMENT_TYPES = [
+    'Text Input',
+    'Long Text',
+    'File Upload',
+    'Multiple Choice',
+    'Checkbox',
+    'Number',
+    'Date',
+    'URL',
+    'Yes/No'
+];
+
+const DEFAULT_TEXT_MAX_LENGTH = 500;
+const DEFAULT_LONG_TEXT_MAX_LENGTH = 5000;
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// A real calendar date in YYYY-MM-DD form. Date.parse alone accepts "2026-02-31" (it rolls over to March).
+const isValidDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+    !Number.isNaN(Date.parse(value)) && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+const toOptionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// Normalizes a yes/no answer ("yes", "true", true...) to "Yes" / "No", or null if it is neither.
+const toYesNo = (value) => {
+    const normalized = String(value).trim().toLowerCase();
+    if (['yes', 'y', 'true'].includes(normalized)) return 'Yes';
+    if (['no', 'n', 'false'].includes(normalized)) return 'No';
+    return null;
+};
+
+// Validates one requirement definition from the post-job form and returns its stored shape.
+function normalizeRequirement(raw, index) {
+    const label = `Requirement ${index + 1}`;
+
+    if (!raw || typeof raw !== 'object') return { error: `${label} must be an object.` };
+    if (typeof raw.description !== 'string' || !raw.description.trim()) return { error: `${label} needs a description.` };
+    if (!REQUIREMENT_TYPES.includes(raw.type)) {
+        return { error: `${label} has an unsupported type. Supported types: ${REQUIREMENT_TYPES.join(', ')}.` };
+    }
+
+    const requirement = {
+        id: typeof raw.id === 'string' && ID_PATTERN.test(raw.id) ? raw.id : uuidv4(),
+        type: raw.type,
+        description: raw.description.trim(),
+        required: raw.required === true || raw.required === 'true'
+    };
+
+    switch (raw.type) {
+        case 'Text Input':
+        case 'Long Text': {
+            const fallbackMax = raw.type === 'Text Input' ? DEFAULT_TEXT_MAX_LENGTH : DEFAULT_LONG_TEXT_MAX_LENGTH;
+            const minLength = toOptionalNumber(raw.minLength);
+            const maxLength = toOptionalNumber(raw.maxLength) ?? fallbackMax;
+            if ((minLength !== undefined && !(minLength >= 0)) || !(maxLength > 0) || (minLength !== undefined && minLength > maxLength)) {
+                return { error: `${label} has invalid length limits.` };
+            }
+            if (minLength !== undefined) requirement.minLength = minLength;
+            requirement.maxLength = maxLength;
+            break;
+        }
+        case 'Multiple Choice':
+        case 'Checkbox': {
+            const options = Array.isArray(raw.options) ? [...new Set(raw.options.map(option => String(option).trim()).filter(Boolean))] : [];
+            if (options.length < 2) return { error: `${label} needs at least two options.` };
+            requirement.options = options;
+            if (raw.type === 'Checkbox') {
+                const minSelections = toOptionalNumber(raw.minSelections);
+                const maxSelections = toOptionalNumber(raw.maxSelections);
+                if ((minSelections !== undefined && !isCount(minSelections)) ||
+                    (maxSelections !== undefined && !(isCount(maxSelections) && maxSelections <= options.length)) ||
+                    (minSelections !== undefined && minSelections > (maxSelections ?? options.length))) {
+                    return { error: `${label} has invalid selection limits (whole numbers, min <= max <= number of options).` };
+                }
+                if (minSelections !== undefined) requirement.minSelections = minSelections;
+                if (maxSelections !== undefined) requirement.maxSelections = maxSelections;
+            }
+            break;
+        }
+        case 'Number': {
+            const min = toOptionalNumber(raw.min);
+            const max = toOptionalNumber(raw.max);
+            if ((min !== undefined && !isFiniteNumber(min)) || (max !== undefined && !isFiniteNumber(max)) || (min !== undefined && max !== undefined && min > max)) {
+                return { error: `${label} has an invalid number range.` };
+            }
+            if (min !== undefined) requirement.min = min;
+            if (max !== undefined) requirement.max = max;
+            requirement.integer = raw.integer === true || raw.integer === 'true';
+            break;
+        }
+        case 'Date': {
+            for (const bound of ['minDate', 'maxDate']) {
+                if (raw[bound] !== undefined && raw[bound] !== '') {
+                    if (!isValidDate(raw[bound])) {
+                        return { error: `${label} has an invalid ${bound} (expected YYYY-MM-DD).` };
+                    }
+                    requirement[bound] = raw[bound];
+                }
+            }
+            if (requirement.minDate && requirement.maxDate && requirement.minDate > requirement.maxDate) {
+                return { error: `${label} has a minDate after its maxDate.` };
+            }
+            break;
+        }
+        case 'Yes/No': {
+            // An applicant giving the knockout answer is rejected automatically
+            if (raw.knockoutAnswer !== undefined && raw.knockoutAnswer !== null && raw.knockoutAnswer !== '') {
+                const knockoutAnswer = toYesNo(raw.knockoutAnswer);
+                if (!knockoutAnswer) return { error: `${label} knockoutAnswer must be "Yes" or "No".` };
+                requirement.knockoutAnswer = knockoutAnswer;
+            }
+            break;
+        }
+        default:
+            break;
+    }
+
+    return { requirement };
+}
+
+// Validates the requirements array sent by post-job (or a job edit).
+// Ids already present are kept, so answers stay linked when a job is edited. Returns { requirements } or { error }.
+export function normalizeRequirements(input) {
+    let parsed = input;
+    if (typeof input === 'string') {
+        try {
+            parsed = JSON.parse(input);
+        } catch {
+            return { error: 'requirements must be valid JSON.' };
+        }
+    }
+    if (!Array.isArray(parsed)) return { error: 'requirements must be an array.' };
+
+    const requirements = [];
+    const seenIds = new Set();
+    for (const [index, raw] of parsed.entries()) {
+        const { requirement, error } = normalizeRequirement(raw, index);
+        if (error) return { error };
+        if (seenIds.has(requirement.id)) requirement.id = uuidv4();
+        seenIds.add(requirement.id);
+        requirements.push(requirement);
+    }
+    return { requirements };
+}
+
+// Requirements stored before ids existed are keyed by their description
+export const requirementKey = (requirement) => requirement.id || requirement.description;
+
+// Form field names an answer may arrive under. Older frontends post "requirement_TextInput_<description>"
+// and "requirement_FileUpload_<description>", which are still accepted.
+export function requirementFieldNames(requirement) {
+    const names = [];
+    if (requirement.id) names.push(`requirement_${requirement.id}`);
+    if (requirement.type === 'Text Input') names.push(`requirement_TextInput_${requirement.description}`);
+    if (requirement.type === 'File Upload') names.push(`requirement_FileUpload_${requirement.description}`);
+    return names;
+}
+
+// Validates an applicant's answer to a non-file requirement. Returns { value } or { error }.
+export function validateAnswer(requirement, rawValue) {
+    const label = `"${requirement.description}"`;
+
+    switch (requirement.type) {
+        case 'Text Input':
+        case 'Long Text': {
+            const value = String(rawValue).trim();
+            const maxLength = requirement.maxLength ?? (requirement.type === 'Text Input' ? DEFAULT_TEXT_MAX_LENGTH : DEFAULT_LONG_TEXT_MAX_LENGTH);
+            if (requirement.minLength !== undefined && value.length < requirement.minLength) {
+                return { error: `${label} must be at least ${requirement.minLength} characters.` };
+            }
+            if (value.length > maxLength) {
+                return { error: `${label} must be at most ${maxLength} characters.` };
+            }
+            return { value };
+        }
+        case 'Multiple Choice': {
+            const value = String(rawValue).trim();
+            if (!requirement.options.includes(value)) {
+                return { error: `${label} must be one of: ${requirement.options.join(', ')}.` };
+            }
+            return { value };
+        }
+        case 'Checkbox': {
+            let values = rawValue;
+            if (typeof rawValue === 'string') {
+                try {
+                    values = rawValue.trim().startsWith('[') ? JSON.parse(rawValue) : [rawValue];
+                } catch {
+                    return { error: `${label} must be a list of options.` };
+                }
+            }
+            if (!Array.isArray(values)) return { error: `${label} must be a list of options.` };
+            const selected = [...new Set(values.map(value => String(value).trim()))];
+            const invalid = selected.filter(value => !requirement.options.includes(value));
+            if (invalid.length > 0) {
+                return { error: `${label} has invalid options: ${invalid.join(', ')}.` };
+            }
+            if (requirement.minSelections !== undefined && selected.length < requirement.minSelections) {
+                return { error: `${label} needs at least ${requirement.minSelections} selections.` };
+            }
+            if (requirement.maxSelections !== undefined && selected.length > requirement.maxSelections) {
+                return { error: `${label} allows at most ${requirement.maxSelections} selections.` };
+            }
+            return { value: selected };
+        }
+        case 'Number': {
+            const value = Number(String(rawValue).trim());
+            if (String(rawValue).trim() === '' || !Number.isFinite(value)) return { error: `${label} must be a number.` };
+            if (requirement.integer && !Number.isInteger(value)) return { error: `${label} must be a whole number.` };
+            if (requirement.min !== undefined && value < requirement.min) return { error: `${label} must be at least ${requirement.min}.` };
+            if (requirement.max !== undefined && value > requirement.max) return { error: `${label} must be at most ${requirement.max}.` };
+            return { value };
+        }
+        case 'Date': {
+            const value = String(rawValue).trim();
+            if (!isValidDate(value)) {
+                return { error: `${label} must be a date (YYYY-MM-DD).` };
+            }
+            if (requirement.minDate && value < requirement.minDate) return { error: `${label} must be on or after ${requirement.minDate}.` };
+            if (requirement.maxDate && value > requirement.maxDate) return { error: `${label} must be on or before ${requirement.maxDate}.` };
+            return { value };
+        }
+        case 'URL': {
+            const value = String(rawValue).trim();
+            try {
+                const url = new URL(value);
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Unsupported protocol');
+                return { value: url.toString() };
+            } catch {
+                return { error: `${label} must be a valid http(s) URL.` };
+            }
+        }
+        case 'Yes/No': {
+            const value = toYesNo(rawValue);
+            if (!value) return { error: `${label} must be "Yes" or "No".` };
+            return { value };
+        }
+        default:
+            return { error: `${label} has an unsupported type.` };
+    }
+}
+
+export const isKnockout = (requirement, value) =>
+    requirement.type === 'Yes/No' && Boolean(requirement.knockoutAnswer) && value === requirement.knockoutAnswer;
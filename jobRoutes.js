@@ -1,51 +1,83 @@
 import express from 'express';
-import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
-import path from 'path';
+import { createAuthenticate, requireRole } from './auth.js';
+import { rankJobsForProfile, rankCandidatesForJob } from './jobMatching.js';
+import { parseJobSearchParams, applyJobFilters, applyJobPage, encodeCursor, parseSalaryRange } from './jobSearch.js';
+import { normalizeRequirements, requirementKey, requirementFieldNames, validateAnswer, isKnockout } from './jobRequirements.js';
+import { transitionApplication } from './applicationPipeline.js';
+import { createUpload, withUploadErrors, inspectUpload } from './uploadPolicy.js';
+import { avatarUrlOf, fetchProfile } from './profiles.js';
+import { fetchBlockSets } from './blocks.js';
+import { publishEvent } from './notifications.js';
+import { JOB_STATUSES, canTransitionJob, closingReason, withinDeadline, countApplications, APPLICATION_ERRORS, applicationErrorResponse, applicationRejection, submitApplication } from './jobLifecycle.js';
 
 const router = express.Router();
 
+// Upper bound on non-applicant talent profiles considered when building a shortlist
+const CANDIDATE_POOL_LIMIT = 500;
+
+const JOB_COLUMNS = 'id, user_id, company_name, company_website, company_logo_url, job_title, position_type, experience_level, industry, location_type, location_input, salary_compensation, salary_min, salary_max, negotiable, job_description, responsibilities, how_to_apply, application_deadline, max_applicants, notify_me, requirements, status, closed_reason, created_at, profiles(id, name, profile_picture_url, avatar_url)';
+
+// Shapes a row from the jobs table for the frontend
+const formatJob = (job) => ({
+    companyProfile: job.profiles ? { name: job.profiles.name, profilePictureUrl: avatarUrlOf(job.profiles) } : null,
+    id: job.id,
+    companyId: job.user_id,
+    companyName: job.company_name,
+    websiteLink: job.company_website,
+    logoUrl: job.company_logo_url,
+    jobTitle: job.job_title,
+    positionType: job.position_type,
+    experienceLevel: job.experience_level,
+    industry: job.industry,
+    locationType: job.location_type,
+    location: job.location_input,
+    salaryCompensation: job.salary_compensation,
+    salaryMin: job.salary_min ?? null,
+    salaryMax: job.salary_max ?? null,
+    negotiable: job.negotiable,
+    description: job.job_description,
+    responsibilities: Array.isArray(job.responsibilities) ? job.responsibilities : (typeof job.responsibilities === 'string' ? job.responsibilities.split('\n').filter(line => line.trim() !== '') : []),
+    howToApply: job.how_to_apply,
+    applicationDeadline: job.application_deadline,
+    maxApplicants: job.max_applicants,
+    notifyMe: job.notify_me,
+    requirements: Array.isArray(job.requirements) ? job.requirements : [],
+    status: job.status,
+    closedReason: job.closed_reason || null,
+    postedDate: job.created_at
+});
+
+// Editable job fields: request body key -> jobs column
+const EDITABLE_JOB_FIELDS = {
+    companyName: 'company_name',
+    websiteLink: 'company_website',
+    jobTitle: 'job_title',
+    positionType: 'position_type',
+    experienceLevel: 'experience_level',
+    industry: 'industry',
+    jobDescription: 'job_description',
+    responsibilities: 'responsibilities',
+    locationType: 'location_type',
+    locationInput: 'location_input',
+    salaryCompensation: 'salary_compensation',
+    negotiable: 'negotiable',
+    howToApply: 'how_to_apply',
+    applicationDeadline: 'application_deadline',
+    maxApplicants: 'max_applicants',
+    notifyMe: 'notify_me'
+};
+
 // This module now exports a function that accepts the Supabase client
 export default function(supabase) {
 
-    // Configure Multer for file uploads
-    const upload = multer({ storage: multer.memoryStorage() });
-
-    const authenticate = async (req, res, next) => {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-
-        if (!token) {
-            return res.sendStatus(401);
-        }
-
-        const { data: { user }, error } = await supabase.auth.getUser(token);
-
-        if (error || !user) {
-            return res.sendStatus(401);
-        }
-        req.user = user;
-        next();
-    };
-
-    const authorizeRoleMiddleware = (requiredRole) => {
-        return async (req, res, next) => {
-            if (!req.user) {
-                return res.status(401).json({ error: 'Authentication required.' });
-            }
+    // Configure Multer for file uploads; size and count limits come from the upload policy
+    const logoUpload = withUploadErrors(createUpload('companyLogo').single('companyLogo'));
+    const applicationUpload = withUploadErrors(createUpload('applicationFile').any());
 
-            const { data: profile, error } = await supabase
-                .from('users')
-                .select('role')
-                .eq('id', req.user.id)
-                .single();
-
-            if (error || !profile || profile.role !== requiredRole) {
-                return res.status(403).json({ error: 'Forbidden: Insufficient role.' });
-            }
-            next();
-        };
-    };
+    const authenticate = createAuthenticate(supabase);
+    const requireCompany = requireRole(supabase, 'company');
+    const requireTalent = requireRole(supabase, 'talent');
 
     async function uploadFileToSupabase(file, bucketName, filePath) {
         try {
@@ -77,14 +109,24 @@ export default function(supabase) {
         }
     }
 
-    router.post('/post-job', authenticate, authorizeRoleMiddleware('company'), upload.single('companyLogo'), async (req, res) => {
+    // Uploads to a private bucket. Nothing public is returned; files are read through short-lived signed URLs.
+    async function uploadPrivateFile(file, bucketName, filePath) {
+        const { error } = await supabase.storage
+            .from(bucketName)
+            .upload(filePath, file.buffer, {
+                contentType: file.mimetype,
+            });
+
+        if (error) {
+            console.error(`Supabase private file upload error to bucket "${bucketName}" for path "${filePath}":`, error);
+            return { error };
+        }
+        return { path: filePath };
+    }
+
+    router.post('/post-job', authenticate, requireCompany, logoUpload, async (req, res) => {
          try {
         const userId = req.user.id;
-        const { data: profile, error: profileError } = await supabase.from('profiles').select('role').eq('id', userId).single();
-        const userRole = profile ? profile.role : null;
-        if (userRole !== 'company') {
-             return res.status(403).json({ error: 'Forbidden: Only company accounts can post jobs.' });
-        }
 
         const {
             companyName,
@@ -103,17 +145,24 @@ export default function(supabase) {
             applicationDeadline,
             maxApplicants,
             notifyMe,
-            requirements
+            requirements,
+            status = 'open'
         } = req.body;
 
         if (!companyName || !jobTitle || !jobDescription || !responsibilities || !locationType || !salaryCompensation || !requirements) {
              return res.status(400).json({ error: 'Missing required job details.' });
         }
 
+        if (!['draft', 'open'].includes(status)) {
+             return res.status(400).json({ error: 'New jobs can only be saved as "draft" or "open".' });
+        }
+
         let companyLogoUrl = null;
         if (req.file) {
-            const file = req.file;
-            const fileExtension = path.extname(file.originalname);
+            const { file, extension: fileExtension, status: rejectStatus, code, error: rejectError } = await inspectUpload(supabase, req.file, 'companyLogo', { userId });
+            if (rejectError) {
+                return res.status(rejectStatus).json({ code, error: rejectError });
+            }
             const uniqueFileName = `${uuidv4()}${fileExtension}`;
             const filePath = `${userId}/job_logos/${uniqueFileName}`;
             const { publicUrl, error: uploadError } = await uploadFileToSupabase(file, 'company_logos', filePath);
@@ -125,25 +174,13 @@ export default function(supabase) {
             companyLogoUrl = publicUrl;
         }
 
-        let parsedRequirements = [];
-        try {
-            parsedRequirements = JSON.parse(requirements);
-            if (!Array.isArray(parsedRequirements)) {
-                 parsedRequirements = [];
-                 console.warn('Received requirements were not a valid array.');
-            } else {
-                parsedRequirements = parsedRequirements.filter(req =>
-                     req && typeof req === 'object' && req.description && typeof req.required === 'boolean' && req.type && ['Text Input', 'File Upload'].includes(req.type)
-                );
-                 if (parsedRequirements.length !== JSON.parse(requirements).length) {
-                     console.warn('Some requirements were filtered out due to invalid structure.');
-                 }
-            }
-        } catch (parseError) {
-            console.error('Failed to parse requirements JSON:', parseError);
-            parsedRequirements = [];
+        const { requirements: parsedRequirements, error: requirementsError } = normalizeRequirements(requirements);
+        if (requirementsError) {
+            return res.status(400).json({ error: requirementsError });
         }
 
+        const salaryRange = parseSalaryRange(salaryCompensation);
+
         const { data, error } = await supabase
             .from('jobs')
             .insert([
@@ -159,6 +196,8 @@ export default function(supabase) {
                     location_type: locationType,
                     location_input: locationInput,
                     salary_compensation: salaryCompensation,
+                    salary_min: salaryRange.min,
+                    salary_max: salaryRange.max,
                     negotiable: negotiable,
                     job_description: jobDescription,
                     responsibilities: responsibilities,
@@ -166,7 +205,8 @@ export default function(supabase) {
                     application_deadline: applicationDeadline || null,
                     max_applicants: maxApplicants || null,
                     notify_me: notifyMe,
-                    requirements: parsedRequirements
+                    requirements: parsedRequirements,
+                    status: status
                 },
             ])
             .select();
@@ -176,6 +216,12 @@ export default function(supabase) {
             return res.status(500).json({ error: 'Failed to post job to database.' });
         }
 
+        // Fans out to every connection of the company, so it isn't awaited; publishEvent never throws
+        if (data[0].status === 'open') {
+            publishEvent(supabase, 'job.posted', { job: data[0] })
+                .catch(error => console.error('Error publishing job posted notification:', error));
+        }
+
         res.status(201).json({ message: 'Job posted successfully!', job: data[0] });
 
     } catch (error) {
@@ -184,44 +230,87 @@ export default function(supabase) {
     }
     });
 
+    // GET /api/jobs/matches - Rank all jobs against the authenticated talent's profile
+    // Optional query params: limit (max results), minScore (0-100)
+    router.get('/matches', authenticate, requireTalent, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+            const minScore = Math.max(parseInt(req.query.minScore, 10) || 0, 0);
+
+            const { data: profile, error: profileError } = await supabase
+                .from('profiles')
+                .select('*')
+                .eq('id', userId)
+                .single();
+
+            if (profileError || !profile) {
+                console.error('Error fetching talent profile for matching:', profileError);
+                return res.status(404).json({ error: 'Profile not found. Complete your profile to get job matches.' });
+            }
+
+            const { data: jobsData, error: fetchError } = await withinDeadline(supabase
+                .from('jobs')
+                .select(JOB_COLUMNS)
+                .eq('status', 'open'));
+
+            if (fetchError) {
+                console.error('Supabase fetch jobs for matching error:', fetchError);
+                return res.status(500).json({ error: 'Failed to fetch jobs.' });
+            }
+
+            const matches = rankJobsForProfile(jobsData, profile, { limit, minScore }).map(({ job, score, breakdown }) => ({
+                job: formatJob(job),
+                score,
+                breakdown
+            }));
+
+            res.status(200).json({ matches });
+
+        } catch (error) {
+            console.error('Error matching jobs:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/jobs - Search, filter and paginate job listings
+    // Query params: q, location, positionType, experienceLevel, industry, locationType (comma-separated lists allowed),
+    // salaryMin, salaryMax, postedSince, sort ('newest' | 'oldest' | 'deadline' | 'salary'), cursor, limit
     router.get('/', async (req, res) => {
         try {
-        const { data: jobsData, error: fetchError } = await supabase
-            .from('jobs')
-            .select('id, user_id, company_name, company_website, company_logo_url, job_title, position_type, experience_level, industry, location_type, location_input, salary_compensation, negotiable, job_description, responsibilities, how_to_apply, application_deadline, max_applicants, notify_me, requirements, created_at, profiles(id, name, profile_picture_url)')
-            .order('created_at', { ascending: false });
+        const { params, error: paramsError } = parseJobSearchParams(req.query);
+        if (paramsError) {
+            return res.status(400).json({ error: paramsError });
+        }
+
+        const { count: total, error: countError } = await applyJobFilters(
+            supabase.from('jobs').select('id', { count: 'exact', head: true }),
+            params
+        );
+
+        if (countError) {
+            console.error('Supabase count jobs error:', countError);
+            return res.status(500).json({ error: 'Failed to fetch jobs.' });
+        }
+
+        const { data: jobsData, error: fetchError } = await applyJobPage(
+            applyJobFilters(supabase.from('jobs').select(JOB_COLUMNS), params),
+            params
+        );
 
         if (fetchError) { // Corrected this from 'error' to 'fetchError'
             console.error('Supabase fetch jobs error:', fetchError);
             return res.status(500).json({ error: 'Failed to fetch jobs.' });
         }
 
-        const formattedJobs = jobsData.map(job => ({
-            companyProfile: job.profiles ? { name: job.profiles.name, profilePictureUrl: job.profiles.profile_picture_url } : null,
-            id: job.id,
-            companyId: job.user_id,
-            companyName: job.company_name,
-            websiteLink: job.company_website,
-            logoUrl: job.company_logo_url,
-            jobTitle: job.job_title,
-            positionType: job.position_type,
-            experienceLevel: job.experience_level,
-            industry: job.industry,
-            locationType: job.location_type,
-            location: job.location_input,
-            salaryCompensation: job.salary_compensation,
-            negotiable: job.negotiable,
-            description: job.job_description,
-            responsibilities: Array.isArray(job.responsibilities) ? job.responsibilities : (typeof job.responsibilities === 'string' ? job.responsibilities.split('\n').filter(line => line.trim() !== '') : []),
-            howToApply: job.how_to_apply,
-            applicationDeadline: job.application_deadline,
-            maxApplicants: job.max_applicants,
-            notifyMe: job.notify_me,
-            requirements: Array.isArray(job.requirements) ? job.requirements : [],
-            postedDate: job.created_at
-        }));
-
-        res.status(200).json(formattedJobs);
+        const hasMore = jobsData.length > params.limit;
+        const pageJobs = hasMore ? jobsData.slice(0, params.limit) : jobsData;
+
+        res.status(200).json({
+            jobs: pageJobs.map(formatJob),
+            total,
+            nextCursor: hasMore ? encodeCursor(pageJobs[pageJobs.length - 1], params.sort) : null
+        });
 
     } catch (error) {
         console.error('Error fetching jobs:', error);
@@ -229,14 +318,9 @@ export default function(supabase) {
     }
     });
 
-    router.post('/apply-job', authenticate, authorizeRoleMiddleware('talent'), upload.any(), async (req, res) => {
+    router.post('/apply-job', authenticate, requireTalent, applicationUpload, async (req, res) => {
         try {
         const userId = req.user.id;
-        const { data: profile, error: profileError } = await supabase.from('profiles').select('role').eq('id', userId).single();
-        const userRole = profile ? profile.role : null;
-         if (userRole !== 'talent') {
-              return res.status(403).json({ error: 'Forbidden: Only talent accounts can apply for jobs.' });
-         }
 
         const { jobId } = req.body;
 
@@ -246,94 +330,140 @@ export default function(supabase) {
 
         const { data: jobData, error: jobError } = await supabase
             .from('jobs')
-            .select('id, requirements')
+            .select('id, user_id, job_title, company_name, requirements, status, application_deadline, max_applicants')
             .eq('id', jobId)
             .single();
 
         if (jobError || !jobData) {
             console.error('Error fetching job for application:', jobError);
-            return res.status(404).json({ error: 'Job not found or could not be retrieved.' });
+            return res.status(404).json(applicationErrorResponse('JOB_NOT_FOUND'));
+        }
+
+        // Fail fast before uploading any files; submitApplication() re-checks atomically
+        const { count: existingCount, error: existingError } = await supabase
+            .from('applications')
+            .select('id', { count: 'exact', head: true })
+            .eq('job_id', jobId)
+            .eq('user_id', userId);
+
+        if (existingError) {
+            console.error('Error checking for existing application:', existingError);
+            return res.status(500).json({ error: 'Failed to submit application to database.' });
+        }
+
+        const rejection = applicationRejection(jobData, await countApplications(supabase, jobId), existingCount > 0);
+        if (rejection) {
+            return res.status(APPLICATION_ERRORS[rejection].status).json(applicationErrorResponse(rejection));
         }
 
         const jobRequirements = Array.isArray(jobData.requirements) ? jobData.requirements : [];
-         const requiredRequirements = jobRequirements.filter(req => req.required);
 
         const applicationContent = {};
-        const uploadedFileUrls = {};
-
-        for (const key in req.body) {
-            const matchingRequirement = requiredRequirements.find(req =>
-                req.type === 'Text Input' && `requirement_TextInput_${req.description}` === key
-             );
-
-            if (matchingRequirement) {
-                 if (!req.body[key].trim()) {
-                      return res.status(400).json({ error: `Required text input "${matchingRequirement.description}" is missing.` });
-                 }
-                applicationContent[matchingRequirement.description] = {
-                    type: 'Text Input',
-                    value: req.body[key].trim()
-                };
-            } else if (key === 'jobId') {
+        const uploadedFilePaths = [];
+        const pendingFiles = [];
+        const missingRequirements = [];
+        const knockouts = [];
+
+        // Validate every answer before uploading anything
+        for (const requirement of jobRequirements) {
+            const fieldNames = requirementFieldNames(requirement);
+
+            if (requirement.type === 'File Upload') {
+                const file = (req.files || []).find(candidate => fieldNames.includes(candidate.fieldname));
+                if (file) {
+                    pendingFiles.push({ requirement, file });
+                } else if (requirement.required) {
+                    missingRequirements.push(requirement);
+                }
                 continue;
-            } else {
-                console.warn(`Received unexpected form field in application: ${key}`);
             }
-        }
 
-        if (req.files && req.files.length > 0) {
-            for (const file of req.files) {
-                const matchingRequirement = requiredRequirements.find(req =>
-                    req.type === 'File Upload' && `requirement_FileUpload_${req.description}` === file.fieldname
-                 );
-
-                if (matchingRequirement) {
-                    const fileExtension = path.extname(file.originalname);
-                    const uniqueFileName = `${uuidv4()}${fileExtension}`;
-                    const filePath = `applications/${userId}/${jobId}/${uniqueFileName}`;
-                    const { publicUrl, error: uploadError } = await uploadFileToSupabase(file, 'application_files', filePath);
-
-                    if (uploadError) {
-                         console.error('Failed to upload application file:', uploadError);
-                         return res.status(500).json({ error: `Failed to upload file for requirement "${matchingRequirement.description}".` });
-                    }
-
-                    applicationContent[matchingRequirement.description] = {
-                         type: 'File Upload',
-                         value: publicUrl
-                    };
-                    uploadedFileUrls[matchingRequirement.description] = publicUrl;
-                } else {
-                     console.warn(`Received file for unexpected field in application: ${file.fieldname}`);
-                }
+            const fieldName = fieldNames.find(name => {
+                const answer = req.body[name];
+                return answer !== undefined && (Array.isArray(answer) ? answer.length > 0 : String(answer).trim() !== '');
+            });
+            if (!fieldName) {
+                if (requirement.required) missingRequirements.push(requirement);
+                continue;
             }
-        }
 
-         const missingRequirements = requiredRequirements.filter(req => !applicationContent.hasOwnProperty(req.description));
+            const { value, error: answerError } = validateAnswer(requirement, req.body[fieldName]);
+            if (answerError) {
+                return res.status(400).json({ code: 'INVALID_ANSWER', error: answerError, requirementId: requirementKey(requirement) });
+            }
+            applicationContent[requirementKey(requirement)] = { type: requirement.type, description: requirement.description, value };
+            if (isKnockout(requirement, value)) knockouts.push(requirement);
+        }
 
          if (missingRequirements.length > 0) {
              const missingDescriptions = missingRequirements.map(req => req.description).join(', ');
-             return res.status(400).json({ error: `Missing required application information: ${missingDescriptions}.` });
+             return res.status(400).json({
+                 code: 'MISSING_REQUIREMENTS',
+                 error: `Missing required application information: ${missingDescriptions}.`,
+                 requirementIds: missingRequirements.map(requirementKey)
+             });
          }
 
-        const { data, error } = await supabase
-            .from('applications')
- .insert([
-                {
-                    user_id: userId,
-                    job_id: jobId,
-                    type: 'application',
-                    content: applicationContent,
-                },
-            ])
-            .select();
+        // Check every file against the upload policy before storing any of them
+        const checkedFiles = [];
+        for (const { requirement, file: rawFile } of pendingFiles) {
+            const { file, extension, status: rejectStatus, code, error: rejectError } = await inspectUpload(supabase, rawFile, 'applicationFile', { userId });
+            if (rejectError) {
+                return res.status(rejectStatus).json({ code, error: rejectError, requirementId: requirementKey(requirement) });
+            }
+            checkedFiles.push({ requirement, file, extension });
+        }
 
-        if (error) {
-            console.error('Supabase insert application error:', error);
-            return res.status(500).json({ error: 'Failed to submit application to database.' });
+        for (const { requirement, file, extension: fileExtension } of checkedFiles) {
+            const uniqueFileName = `${uuidv4()}${fileExtension}`;
+            const filePath = `applications/${userId}/${jobId}/${uniqueFileName}`;
+            const { error: uploadError } = await uploadPrivateFile(file, 'application_files', filePath);
+
+            if (uploadError) {
+                 console.error('Failed to upload application file:', uploadError);
+                 return res.status(500).json({ error: `Failed to upload file for requirement "${requirement.description}".` });
+            }
+
+            uploadedFilePaths.push(filePath);
+            applicationContent[requirementKey(requirement)] = {
+                 type: 'File Upload',
+                 description: requirement.description,
+                 name: file.originalname,
+                 storagePath: filePath
+            };
         }
 
-        res.status(201).json({ message: 'Application submitted successfully!', application: data[0] });
+        const { application, code } = await submitApplication(supabase, { jobId, userId, content: applicationContent });
+
+        if (code) {
+            // The job filled up, expired or was closed while files were uploading
+            if (uploadedFilePaths.length > 0) {
+                const { error: removeError } = await supabase.storage.from('application_files').remove(uploadedFilePaths);
+                if (removeError) console.error('Failed to remove files of rejected application:', removeError);
+            }
+            return res.status(APPLICATION_ERRORS[code].status).json(applicationErrorResponse(code));
+        }
+
+        // A knockout answer (e.g. "No" to "Are you authorized to work here?") rejects the application straight away
+        if (knockouts.length > 0) {
+            const { application: rejected, error: rejectError } = await transitionApplication(supabase, {
+                application,
+                job: jobData,
+                toStatus: 'Rejected',
+                actorId: null,
+                actorRole: 'system',
+                note: `Knockout question: ${knockouts.map(req => req.description).join(', ')}`
+            });
+            if (rejectError) {
+                console.error('Failed to auto-reject knocked-out application:', rejectError);
+            }
+            return res.status(201).json({ message: 'Application submitted successfully!', application: rejected || application });
+        }
+
+        const { profile: applicant } = await fetchProfile(supabase, userId);
+        await publishEvent(supabase, 'application.submitted', { application, job: jobData, applicantName: applicant?.name });
+
+        res.status(201).json({ message: 'Application submitted successfully!', application });
 
     } catch (error) {
         console.error('Error submitting application:', error);
@@ -341,16 +471,17 @@ export default function(supabase) {
     }
     });
 
-    router.get('/my-applications', authenticate, authorizeRoleMiddleware('talent'), async (req, res) => {
+    router.get('/my-applications', authenticate, requireTalent, async (req, res) => {
         try {
         const userId = req.user.id;
 
         const { data: applications, error: fetchError } = await supabase
             .from('applications')
             .select(`
- id:application_id,
+                id,
                 job_id,
                 created_at,
+                status,
                 content,
                 jobs (
                     id,
@@ -376,7 +507,7 @@ export default function(supabase) {
                 id: app.id,
                 jobId: app.job_id,
                 applicationDate: app.created_at,
-                status: 'Submitted',
+                status: app.status || 'Submitted',
                 jobTitle: job ? job.job_title : 'Unknown Job',
                 companyName: job ? job.company_name : 'Unknown Company',
                 companyLogo: job ? job.company_logo_url : null,
@@ -394,5 +525,274 @@ export default function(supabase) {
     }
     });
 
+    // Fetches a job and checks it belongs to the authenticated company.
+    // Returns { job } or { status, error } for the caller to send.
+    async function fetchOwnedJob(jobId, userId) {
+        const { data: job, error } = await supabase
+            .from('jobs')
+            .select(JOB_COLUMNS)
+            .eq('id', jobId)
+            .single();
+
+        if (error || !job) {
+            return { status: 404, error: 'Job not found.' };
+        }
+        if (job.user_id !== userId) {
+            return { status: 403, error: 'Forbidden: You can only manage your own jobs.' };
+        }
+        return { job };
+    }
+
+    // GET /api/jobs/:jobId - Fetch a single job posting with its application count (owner only)
+    router.get('/:jobId', authenticate, requireCompany, async (req, res) => {
+        try {
+            const { job, status, error } = await fetchOwnedJob(req.params.jobId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const applicationCount = await countApplications(supabase, job.id);
+            res.status(200).json({ ...formatJob(job), applicationCount });
+
+        } catch (error) {
+            console.error('Error fetching job:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PATCH /api/jobs/:jobId - Edit a job posting and/or change its status (owner only)
+    // Accepts any of the post-job fields plus "status"; a new companyLogo file replaces the logo.
+    router.patch('/:jobId', authenticate, requireCompany, logoUpload, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const { job, status: fetchStatus, error: fetchError } = await fetchOwnedJob(req.params.jobId, userId);
+            if (fetchError) {
+                return res.status(fetchStatus).json({ error: fetchError });
+            }
+
+            const updates = {};
+            for (const [field, column] of Object.entries(EDITABLE_JOB_FIELDS)) {
+                if (req.body[field] !== undefined) {
+                    updates[column] = req.body[field] === '' ? null : req.body[field];
+                }
+            }
+
+            if (req.body.requirements !== undefined) {
+                const { requirements: normalized, error: requirementsError } = normalizeRequirements(req.body.requirements);
+                if (requirementsError) {
+                    return res.status(400).json({ error: requirementsError });
+                }
+                updates.requirements = normalized;
+            }
+
+            if (updates.salary_compensation !== undefined) {
+                const salaryRange = parseSalaryRange(updates.salary_compensation);
+                updates.salary_min = salaryRange.min;
+                updates.salary_max = salaryRange.max;
+            }
+
+            if (req.file) {
+                const { file, extension: fileExtension, status: rejectStatus, code, error: rejectError } = await inspectUpload(supabase, req.file, 'companyLogo', { userId });
+                if (rejectError) {
+                    return res.status(rejectStatus).json({ code, error: rejectError });
+                }
+                const filePath = `${userId}/job_logos/${uuidv4()}${fileExtension}`;
+                const { publicUrl, error: uploadError } = await uploadFileToSupabase(file, 'company_logos', filePath);
+
+                if (uploadError) {
+                    console.error('Failed to upload company logo:', uploadError);
+                    return res.status(500).json({ error: 'Failed to upload company logo.' });
+                }
+                updates.company_logo_url = publicUrl;
+            }
+
+            const { status: newStatus } = req.body;
+            const edited = { ...job, ...updates };
+
+            if (newStatus !== undefined && newStatus !== job.status) {
+                if (!JOB_STATUSES.includes(newStatus)) {
+                    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}.` });
+                }
+                if (!canTransitionJob(job.status, newStatus)) {
+                    return res.status(409).json({ error: `Cannot change a ${job.status} job to ${newStatus}.` });
+                }
+                updates.status = newStatus;
+                updates.closed_reason = newStatus === 'closed' ? 'manual' : null;
+            }
+
+            // Reopening (or editing an open job) must not leave it open past its deadline or capacity
+            if ((updates.status || job.status) === 'open') {
+                const reason = closingReason(edited, await countApplications(supabase, job.id));
+                if (reason) {
+                    const detail = reason.reason === 'application_deadline'
+                        ? 'the application deadline has passed'
+                        : 'it has reached its maximum number of applicants';
+                    return res.status(409).json({ error: `The job cannot be open because ${detail}.` });
+                }
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({ error: 'No changes provided.' });
+            }
+            updates.updated_at = new Date().toISOString();
+
+            const { data: updatedJob, error: updateError } = await supabase
+                .from('jobs')
+                .update(updates)
+                .eq('id', job.id)
+                .select(JOB_COLUMNS)
+                .single();
+
+            if (updateError) {
+                console.error('Supabase update job error:', updateError);
+                return res.status(500).json({ error: 'Failed to update job.' });
+            }
+
+            // Publishing a draft announces it; reopening a closed job doesn't
+            if (job.status === 'draft' && updatedJob.status === 'open') {
+                publishEvent(supabase, 'job.posted', { job: updatedJob })
+                    .catch(error => console.error('Error publishing job posted notification:', error));
+            }
+
+            res.status(200).json({ message: 'Job updated successfully!', job: formatJob(updatedJob) });
+
+        } catch (error) {
+            console.error('Error updating job:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // DELETE /api/jobs/:jobId - Delete a job posting (owner only)
+    // Jobs that already have applications are kept for the applicants' records and must be closed instead.
+    router.delete('/:jobId', authenticate, requireCompany, async (req, res) => {
+        try {
+            const { job, status, error } = await fetchOwnedJob(req.params.jobId, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            if (await countApplications(supabase, job.id, { includeWithdrawn: true }) > 0) {
+                return res.status(409).json({ error: 'This job has applications. Close it instead of deleting it.' });
+            }
+
+            const { error: deleteError } = await supabase
+                .from('jobs')
+                .delete()
+                .eq('id', job.id);
+
+            if (deleteError) {
+                console.error('Supabase delete job error:', deleteError);
+                return res.status(500).json({ error: 'Failed to delete job.' });
+            }
+
+            res.status(200).json({ message: 'Job deleted successfully.' });
+
+        } catch (error) {
+            console.error('Error deleting job:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/jobs/:jobId/candidates - Ranked shortlist of applicants and other talents for a job (owner only)
+    // Optional query params: minScore (0-100), limit, source ('all' | 'applicants' | 'talent')
+    router.get('/:jobId/candidates', authenticate, requireCompany, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            const { jobId } = req.params;
+            const minScore = Math.max(parseInt(req.query.minScore, 10) || 0, 0);
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const source = req.query.source || 'all';
+
+            if (!['all', 'applicants', 'talent'].includes(source)) {
+                return res.status(400).json({ error: 'source must be one of "all", "applicants" or "talent".' });
+            }
+
+            const { data: job, error: jobError } = await supabase
+                .from('jobs')
+                .select(JOB_COLUMNS)
+                .eq('id', jobId)
+                .single();
+
+            if (jobError || !job) {
+                console.error('Error fetching job for candidate ranking:', jobError);
+                return res.status(404).json({ error: 'Job not found.' });
+            }
+
+            if (job.user_id !== userId) {
+                return res.status(403).json({ error: 'Forbidden: You can only view candidates for your own jobs.' });
+            }
+
+            const { data: applications, error: applicationsError } = await supabase
+                .from('applications')
+                .select('id, user_id, created_at')
+                .eq('job_id', jobId);
+
+            if (applicationsError) {
+                console.error('Supabase fetch applications for candidates error:', applicationsError);
+                return res.status(500).json({ error: 'Failed to fetch applications.' });
+            }
+
+            const applicationsByUser = new Map(applications.map(app => [app.user_id, app]));
+            const profilesById = new Map();
+
+            if (source !== 'talent' && applicationsByUser.size > 0) {
+                const { data: applicantProfiles, error: applicantError } = await supabase
+                    .from('profiles')
+                    .select('*')
+                    .in('id', [...applicationsByUser.keys()]);
+
+                if (applicantError) {
+                    console.error('Supabase fetch applicant profiles error:', applicantError);
+                    return res.status(500).json({ error: 'Failed to fetch applicant profiles.' });
+                }
+                applicantProfiles.forEach(profile => profilesById.set(profile.id, profile));
+            }
+
+            if (source !== 'applicants') {
+                const { data: talentProfiles, error: talentError } = await supabase
+                    .from('profiles')
+                    .select('*')
+                    .eq('role', 'talent')
+                    .limit(CANDIDATE_POOL_LIMIT);
+
+                if (talentError) {
+                    console.error('Supabase fetch talent profiles error:', talentError);
+                    return res.status(500).json({ error: 'Failed to fetch talent profiles.' });
+                }
+                talentProfiles
+                    .filter(profile => source === 'all' || !applicationsByUser.has(profile.id))
+                    .forEach(profile => profilesById.set(profile.id, profile));
+            }
+
+            // Talent blocked by (or blocking) the company never shows up in its candidate lists
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                return res.status(500).json({ error: 'Failed to fetch candidates.' });
+            }
+            blocks.all.forEach(blockedId => profilesById.delete(blockedId));
+
+            const candidates = rankCandidatesForJob(job, [...profilesById.values()], { minScore, limit }).map(({ profile, score, breakdown }) => {
+                const application = applicationsByUser.get(profile.id);
+                return {
+                    userId: profile.id,
+                    name: profile.name,
+                    profilePictureUrl: avatarUrlOf(profile),
+                    headline: profile.headline || null,
+                    isApplicant: Boolean(application),
+                    applicationId: application ? application.id : null,
+                    appliedAt: application ? application.created_at : null,
+                    score,
+                    breakdown
+                };
+            });
+
+            res.status(200).json({ jobId: job.id, candidates });
+
+        } catch (error) {
+            console.error('Error ranking candidates:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
     return router; // Return the router for the main app to use
 }
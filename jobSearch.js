@@ -0,0 +1,182 @@
+// jobSearch.js - Query-string parsing, filtering and keyset pagination for GET /api/jobs.
+
+import { validate as isUuid } from 'uuid';
+import { withinDeadline } from './jobLifecycle.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Each sort option orders by one column, with the job id as a tie-breaker so the cursor is stable.
+const SORT_OPTIONS = {
+    newest: { column: 'created_at', ascending: false, nullable: false, type: 'timestamp' },
+    oldest: { column: 'created_at', ascending: true, nullable: false, type: 'timestamp' },
+    deadline: { column: 'application_deadline', ascending: true, nullable: true, type: 'timestamp' },
+    salary: { column: 'salary_max', ascending: false, nullable: true, type: 'number' }
+};
+
+// Cursor values end up inside a PostgREST filter string, so only plain ISO dates/timestamps and finite numbers pass
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d{1,6})?)?(?:Z|[+-]\d{2}(?::?\d{2})?)?)?$/;
+const CURSOR_VALUE_CHECKS = {
+    timestamp: (value) => typeof value === 'string' && ISO_TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value)),
+    number: (value) => typeof value === 'number' && Number.isFinite(value)
+};
+
+// Multi-value filters accept a comma-separated list, e.g. ?locationType=Remote,Hybrid
+const LIST_FILTERS = {
+    positionType: 'position_type',
+    experienceLevel: 'experience_level',
+    industry: 'industry',
+    locationType: 'location_type'
+};
+
+// Pulls numeric bounds out of free-text compensation such as "$50,000 - $70,000" or "80k-100k".
+export function parseSalaryRange(text) {
+    if (!text) return { min: null, max: null };
+    const amounts = [...String(text).matchAll(/(\d[\d,]*(?:\.\d+)?)\s*([km])?\b/gi)]
+        .map(([, amount, suffix]) => {
+            const value = parseFloat(amount.replace(/,/g, ''));
+            const multiplier = !suffix ? 1 : (suffix.toLowerCase() === 'k' ? 1000 : 1000000);
+            return value * multiplier;
+        })
+        .filter(value => Number.isFinite(value) && value > 0);
+    if (amounts.length === 0) return { min: null, max: null };
+    return { min: Math.min(...amounts), max: Math.max(...amounts) };
+}
+
+export function encodeCursor(job, sortKey) {
+    const { column } = SORT_OPTIONS[sortKey];
+    return Buffer.from(JSON.stringify({ v: job[column] ?? null, id: job.id })).toString('base64url');
+}
+
+// Returns { value, id } for a well-formed cursor of the given sort, or null
+function decodeCursor(cursor, sortKey) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+    if (!decoded || typeof decoded !== 'object' || !isUuid(decoded.id)) return null;
+
+    const { nullable, type } = SORT_OPTIONS[sortKey];
+    const value = decoded.v ?? null;
+    if (value === null ? !nullable : !CURSOR_VALUE_CHECKS[type](value)) return null;
+    return { value, id: decoded.id };
+}
+
+const parseNumber = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+};
+
+// Validates req.query. Returns { error } or { params } ready for applyJobFilters/applyJobPage.
+export function parseJobSearchParams(query) {
+    const sort = query.sort || 'newest';
+    if (!SORT_OPTIONS[sort]) {
+        return { error: `sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}.` };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { error: 'limit must be a positive integer.' };
+    }
+
+    const salaryMin = parseNumber(query.salaryMin);
+    const salaryMax = parseNumber(query.salaryMax);
+    if (Number.isNaN(salaryMin) || Number.isNaN(salaryMax)) {
+        return { error: 'salaryMin and salaryMax must be numbers.' };
+    }
+    if (salaryMin !== undefined && salaryMax !== undefined && salaryMin > salaryMax) {
+        return { error: 'salaryMin cannot be greater than salaryMax.' };
+    }
+
+    let postedSince;
+    if (query.postedSince) {
+        const date = new Date(query.postedSince);
+        if (Number.isNaN(date.getTime())) {
+            return { error: 'postedSince must be a valid date.' };
+        }
+        postedSince = date.toISOString();
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(String(query.cursor), sort);
+        if (!cursor) {
+            return { error: 'Invalid cursor.' };
+        }
+    }
+
+    const lists = {};
+    for (const [param, column] of Object.entries(LIST_FILTERS)) {
+        if (query[param]) {
+            lists[column] = String(query[param]).split(',').map(value => value.trim()).filter(Boolean);
+        }
+    }
+
+    return {
+        params: {
+            q: query.q ? String(query.q).trim() : '',
+            location: query.location ? String(query.location).trim() : '',
+            lists,
+            salaryMin,
+            salaryMax,
+            postedSince,
+            sort,
+            limit: Math.min(limit, MAX_PAGE_SIZE),
+            cursor
+        }
+    };
+}
+
+// Applies the filters shared by the count query and the page query. Only open jobs whose deadline hasn't
+// passed are listed.
+export function applyJobFilters(query, params) {
+    query = withinDeadline(query.eq('status', 'open'));
+    if (params.q) {
+        query = query.textSearch('search_vector', params.q, { type: 'websearch', config: 'english' });
+    }
+    if (params.location) {
+        // Escape LIKE wildcards so the text is matched literally
+        query = query.ilike('location_input', `%${params.location.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+    for (const [column, values] of Object.entries(params.lists)) {
+        query = values.length === 1 ? query.eq(column, values[0]) : query.in(column, values);
+    }
+    if (params.salaryMin !== undefined) {
+        query = query.gte('salary_max', params.salaryMin);
+    }
+    if (params.salaryMax !== undefined) {
+        query = query.lte('salary_min', params.salaryMax);
+    }
+    if (params.postedSince) {
+        query = query.gte('created_at', params.postedSince);
+    }
+    return query;
+}
+
+// Applies ordering, the keyset cursor and the page size. Fetches one extra row to know whether there is a next page.
+export function applyJobPage(query, params) {
+    const { column, ascending, nullable } = SORT_OPTIONS[params.sort];
+
+    if (params.cursor) {
+        const { value, id } = params.cursor;
+        if (value === null) {
+            // Nulls sort last, so after a null only other nulls with a greater id remain
+            query = query.or(`and(${column}.is.null,id.gt."${id}")`);
+        } else {
+            const after = [
+                `${column}.${ascending ? 'gt' : 'lt'}."${value}"`,
+                `and(${column}.eq."${value}",id.gt."${id}")`
+            ];
+            if (nullable) after.push(`${column}.is.null`);
+            query = query.or(after.join(','));
+        }
+    }
+
+    return query
+        .order(column, { ascending, nullsFirst: false })
+        .order('id', { ascending: true })
+        .limit(params.limit + 1);
+}
@@ -0,0 +1,226 @@
+// moderation.js - Reports and the actions moderators can take on them.
+// Reports are filed by any user on content they can see; admins resolve them and every action is audited.
+
+import { publishToRoom } from './realtime.js';
+import { CHAT_MEDIA_BUCKET, storagePathOf } from './chatMedia.js';
+
+export const ADMIN_ROLE = 'admin';
+
+export const REPORT_ITEM_TYPES = ['message', 'chat', 'job', 'profile'];
+export const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const MAX_REASON_LENGTH = 1000;
+const CONTEXT_MESSAGES = 5;
+
+// Resolution actions and the item types each applies to
+export const MODERATION_ACTIONS = {
+    dismiss: REPORT_ITEM_TYPES,
+    delete_message: ['message'],
+    warn: REPORT_ITEM_TYPES,
+    suspend_user: REPORT_ITEM_TYPES,
+    take_down_job: ['job']
+};
+
+const MAX_SUSPENSION_DAYS = 3650;
+
+// Looks up a reported item the reporter is allowed to see.
+// Returns { item, reportedUserId } or { status, error }. Items the reporter can't see look the same as missing ones.
+export async function findReportableItem(supabase, itemType, itemId, viewerId) {
+    const notFound = { status: 404, error: 'Reported item not found.' };
+
+    if (itemType === 'message') {
+        const { data: message, error } = await supabase
+            .from('messages')
+            .select('id, chat_id, sender_id, text, files_urls, created_at, chat_rooms(participants)')
+            .eq('id', itemId)
+            .maybeSingle();
+        if (error) return { status: 500, error: 'Failed to fetch reported item.' };
+        if (!message || !message.chat_rooms?.participants?.includes(viewerId)) return notFound;
+        if (message.sender_id === viewerId) return { status: 400, error: 'You cannot report your own message.' };
+        return { item: message, reportedUserId: message.sender_id };
+    }
+
+    if (itemType === 'chat') {
+        const { data: room, error } = await supabase
+            .from('chat_rooms')
+            .select('id, participants')
+            .eq('id', itemId)
+            .maybeSingle();
+        if (error) return { status: 500, error: 'Failed to fetch reported item.' };
+        if (!room || !room.participants.includes(viewerId)) return notFound;
+        const others = room.participants.filter(id => id !== viewerId);
+        return { item: room, reportedUserId: others.length === 1 ? others[0] : null };
+    }
+
+    if (itemType === 'job') {
+        const { data: job, error } = await supabase
+            .from('jobs')
+            .select('id, user_id, job_title, company_name, status')
+            .eq('id', itemId)
+            .maybeSingle();
+        if (error) return { status: 500, error: 'Failed to fetch reported item.' };
+        // Drafts are only visible to their owner, who has no reason to report them
+        if (!job || job.status === 'draft') return notFound;
+        if (job.user_id === viewerId) return { status: 400, error: 'You cannot report your own job posting.' };
+        return { item: job, reportedUserId: job.user_id };
+    }
+
+    if (itemType === 'profile') {
+        if (itemId === viewerId) return { status: 400, error: 'You cannot report your own profile.' };
+        const { data: profile, error } = await supabase
+            .from('profiles')
+            .select('id, name, role')
+            .eq('id', itemId)
+            .maybeSingle();
+        if (error) return { status: 500, error: 'Failed to fetch reported item.' };
+        if (!profile) return notFound;
+        return { item: profile, reportedUserId: profile.id };
+    }
+
+    return { status: 400, error: `itemType must be one of: ${REPORT_ITEM_TYPES.join(', ')}.` };
+}
+
+// Validates and files a report. Returns { report } or { status, error }.
+export async function fileReport(supabase, { reporterId, itemType, itemId, reason }) {
+    if (!REPORT_ITEM_TYPES.includes(itemType) || !itemId || typeof reason !== 'string' || !reason.trim()) {
+        return { status: 400, error: `itemType (${REPORT_ITEM_TYPES.map(type => `"${type}"`).join(', ')}), itemId, and reason are required.` };
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+        return { status: 400, error: `reason must be at most ${MAX_REASON_LENGTH} characters.` };
+    }
+
+    const { reportedUserId, status, error } = await findReportableItem(supabase, itemType, itemId, reporterId);
+    if (error) return { status, error };
+
+    const { data: report, error: insertError } = await supabase
+        .from('reports')
+        .insert([{
+            reporter_id: reporterId,
+            item_type: itemType,
+            item_id: itemId,
+            reason: reason.trim(),
+            reported_user_id: reportedUserId,
+            status: 'open'
+        }])
+        .select('*')
+        .single();
+
+    if (insertError) {
+        // One open report per reporter and item
+        if (insertError.code === '23505') return { status: 409, error: 'You have already reported this item.' };
+        console.error('Error reporting item:', insertError);
+        return { status: 500, error: 'Failed to file report.' };
+    }
+    return { report };
+}
+
+// The reported item with the surrounding content a moderator needs to judge it
+export async function loadReportContext(supabase, report) {
+    if (report.item_type === 'message') {
+        const { data: message } = await supabase.from('messages').select('*').eq('id', report.item_id).maybeSingle();
+        if (!message) return { item: null };
+
+        const [{ data: before }, { data: after }] = await Promise.all([
+            supabase.from('messages').select('*').eq('chat_id', message.chat_id)
+                .lt('created_at', message.created_at).order('created_at', { ascending: false }).limit(CONTEXT_MESSAGES),
+            supabase.from('messages').select('*').eq('chat_id', message.chat_id)
+                .gt('created_at', message.created_at).order('created_at', { ascending: true }).limit(CONTEXT_MESSAGES)
+        ]);
+        return { item: message, context: [...(before || []).reverse(), message, ...(after || [])] };
+    }
+
+    if (report.item_type === 'chat') {
+        const { data: room } = await supabase.from('chat_rooms').select('*').eq('id', report.item_id).maybeSingle();
+        if (!room) return { item: null };
+        const { data: recent } = await supabase.from('messages').select('*').eq('chat_id', room.id)
+            .order('created_at', { ascending: false }).limit(CONTEXT_MESSAGES * 4);
+        return { item: room, context: (recent || []).reverse() };
+    }
+
+    const table = report.item_type === 'job' ? 'jobs' : 'profiles';
+    const { data: item } = await supabase.from(table).select('*').eq('id', report.item_id).maybeSingle();
+    return { item: item || null };
+}
+
+// Removes a message's content for every participant, leaving a tombstone. Attached files and edit history are deleted.
+export async function deleteMessageForEveryone(supabase, message, { byModerator = false } = {}) {
+    const { error } = await supabase
+        .from('messages')
+        .update({ text: null, files_urls: null, is_pinned: false, pinned_by: null, pinned_at: null, deleted_at: new Date().toISOString(), removed_by_moderation: byModerator })
+        .eq('id', message.id);
+
+    if (error) {
+        console.error('Error deleting message for everyone:', error);
+        return { error };
+    }
+
+    publishToRoom(message.chat_id, 'message.deleted', { messageId: message.id, removedByModeration: byModerator });
+
+    // Earlier versions of the text go with it
+    const { error: historyError } = await supabase.from('message_edits').delete().eq('message_id', message.id);
+    if (historyError) console.warn('Could not remove edit history of deleted message:', historyError);
+
+    const paths = (message.files_urls || []).map(storagePathOf).filter(Boolean);
+    if (paths.length > 0) {
+        const { error: removeError } = await supabase.storage.from(CHAT_MEDIA_BUCKET).remove(paths);
+        if (removeError) console.warn('Could not remove deleted message files:', removeError);
+    }
+    return {};
+}
+
+// Suspends a user: recorded on the profile and enforced by banning the auth user, so every API call fails.
+export async function suspendUser(supabase, userId, days, reason) {
+    const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    const { error: banError } = await supabase.auth.admin.updateUserById(userId, { ban_duration: `${days * 24}h` });
+    if (banError) {
+        console.error('Error banning suspended user:', banError);
+        return { error: banError };
+    }
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ suspended_until: suspendedUntil, suspension_reason: reason || null })
+        .eq('id', userId);
+    if (error) {
+        console.error('Error recording suspension:', error);
+        return { error };
+    }
+    return { suspendedUntil };
+}
+
+export async function liftSuspension(supabase, userId) {
+    const { error: banError } = await supabase.auth.admin.updateUserById(userId, { ban_duration: 'none' });
+    if (banError) {
+        console.error('Error lifting ban:', banError);
+        return { error: banError };
+    }
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ suspended_until: null, suspension_reason: null })
+        .eq('id', userId);
+    if (error) console.error('Error clearing suspension:', error);
+    return { error };
+}
+
+export const parseSuspensionDays = (value) => {
+    const days = Number(value);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_SUSPENSION_DAYS ? days : null;
+};
+
+// Appends to the moderation audit log. Failures are logged but never undo the action itself.
+export async function recordModerationAction(supabase, { moderatorId, action, report, targetUserId, note, details }) {
+    const { error } = await supabase
+        .from('moderation_actions')
+        .insert([{
+            moderator_id: moderatorId,
+            action,
+            report_id: report ? report.id : null,
+            item_type: report ? report.item_type : null,
+            item_id: report ? report.item_id : null,
+            target_user_id: targetUserId || null,
+            note: note || null,
+            details: details || null
+        }]);
+    if (error) console.error('Error writing moderation audit log:', error);
+}
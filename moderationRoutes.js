@@ -0,0 +1,328 @@
+// moderationRoutes.js - Handles reports from users and the admin moderation queue.
+
+import express from 'express';
+import {
+    ADMIN_ROLE, MODERATION_ACTIONS, REPORT_ITEM_TYPES, REPORT_STATUSES,
+    fileReport, loadReportContext, deleteMessageForEveryone, suspendUser, liftSuspension, parseSuspensionDays, recordModerationAction
+} from './moderation.js';
+import { createAuthenticate, requireRole } from './auth.js';
+import { fetchProfilesByIds, fetchUserRole, formatProfileSummary } from './profiles.js';
+import { publishEvent } from './notifications.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const pageParams = (query) => {
+    const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+    return { limit, offset };
+};
+
+const formatReport = (report, profilesById = new Map()) => ({
+    id: report.id,
+    itemType: report.item_type,
+    itemId: report.item_id,
+    reason: report.reason,
+    status: report.status || 'open',
+    reporter: formatProfileSummary(profilesById.get(report.reporter_id)) || { id: report.reporter_id },
+    reportedUser: report.reported_user_id
+        ? formatProfileSummary(profilesById.get(report.reported_user_id)) || { id: report.reported_user_id }
+        : null,
+    createdAt: report.created_at,
+    resolvedAt: report.resolved_at || null,
+    resolvedBy: report.resolved_by || null,
+    resolutionAction: report.resolution_action || null,
+    resolutionNote: report.resolution_note || null
+});
+
+// This function is designed to be called from your main server file,
+// where you will pass the initialized Supabase client.
+export default (supabase) => {
+
+    const authenticate = createAuthenticate(supabase);
+    const requireAdmin = requireRole(supabase, ADMIN_ROLE, 'Forbidden: Moderator access required.');
+
+    async function fetchReport(reportId) {
+        const { data: report, error } = await supabase.from('reports').select('*').eq('id', reportId).maybeSingle();
+        if (error) {
+            console.error('Supabase fetch report error:', error);
+            return { status: 500, error: 'Failed to fetch report.' };
+        }
+        if (!report) return { status: 404, error: 'Report not found.' };
+        return { report };
+    }
+
+    // Carries out a resolution action. Returns { details } or { status, error }.
+    async function applyAction(action, report, { note, suspendDays, moderatorId }) {
+        const targetUserId = report.reported_user_id;
+
+        if (action === 'delete_message') {
+            const { data: message } = await supabase.from('messages').select('id, chat_id, files_urls').eq('id', report.item_id).maybeSingle();
+            if (!message) return { status: 404, error: 'The reported message no longer exists.' };
+            const { error } = await deleteMessageForEveryone(supabase, message, { byModerator: true });
+            return error ? { status: 500, error: 'Failed to delete message.' } : { details: {} };
+        }
+
+        if (action === 'take_down_job') {
+            const { error } = await supabase
+                .from('jobs')
+                .update({ status: 'removed', closed_reason: 'moderation', updated_at: new Date().toISOString() })
+                .eq('id', report.item_id);
+            if (error) {
+                console.error('Error taking down job:', error);
+                return { status: 500, error: 'Failed to take down job posting.' };
+            }
+            return { details: {} };
+        }
+
+        if (action === 'warn' || action === 'suspend_user') {
+            if (!targetUserId) return { status: 400, error: 'This report has no single user to act on.' };
+            if (targetUserId === moderatorId) return { status: 400, error: 'You cannot moderate your own account.' };
+        }
+
+        if (action === 'warn') {
+            const { error } = await publishEvent(supabase, 'moderation.warning', { report, targetUserId, note });
+            if (error) {
+                console.error('Error sending moderation warning:', error);
+                return { status: 500, error: 'Failed to send warning.' };
+            }
+            return { details: {} };
+        }
+
+        if (action === 'suspend_user') {
+            const days = parseSuspensionDays(suspendDays);
+            if (!days) return { status: 400, error: 'suspendDays must be a whole number of days between 1 and 3650.' };
+            const { suspendedUntil, error } = await suspendUser(supabase, targetUserId, days, note);
+            return error ? { status: 500, error: 'Failed to suspend user.' } : { details: { suspendDays: days, suspendedUntil } };
+        }
+
+        return { details: {} };
+    }
+
+    // POST /api/moderation/reports - Report a message, chat room, job posting or profile
+    // Body: { itemType: "message" | "chat" | "job" | "profile", itemId, reason }
+    router.post('/reports', authenticate, async (req, res) => {
+        try {
+            const { itemType, itemId, reason } = req.body;
+            const { report, status, error } = await fileReport(supabase, { reporterId: req.user.id, itemType, itemId, reason });
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(201).json({ message: `${itemType} reported successfully.`, reportId: report.id });
+
+        } catch (error) {
+            console.error('Error reporting item:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/moderation/reports - The moderation queue (admin)
+    // Query: status (default open), itemType, reportedUserId, limit, offset
+    router.get('/reports', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const status = req.query.status || 'open';
+            const { itemType, reportedUserId } = req.query;
+            const { limit, offset } = pageParams(req.query);
+
+            if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be "all" or one of: ${REPORT_STATUSES.join(', ')}.` });
+            }
+            if (itemType && !REPORT_ITEM_TYPES.includes(itemType)) {
+                return res.status(400).json({ error: `itemType must be one of: ${REPORT_ITEM_TYPES.join(', ')}.` });
+            }
+
+            let query = supabase.from('reports').select('*', { count: 'exact' });
+            if (status !== 'all') query = query.eq('status', status);
+            if (itemType) query = query.eq('item_type', itemType);
+            if (reportedUserId) query = query.eq('reported_user_id', reportedUserId);
+
+            // The open queue is worked oldest first; everything else is browsed newest first
+            const { data: reports, count, error: fetchError } = await query
+                .order('created_at', { ascending: status === 'open' })
+                .range(offset, offset + limit - 1);
+
+            if (fetchError) {
+                console.error('Supabase fetch reports error:', fetchError);
+                return res.status(500).json({ error: 'Failed to fetch reports.' });
+            }
+
+            const profilesById = await fetchProfilesByIds(supabase, reports.flatMap(report => [report.reporter_id, report.reported_user_id]));
+            res.status(200).json({ reports: reports.map(report => formatReport(report, profilesById)), total: count });
+
+        } catch (error) {
+            console.error('Error fetching reports:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/moderation/reports/:reportId - A report with the reported item in context (admin)
+    router.get('/reports/:reportId', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const { report, status, error } = await fetchReport(req.params.reportId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const [{ item, context }, { data: relatedReports }] = await Promise.all([
+                loadReportContext(supabase, report),
+                supabase
+                    .from('reports')
+                    .select('id, reporter_id, reason, status, created_at')
+                    .eq('item_type', report.item_type)
+                    .eq('item_id', report.item_id)
+                    .neq('id', report.id)
+            ]);
+
+            const profilesById = await fetchProfilesByIds(supabase, [
+                report.reporter_id,
+                report.reported_user_id,
+                ...(context || []).map(message => message.sender_id)
+            ]);
+
+            res.status(200).json({
+                ...formatReport(report, profilesById),
+                item,
+                context: context
+                    ? context.map(message => ({ ...message, sender: formatProfileSummary(profilesById.get(message.sender_id)) }))
+                    : undefined,
+                relatedReports: relatedReports || []
+            });
+
+        } catch (error) {
+            console.error('Error fetching report:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/moderation/reports/:reportId/resolve - Act on a report (admin)
+    // Body: { action: "dismiss" | "delete_message" | "warn" | "suspend_user" | "take_down_job", note?, suspendDays? }
+    // Other open reports on the same item are resolved with it.
+    router.post('/reports/:reportId/resolve', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const moderatorId = req.user.id;
+            const { action, note, suspendDays } = req.body;
+
+            if (!MODERATION_ACTIONS[action]) {
+                return res.status(400).json({ error: `action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}.` });
+            }
+
+            const { report, status, error } = await fetchReport(req.params.reportId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            if (report.status && report.status !== 'open') {
+                return res.status(409).json({ error: `Report is already ${report.status}.` });
+            }
+            if (!MODERATION_ACTIONS[action].includes(report.item_type)) {
+                return res.status(400).json({ error: `"${action}" cannot be applied to a ${report.item_type} report.` });
+            }
+
+            const result = await applyAction(action, report, { note, suspendDays, moderatorId });
+            if (result.error) {
+                return res.status(result.status).json({ error: result.error });
+            }
+
+            const { data: resolved, error: updateError } = await supabase
+                .from('reports')
+                .update({
+                    status: action === 'dismiss' ? 'dismissed' : 'resolved',
+                    resolved_by: moderatorId,
+                    resolved_at: new Date().toISOString(),
+                    resolution_action: action,
+                    resolution_note: note || null
+                })
+                .eq('item_type', report.item_type)
+                .eq('item_id', report.item_id)
+                .eq('status', 'open')
+                .select('id');
+
+            if (updateError) {
+                console.error('Supabase resolve report error:', updateError);
+                return res.status(500).json({ error: 'Action applied, but the report could not be marked resolved.' });
+            }
+
+            await recordModerationAction(supabase, {
+                moderatorId,
+                action,
+                report,
+                targetUserId: report.reported_user_id,
+                note,
+                details: { ...result.details, resolvedReportIds: resolved.map(row => row.id) }
+            });
+
+            res.status(200).json({ message: 'Report resolved.', action, resolvedReports: resolved.length, ...result.details });
+
+        } catch (error) {
+            console.error('Error resolving report:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/moderation/users/:userId/unsuspend - Lift a suspension early (admin)
+    router.post('/users/:userId/unsuspend', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { error } = await liftSuspension(supabase, userId);
+            if (error) {
+                return res.status(500).json({ error: 'Failed to lift suspension.' });
+            }
+
+            await recordModerationAction(supabase, { moderatorId: req.user.id, action: 'unsuspend_user', targetUserId: userId, note: req.body?.note });
+            res.status(200).json({ message: 'Suspension lifted.' });
+
+        } catch (error) {
+            console.error('Error lifting suspension:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/moderation/audit-log - Moderator actions, newest first (admin)
+    // Query: moderatorId, targetUserId, action, limit, offset
+    router.get('/audit-log', authenticate, requireAdmin, async (req, res) => {
+        try {
+            const { moderatorId, targetUserId, action } = req.query;
+            const { limit, offset } = pageParams(req.query);
+
+            let query = supabase.from('moderation_actions').select('*', { count: 'exact' });
+            if (moderatorId) query = query.eq('moderator_id', moderatorId);
+            if (targetUserId) query = query.eq('target_user_id', targetUserId);
+            if (action) query = query.eq('action', action);
+
+            const { data: entries, count, error: fetchError } = await query
+                .order('created_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+
+            if (fetchError) {
+                console.error('Supabase fetch audit log error:', fetchError);
+                return res.status(500).json({ error: 'Failed to fetch audit log.' });
+            }
+
+            const profilesById = await fetchProfilesByIds(supabase, entries.flatMap(entry => [entry.moderator_id, entry.target_user_id]));
+            res.status(200).json({
+                entries: entries.map(entry => ({
+                    id: entry.id,
+                    action: entry.action,
+                    moderator: formatProfileSummary(profilesById.get(entry.moderator_id)) || { id: entry.moderator_id },
+                    targetUser: entry.target_user_id
+                        ? formatProfileSummary(profilesById.get(entry.target_user_id)) || { id: entry.target_user_id }
+                        : null,
+                    reportId: entry.report_id,
+                    itemType: entry.item_type,
+                    itemId: entry.item_id,
+                    note: entry.note,
+                    details: entry.details,
+                    createdAt: entry.created_at
+                })),
+                total: count
+            });
+
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+};
@@ -1,109 +1,166 @@
 // notificationRoutes.js - Handles all notification-related API endpoints.
+// Notifications are created by the notification service (notifications.js); these routes read and manage the feed.
 
 import express from 'express';
+import { validate as isUuid } from 'uuid';
+import { createAuthenticate } from './auth.js';
+import { fetchProfilesByIds, fetchUserRole, formatProfileSummary } from './profiles.js';
+import { fetchBlockSets } from './blocks.js';
+import { ADMIN_ROLE } from './moderation.js';
+import { DEFAULT_FEED_PAGE_SIZE, MAX_FEED_PAGE_SIZE, countUnreadNotifications, fetchNotificationPage, publishEvent } from './notifications.js';
 const router = express.Router();
 
+const MAX_MARK_READ_IDS = 200;
+
+const parseFeedPageSize = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_FEED_PAGE_SIZE, 1), MAX_FEED_PAGE_SIZE);
+const parseBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : undefined);
+
+// Shapes a notifications row for the dashboard. Application notifications also carry the application they
+// point at (applicant, status, submitted items), so companies can act on it from the feed.
+const formatNotification = (row, application = null) => ({
+    id: row.id,
+    type: row.type,
+    message: row.message || null,
+    content: row.content,
+    related_entity_id: row.related_entity_id || null,
+    is_read: row.is_read,
+    group_count: row.group_count || 1,
+    created_at: row.created_at,
+    updated_at: row.updated_at || row.created_at,
+    archived_at: row.archived_at || null,
+    ...(application || {})
+});
+
 export default (supabase) => {
-    // Middleware to verify Supabase token and get user ID
-    const authenticate = async (req, res, next) => {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            console.error('Authentication failed: No token provided.');
-            return res.status(401).json({ error: 'Unauthorized' });
+    const authenticate = createAuthenticate(supabase);
+
+    // The applications behind a page of application notifications, limited to jobs the user posted, in the
+    // fields the dashboard's application cards use. Returns a Map of applicationId -> fields.
+    const fetchNotifiedApplications = async (userId, notifications) => {
+        const applicationIds = [...new Set(notifications.map(n => n.content?.applicationId).filter(Boolean))];
+        if (applicationIds.length === 0) return new Map();
+
+        const { data, error } = await supabase
+            .from('applications')
+            .select('id, user_id, created_at, status, content, jobs!inner(job_title, user_id)')
+            .in('id', applicationIds)
+            .eq('jobs.user_id', userId);
+        if (error) throw error;
+
+        const applicants = await fetchProfilesByIds(supabase, data.map(app => app.user_id));
+        return new Map(data.map(app => {
+            const applicant = formatProfileSummary(applicants.get(app.user_id));
+            return [app.id, {
+                application_id: app.id,
+                applicant_id: app.user_id,
+                applicant_name: applicant?.name || null,
+                applicant_photo: applicant?.avatarUrl || null,
+                job_title: app.jobs.job_title,
+                status: app.status || 'Submitted',
+                submitted_items: Object.entries(app.content || {}).map(([key, item]) => ({
+                    description: item.description,
+                    type: item.type,
+                    value: item.value,
+                    name: item.name,
+                    url: item.storagePath ? `/api/applications/${app.id}/files/${encodeURIComponent(key)}` : undefined
+                }))
+            }];
+        }));
+    };
+
+    // Loads the caller's notifications with the given ids. Returns { ids } or { status, error } if any of them
+    // is missing or belongs to someone else (both look the same).
+    const fetchOwnedIds = async (userId, notificationIds) => {
+        const ids = [...new Set(notificationIds)];
+        const { data, error } = await supabase
+            .from('notifications')
+            .select('id')
+            .eq('user_id', userId)
+            .in('id', ids);
+        if (error) {
+            console.error('Error fetching notifications:', error.message);
+            return { status: 500, error: 'Error fetching notifications' };
         }
-        const token = authHeader.split('Bearer ')[1];
+        if (data.length !== ids.length) return { status: 404, error: 'Notification not found' };
+        return { ids };
+    };
+
+    // GET /api/notifications - The authenticated user's notification feed, most recent first
+    // Query: before (notification id cursor), limit, type, read (true/false), archived (true for the archive)
+    router.get('/', authenticate, async (req, res) => {
         try {
-            const { data: user, error } = await supabase.auth.getUser(token);
-            console.log('Authentication user data:', user); // Log user data for debugging
-            if (error || !user) {
-                console.error('Authentication failed:', error?.message || 'User not found');
-                return res.status(401).json({ error: 'Unauthorized' });
+            const userId = req.user.id;
+
+            // Hide anything coming from a user on either side of a block
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                return res.status(500).json({ error: 'Error fetching notifications' });
+            }
+
+            const { notifications, hasMore, status, error } = await fetchNotificationPage(supabase, userId, {
+                before: req.query.before,
+                limit: parseFeedPageSize(req.query.limit),
+                type: req.query.type || undefined,
+                read: parseBoolean(req.query.read),
+                archived: req.query.archived === 'true',
+                hiddenSenderIds: blocks.all
+            });
+            if (error) {
+                return res.status(status).json({ error });
             }
 
-            req.user = user.user; // Attach the user object to the request
-            next();
+            const applications = await fetchNotifiedApplications(userId, notifications);
+            res.json({
+                notifications: notifications.map(n => formatNotification(n, applications.get(n.content?.applicationId))),
+                hasMore,
+                nextCursor: hasMore ? notifications[notifications.length - 1].id : null
+            });
         } catch (error) {
-            console.error('Authentication failed:', error);
+            console.error('Error fetching notifications:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
-    };
+    });
 
-    // GET /api/notifications - Fetch notifications for the authenticated user
-    router.get('/', authenticate, async (req, res) => {
+    // GET /api/notifications/unread-count - Number of unread notifications (archived ones don't count)
+    router.get('/unread-count', authenticate, async (req, res) => {
         try {
-            const authenticatedUserId = req.user.id; // Get authenticated user ID
-
-            // Get the user's role from the 'users' table
-            const { data: userProfile, error: profileError } = await supabase
-                .from('users') // Assuming 'users' is your user profile table
-                .select('role, id') // Select id as well for clarity
-                .eq('id', authenticatedUserId)
-                .single();
-
-            if (profileError || !userProfile) {
-                console.error('Error fetching user profile:', profileError?.message || 'Profile not found');
-                return res.status(500).json({ error: 'Error fetching user role' });
-            }
-
-            let data;
-            let error;
-
-            if (userProfile.role === 'company') {
- // For company users, fetch applications for jobs they posted
- // Join applications with jobs and applicant's user/profile data
- const { data: applicationsData, error: applicationsError } = await supabase
- .from('applications')
-                    .select(`
- id,
- created_at, // Keep created_at from applications table
- status,
- submitted_items,
- job_title:jobs!inner(
- title as job_title,
- company_id
- ),
- applicant:users!applications_applicant_id_fkey(
- applicant_id:id,
- name,
- avatar_url
- )`)
-                    .eq('jobs.company_id', authenticatedUserId); // Filter by the company's user ID
-
-                data = applicationsData;
-                error = applicationsError;
-            } else {
-                // If the user is 'talent' or another role, fetch their direct notifications
-                // This is the original logic for fetching notifications
-                ({ data, error } = await supabase
-                .from('notifications')
-                .select('*')
-                .eq('user_id', authenticatedUserId)); // Filter by user_id
+            const blocks = await fetchBlockSets(supabase, req.user.id);
+            if (blocks.error) {
+                return res.status(500).json({ error: 'Error counting notifications' });
             }
-
+            const { count, error } = await countUnreadNotifications(supabase, req.user.id, blocks.all);
             if (error) {
-                console.error('Error fetching notifications:', error.message);
-                return res.status(500).json({ error: 'Error fetching notifications' });
+                return res.status(500).json({ error: 'Error counting notifications' });
             }
-            res.json(data);
+            res.json({ unreadCount: count });
         } catch (error) {
-            console.error('Error fetching notifications:', error);
+            console.error('Error counting notifications:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
     });
 
-    // POST /api/notifications/mark-read - Mark notifications as read
+    // POST /api/notifications/mark-read - Mark some of the user's notifications as read
+    // Body: { notificationIds }. Nothing is updated if any of them isn't the user's.
     router.post('/mark-read', authenticate, async (req, res) => {
         try {
             const { notificationIds } = req.body; // Accepts an array of notification IDs
-            if (!Array.isArray(notificationIds)) {
-                return res.status(400).json({ error: 'notificationIds must be an array' });
+            if (!Array.isArray(notificationIds) || notificationIds.length === 0 || notificationIds.length > MAX_MARK_READ_IDS) {
+                return res.status(400).json({ error: `notificationIds must be an array of 1 to ${MAX_MARK_READ_IDS} ids` });
+            }
+            if (!notificationIds.every(isUuid)) {
+                return res.status(400).json({ error: 'notificationIds must be notification ids' });
             }
 
-            // Update records where the id is in the provided array
-            const { data, error } = await supabase
+            const { ids, status, error: ownershipError } = await fetchOwnedIds(req.user.id, notificationIds);
+            if (ownershipError) {
+                return res.status(status).json({ error: ownershipError });
+            }
+
+            const { error } = await supabase
                 .from('notifications')
-                .update({ is_read: true }) // Assuming the column name is is_read
-                .in('id', notificationIds);
+                .update({ is_read: true })
+                .eq('user_id', req.user.id)
+                .in('id', ids);
 
             if (error) {
                 console.error('Error marking notifications as read:', error.message);
@@ -117,133 +174,130 @@ export default (supabase) => {
         }
     });
 
-    // POST /api/notifications/add - Add a new notification
-    // This endpoint might be called by other parts of your backend
-    // (e.g., when a job application is submitted or a connection request is made).
-    // It requires the user_id of the recipient, the type, and content of the notification.
-    router.post('/add', authenticate, async (req, res) => {
- try {
-            const { user_id, type, content, related_entity_id } = req.body; // related_entity_id could be job_id, user_id, etc.
+    // POST /api/notifications/mark-all-read - Mark every unread notification of the user as read
+    router.post('/mark-all-read', authenticate, async (req, res) => {
+        try {
+            const { data, error } = await supabase
+                .from('notifications')
+                .update({ is_read: true })
+                .eq('user_id', req.user.id)
+                .eq('is_read', false)
+                .select('id');
 
-            if (!user_id || !type || !content) {
-                return res.status(400).json({ error: 'Recipient user_id, type, and content are required' });
+            if (error) {
+                console.error('Error marking all notifications as read:', error.message);
+                return res.status(500).json({ error: 'Error marking notifications as read' });
             }
 
-            // Ensure the user_id corresponds to an existing user
-            const { data: recipient, error: recipientError } = await supabase
-                .from('users') // Or your user table name
-                .select('id')
-                .eq('id', user_id)
-                .single();
+            res.status(200).json({ message: 'All notifications marked as read', updated: data.length });
+        } catch (error) {
+            console.error('Error marking all notifications as read:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
 
-            if (recipientError || !recipient) {
-                return res.status(404).json({ error: 'Recipient user not found' });
-            }
+    // POST /api/notifications/:notificationId/archive - Move a notification to (or, with { archived: false }, out of)
+    // the archive. Archiving also marks it read, so later events of its group start a new notification.
+    router.post('/:notificationId/archive', authenticate, async (req, res) => {
+        if (!isUuid(req.params.notificationId)) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        try {
+            const archived = req.body.archived !== false;
+            const updates = archived ? { archived_at: new Date().toISOString(), is_read: true } : { archived_at: null };
 
             const { data, error } = await supabase
- .from('notifications') // Assuming 'notifications' table is for general notifications
- // Note: This endpoint seems designed for general notifications. If you need to specifically link to application data, the structure might need adjustments to match the frontend's expectation (e.g., including job_id, applicant_id, etc., directly in the notification row or a related table).
-                .insert([
-                    { user_id, type, content, related_entity_id } // is_read defaults to false
-                ]);
+                .from('notifications')
+                .update(updates)
+                .eq('id', req.params.notificationId)
+                .eq('user_id', req.user.id)
+                .select('*');
 
             if (error) {
-                console.error('Error adding notification:', error.message);
-                return res.status(500).json({ error: 'Error adding notification' });
+                console.error('Error archiving notification:', error.message);
+                return res.status(500).json({ error: 'Error archiving notification' });
+            }
+            if (data.length === 0) {
+                return res.status(404).json({ error: 'Notification not found' });
             }
 
-            res.status(201).json({ message: 'Notification added successfully' });
+            res.status(200).json({ message: archived ? 'Notification archived' : 'Notification restored', notification: formatNotification(data[0]) });
         } catch (error) {
-            console.error('Error adding notification:', error);
+            console.error('Error archiving notification:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
     });
 
-    // POST /api/update-application-status - Update the status of a job application
-    router.post('/update-application-status', authenticate, async (req, res) => {
+    // DELETE /api/notifications/:notificationId - Delete one of the user's notifications
+    router.delete('/:notificationId', authenticate, async (req, res) => {
+        if (!isUuid(req.params.notificationId)) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
         try {
-            const { applicationId, newStatus } = req.body;
-            const authenticatedUserId = req.user.id;
+            const { data, error } = await supabase
+                .from('notifications')
+                .delete()
+                .eq('id', req.params.notificationId)
+                .eq('user_id', req.user.id)
+                .select('id');
 
-            // Basic validation
-            if (!applicationId || !newStatus) {
-                return res.status(400).json({ error: 'applicationId and newStatus are required' });
+            if (error) {
+                console.error('Error deleting notification:', error.message);
+                return res.status(500).json({ error: 'Error deleting notification' });
+            }
+            if (data.length === 0) {
+                return res.status(404).json({ error: 'Notification not found' });
             }
 
-            // Update the status in the 'applications' table
- // Ensure the authenticated user (company) is authorized to update this specific application (e.g., they posted the job)
-
- // 1. Get the job_id for the application
-            const { data: applicationData, error: applicationError } = await supabase
-                .from('applications')
-                .select('job_id')
-                .eq('id', applicationId)
-                .single();
+            res.status(200).json({ message: 'Notification deleted' });
+        } catch (error) {
+            console.error('Error deleting notification:', error);
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    });
 
-            if (applicationError || !applicationData) {
-                console.error('Error fetching application:', applicationError?.message || 'Application not found');
-                return res.status(404).json({ error: 'Application not found' });
+    // POST /api/notifications/add - Send a notice to a user (admins only)
+    // Everything else creates notifications by publishing events to the notification service (notifications.js).
+    // Body: { user_id, type, content, related_entity_id }; content is a string or an object with a "message".
+    router.post('/add', authenticate, async (req, res) => {
+        try {
+            if (await fetchUserRole(supabase, req.user.id) !== ADMIN_ROLE) {
+                return res.status(403).json({ error: 'Forbidden: Admin access required.' });
             }
 
-            const jobId = applicationData.job_id;
+            const { user_id, type, content, related_entity_id } = req.body; // related_entity_id could be job_id, user_id, etc.
+
+            if (!user_id || !type || !content) {
+                return res.status(400).json({ error: 'Recipient user_id, type, and content are required' });
+            }
+            if (!isUuid(user_id) || (related_entity_id && !isUuid(related_entity_id))) {
+                return res.status(400).json({ error: 'user_id and related_entity_id must be ids' });
+            }
 
-            // 2. Get the company_id for the job
-            const { data: jobData, error: jobError } = await supabase
-                .from('jobs')
-                .select('company_id')
-                .eq('id', jobId)
-                .single();
+            // Ensure the user_id corresponds to an existing user
+            const { data: recipient, error: recipientError } = await supabase
+                .from('profiles')
+                .select('id')
+                .eq('id', user_id)
+                .maybeSingle();
 
-            if (jobError || !jobData || jobData.company_id !== authenticatedUserId) {
-                console.warn(`Unauthorized attempt to update application ${applicationId} by user ${authenticatedUserId}. Job owner is ${jobData?.company_id}.`);
-                return res.status(403).json({ error: 'Forbidden: You are not authorized to update this application.' });
+            if (recipientError || !recipient) {
+                return res.status(404).json({ error: 'Recipient user not found' });
             }
 
- // 3. If authorized, update the status
-            const { data, error } = await supabase
-                .from('applications')
-                .update({ status: newStatus })
-                .eq('id', applicationId); // Assuming the application ID column is 'id'
+            const { error } = await publishEvent(supabase, 'admin.notice', {
+                recipientId: user_id, type, content, relatedEntityId: related_entity_id
+            });
+
             if (error) {
-                console.error('Error updating application status:', error.message);
-                return res.status(500).json({ error: 'Error updating application status' });
-            }
-
- // Optional: Add logic to send a notification to the applicant about the status change here
- // Fetch applicant's user ID
-            const { data: applicantUserData, error: applicantUserError } = await supabase
-                .from('applications')
-                .select('applicant_id, job_title:jobs(title)') // Select applicant_id and job title
-                .eq('id', applicationId)
-                .single();
-
-            if (applicantUserError || !applicantUserData || !applicantUserData.applicant_id) {
-                console.error('Error fetching applicant user ID for notification:', applicantUserError?.message || 'Applicant user not found');
- // Continue with status update success, but log the notification failure
-            } else {
-                const applicantId = applicantUserData.applicant_id;
-                const jobTitle = applicantUserData.job_title ? applicantUserData.job_title.title : 'a job'; // Get job title
-
- // Create content for the notification
-                const notificationContent = {
-                    applicationId: applicationId,
-                    jobTitle: jobTitle,
-                    newStatus: newStatus,
- company: userProfile.name || 'Your Company' // Assuming 'name' is available in the company user profile
-                };
-
- // Insert a new notification for the applicant
-                const { error: notificationError } = await supabase
-                    .from('notifications') // Assuming notifications table is for talent-facing updates
-                    .insert([
-                        { user_id: applicantId, type: 'Application Status Update', content: notificationContent, related_entity_id: applicationId }
-                    ]);
-                if (notificationError) console.error('Error creating notification for applicant:', notificationError.message);
-            }
-
-            res.status(200).json({ message: 'Application status updated successfully' });
+                return res.status(500).json({ error: 'Error adding notification' });
+            }
+
+            res.status(201).json({ message: 'Notification added successfully' });
         } catch (error) {
-            console.error('Error updating application status:', error);
+            console.error('Error adding notification:', error);
             res.status(500).json({ error: 'Internal Server Error' });
         }
     });
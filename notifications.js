@@ -0,0 +1,321 @@
+// notifications.js - The notification service. Producers (job posting, applications, connections, chat, moderation)
+// publish domain events with publishEvent() and never write to the notifications table themselves. Each event type
+// has a template that picks the recipients and renders the text the dashboard shows. Templates may also
+// - group: unread notifications with the same group key collapse into one ("3 new applicants for X")
+// - dedupe: a notification with the same dedup key is only ever created once per recipient
+
+import { validate as isUuid } from 'uuid';
+import { fetchBlockSets } from './blocks.js';
+import { fetchConnectionGraph } from './connections.js';
+import { getRealtimeBroker, publishToUser } from './realtime.js';
+
+const MAX_GROUP_RETRIES = 3;
+export const DEFAULT_FEED_PAGE_SIZE = 20;
+export const MAX_FEED_PAGE_SIZE = 100;
+
+// Same wording as the dashboard's captions, so old and new notifications read alike
+const STATUS_CAPTIONS = {
+    'Under Review': (c, p) => `🔎 Your application for ${p} at ${c} is under review.`,
+    'Interview Needed': (c, p) => `📅 ${c} would like to interview you for ${p}.`,
+    'Needed to be Connected': (c, p) => `${c} wants to connect with you about ${p}.`,
+    'Rejected': (c, p) => `❌ ${c} has decided not to move forward with your ${p} application.`,
+    'Hired': (c, p) => `🎉 Congratulations! ${c} has hired you for ${p}.`,
+    'Withdrawn': (c, p) => `↩️ An applicant withdrew their application for ${p}.`
+};
+
+// Event templates. recipients() may be async; content() is stored on the notification and handed to render()
+// together with how many events the notification now stands for.
+const EVENT_TEMPLATES = {
+    // Accepted connections of a company hear about its new openings
+    'job.posted': {
+        type: 'New Job',
+        actorId: ({ job }) => job.user_id,
+        recipients: async (supabase, { job }) => {
+            const { graph, error } = await fetchConnectionGraph(supabase, [job.user_id]);
+            if (error) throw error;
+            return [...graph.get(job.user_id)];
+        },
+        content: ({ job }) => ({ jobId: job.id, jobTitle: job.job_title, company: job.company_name, senderId: job.user_id }),
+        relatedEntityId: ({ job }) => job.id,
+        groupKey: ({ job }) => `job.posted:${job.user_id}`,
+        render: (c, count) => (count > 1
+            ? `💼 ${c.company} posted ${count} new jobs.`
+            : `💼 ${c.company} posted a new job: ${c.jobTitle}.`)
+    },
+
+    'application.submitted': {
+        type: 'New Application',
+        actorId: ({ application }) => application.user_id,
+        recipients: (supabase, { job }) => [job.user_id],
+        content: ({ application, job, applicantName }) => ({
+            applicationId: application.id,
+            jobId: job.id,
+            jobTitle: job.job_title || 'a job',
+            applicantId: application.user_id,
+            applicantName: applicantName || 'Someone',
+            senderId: application.user_id
+        }),
+        relatedEntityId: ({ application }) => application.id,
+        groupKey: ({ job }) => `application.submitted:${job.id}`,
+        render: (c, count) => (count > 1
+            ? `👥 ${count} new applicants for ${c.jobTitle}.`
+            : `👤 ${c.applicantName} applied for ${c.jobTitle}.`)
+    },
+
+    // The other party hears about a status change: the applicant for company (or system) actions, the company
+    // for withdrawals. Unread updates on the same application collapse into the latest one.
+    'application.status_changed': {
+        type: 'Application Status Update',
+        actorId: ({ job, application, actorRole }) => (actorRole === 'company' ? job.user_id : actorRole === 'talent' ? application.user_id : null),
+        recipients: (supabase, { application, job, actorRole }) => [actorRole === 'talent' ? job.user_id : application.user_id],
+        content: ({ application, job, fromStatus, toStatus }) => ({
+            applicationId: application.id,
+            jobId: job.id,
+            jobTitle: job.job_title || 'a job',
+            company: job.company_name || 'Your Company',
+            previousStatus: fromStatus,
+            newStatus: toStatus
+        }),
+        relatedEntityId: ({ application }) => application.id,
+        groupKey: ({ application }) => `application.status:${application.id}`,
+        render: (c) => (STATUS_CAPTIONS[c.newStatus] || ((co, p) => `Your application for ${p} at ${co} is now "${c.newStatus}".`))(c.company, c.jobTitle)
+    },
+
+    'connection.requested': {
+        type: 'Connection Request',
+        actorId: ({ request }) => request.requester_id,
+        recipients: (supabase, { request }) => [request.addressee_id],
+        content: ({ request, senderName }) => ({
+            requestId: request.id,
+            senderId: request.requester_id,
+            senderName: senderName || null,
+            message: request.message
+        }),
+        relatedEntityId: ({ request }) => request.id,
+        dedupKey: ({ request }) => `connection.requested:${request.id}`,
+        render: (c) => `${c.senderName || 'Someone'} wants to connect with you.`
+    },
+
+    'connection.accepted': {
+        type: 'Connection Accepted',
+        actorId: ({ request }) => request.addressee_id,
+        recipients: (supabase, { request }) => [request.requester_id],
+        content: ({ request, senderName }) => ({ requestId: request.id, senderId: request.addressee_id, senderName: senderName || null }),
+        relatedEntityId: ({ request }) => request.id,
+        dedupKey: ({ request }) => `connection.accepted:${request.id}`,
+        render: (c) => `🤝 ${c.senderName || 'Someone'} accepted your connection request.`
+    },
+
+    // Only participants without a live stream are notified; connected clients already get the message in realtime
+    'chat.message_sent': {
+        type: 'New Message',
+        actorId: ({ message }) => message.sender_id,
+        recipients: async (supabase, { message, room }) => {
+            const others = room.participants.filter(id => id !== message.sender_id);
+            const online = await getRealtimeBroker().onlineUsers(others);
+            return others.filter(id => !online.has(id));
+        },
+        content: ({ message, room, senderName }) => ({
+            chatRoomId: room.id,
+            messageId: message.id,
+            roomName: room.type === 'group' ? room.name : null,
+            senderId: message.sender_id,
+            senderName: senderName || 'Someone'
+        }),
+        relatedEntityId: ({ room }) => room.id,
+        groupKey: ({ room }) => `chat.message:${room.id}`,
+        render: (c, count) => {
+            if (c.roomName) {
+                return count > 1 ? `💬 ${count} new messages in ${c.roomName}.` : `💬 ${c.senderName} sent a message in ${c.roomName}.`;
+            }
+            return count > 1 ? `💬 ${count} new messages from ${c.senderName}.` : `💬 ${c.senderName} sent you a message.`;
+        }
+    },
+
+    // No actor: a block must not hide a moderator's warning
+    'moderation.warning': {
+        type: 'Moderation Warning',
+        actorId: () => null,
+        recipients: (supabase, { targetUserId }) => [targetUserId],
+        content: ({ report, note }) => ({
+            itemType: report.item_type,
+            itemId: report.item_id,
+            message: note || 'Your content was reported and violates our community guidelines.'
+        }),
+        relatedEntityId: ({ report }) => report.id,
+        dedupKey: ({ report }) => `moderation.warning:${report.id}`,
+        render: (c) => `⚠️ ${c.message}`
+    },
+
+    // Sent by an admin through POST /api/notifications/add
+    'admin.notice': {
+        type: ({ type }) => type,
+        actorId: () => null,
+        recipients: (supabase, { recipientId }) => [recipientId],
+        content: ({ content }) => content,
+        relatedEntityId: ({ relatedEntityId }) => relatedEntityId || null,
+        render: (c) => (typeof c === 'string' ? c : c?.message || null)
+    }
+};
+
+// Adds one more event to the recipient's unread notification with the same group key, or starts a new one.
+// The unique index on unread group keys makes a concurrent insert fail, in which case the update is retried.
+async function deliverGrouped(supabase, row, groupKey, render) {
+    for (let attempt = 0; attempt < MAX_GROUP_RETRIES; attempt++) {
+        const { data: existing, error: fetchError } = await supabase
+            .from('notifications')
+            .select('id, group_count')
+            .eq('user_id', row.user_id)
+            .eq('group_key', groupKey)
+            .eq('is_read', false)
+            .maybeSingle();
+        if (fetchError) return { error: fetchError };
+
+        if (existing) {
+            const count = (existing.group_count || 1) + 1;
+            const { data: updated, error: updateError } = await supabase
+                .from('notifications')
+                .update({ ...row, message: render(row.content, count), group_count: count, updated_at: new Date().toISOString() })
+                .eq('id', existing.id)
+                .eq('group_count', existing.group_count) // Someone else grouped into it first: read it again
+                .select('*');
+            if (updateError) return { error: updateError };
+            if (updated.length > 0) return { notification: updated[0] };
+            continue;
+        }
+
+        const { data: inserted, error: insertError } = await supabase
+            .from('notifications')
+            .insert([{ ...row, message: render(row.content, 1), group_key: groupKey, group_count: 1 }])
+            .select('*')
+            .single();
+        if (!insertError) return { notification: inserted };
+        if (insertError.code !== '23505') return { error: insertError };
+    }
+    return { error: new Error(`Could not group notification "${groupKey}".`) };
+}
+
+async function deliver(supabase, row, template, event) {
+    const groupKey = template.groupKey?.(event);
+    if (groupKey) return deliverGrouped(supabase, row, groupKey, template.render);
+
+    const { data: inserted, error } = await supabase
+        .from('notifications')
+        .insert([{ ...row, message: template.render(row.content, 1), dedup_key: template.dedupKey?.(event) || null }])
+        .select('*')
+        .single();
+
+    // Already delivered (e.g. the same connection request announced twice)
+    if (error?.code === '23505') return { duplicate: true };
+    if (error) return { error };
+    return { notification: inserted };
+}
+
+// Publishes a domain event: renders and stores a notification for every recipient and pushes it to their open
+// streams. Recipients on either side of a block with the actor are skipped. Failures are logged and returned,
+// never thrown, so a producer's own work is not undone by a notification problem.
+// Returns { notified } (number of notifications created or updated) or { error }.
+export async function publishEvent(supabase, eventType, event) {
+    const template = EVENT_TEMPLATES[eventType];
+    if (!template) {
+        console.error(`Unknown notification event "${eventType}".`);
+        return { error: new Error(`Unknown notification event "${eventType}".`) };
+    }
+
+    try {
+        const actorId = template.actorId(event);
+        let recipientIds = [...new Set(await template.recipients(supabase, event))].filter(id => id && id !== actorId);
+        if (actorId && recipientIds.length > 0) {
+            const blocks = await fetchBlockSets(supabase, actorId);
+            if (blocks.error) throw blocks.error;
+            recipientIds = recipientIds.filter(id => !blocks.all.has(id));
+        }
+
+        const type = typeof template.type === 'function' ? template.type(event) : template.type;
+        const content = template.content(event);
+        const relatedEntityId = template.relatedEntityId(event);
+
+        let notified = 0;
+        let lastError = null;
+        for (const recipientId of recipientIds) {
+            const row = { user_id: recipientId, type, content, related_entity_id: relatedEntityId, is_read: false };
+            const { notification, error } = await deliver(supabase, row, template, event);
+            if (error) {
+                console.error(`Error creating "${type}" notification:`, error);
+                lastError = error;
+                continue;
+            }
+            if (notification) {
+                notified += 1;
+                publishToUser(recipientId, 'notification.created', { id: notification.id, type, message: notification.message });
+            }
+        }
+        return lastError && notified === 0 && recipientIds.length > 0 ? { error: lastError } : { notified };
+
+    } catch (error) {
+        console.error(`Error publishing "${eventType}" notification event:`, error);
+        return { error };
+    }
+}
+
+// --- Feed ---
+
+// Restricts a notifications query to what the user should see: their own, and nothing from a user on either side
+// of a block (older notifications may predate the block).
+const feedQuery = (query, userId, hiddenSenderIds) => {
+    query = query.eq('user_id', userId);
+    if (hiddenSenderIds.size > 0) {
+        query = query.or(`content->>senderId.is.null,content->>senderId.not.in.(${[...hiddenSenderIds].join(',')})`);
+    }
+    return query;
+};
+
+// One page of the user's notifications, most recently updated first (a grouped notification moves up when it
+// grows). options: before (notification id cursor), limit, type, read (true/false), archived (default false),
+// hiddenSenderIds. Returns { notifications, hasMore } or { status, error }.
+export async function fetchNotificationPage(supabase, userId, { before, limit = DEFAULT_FEED_PAGE_SIZE, type, read, archived = false, hiddenSenderIds = new Set() } = {}) {
+    try {
+        let query = feedQuery(supabase.from('notifications').select('*'), userId, hiddenSenderIds);
+        query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+        if (type) query = query.eq('type', type);
+        if (typeof read === 'boolean') query = query.eq('is_read', read);
+
+        if (before) {
+            if (!isUuid(before)) return { status: 400, error: 'Invalid before cursor.' };
+            const { data: cursor, error: cursorError } = await supabase
+                .from('notifications')
+                .select('id, updated_at')
+                .eq('id', before)
+                .eq('user_id', userId)
+                .maybeSingle();
+            if (cursorError) throw cursorError;
+            if (!cursor) return { status: 400, error: 'Invalid before cursor.' };
+            query = query.or(`updated_at.lt."${cursor.updated_at}",and(updated_at.eq."${cursor.updated_at}",id.lt.${cursor.id})`);
+        }
+
+        const { data, error } = await query
+            .order('updated_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit + 1);
+        if (error) throw error;
+        return { notifications: data.slice(0, limit), hasMore: data.length > limit };
+
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        return { status: 500, error: 'Error fetching notifications' };
+    }
+}
+
+// Unread, unarchived notifications of the user. Returns { count } or { error }.
+export async function countUnreadNotifications(supabase, userId, hiddenSenderIds = new Set()) {
+    const { count, error } = await feedQuery(
+        supabase.from('notifications').select('id', { count: 'exact', head: true }).eq('is_read', false).is('archived_at', null),
+        userId,
+        hiddenSenderIds
+    );
+    if (error) {
+        console.error('Error counting unread notifications:', error);
+        return { error };
+    }
+    return { count };
+}
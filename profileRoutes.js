@@ -0,0 +1,217 @@
+// profileRoutes.js - Handles talent and company profiles: own profile, public profiles, avatars and resume parsing.
+
+import express from 'express';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
+import { createAuthenticate, optionalUser } from './auth.js';
+import { createUpload, withUploadErrors, inspectUpload, detectFileType } from './uploadPolicy.js';
+import { parseResume } from './resumeParser.js';
+import { findBlockBetween } from './blocks.js';
+import { RESUME_FIELDS, fetchProfile, formatProfile, normalizeProfileUpdate } from './profiles.js';
+
+const router = express.Router();
+
+const resumeUpload = withUploadErrors(createUpload('resume').single('resume'));
+const avatarUpload = withUploadErrors(createUpload('avatar').single('avatar'));
+
+const AVATARS_BUCKET = 'avatars';
+
+// This function is designed to be called from your main server file,
+// where you will pass the initialized Supabase client.
+export default (supabase) => {
+
+    const authenticate = createAuthenticate(supabase);
+
+    // Validates and applies an update to the user's profile row. Returns { profile } or { status, error }.
+    async function updateOwnProfile(userId, body, options) {
+        const { profile: current, status, error } = await fetchProfile(supabase, userId);
+        if (error) return { status, error };
+
+        const { updates, error: validationError } = normalizeProfileUpdate(body, current.role, options);
+        if (validationError) return { status: 400, error: validationError };
+        if (Object.keys(updates).length === 0) return { status: 400, error: 'No profile fields provided.' };
+
+        const { data: profile, error: updateError } = await supabase
+            .from('profiles')
+            .update({ ...updates, ...options?.extra, updated_at: new Date().toISOString() })
+            .eq('id', userId)
+            .select('*')
+            .single();
+
+        if (updateError) {
+            console.error('Supabase update profile error:', updateError);
+            return { status: 500, error: 'Failed to update profile.' };
+        }
+        return { profile };
+    }
+
+    // GET /api/profile/me - The authenticated user's full profile, with completeness
+    // GET /api/profile is kept as an alias for older pages
+    router.get(['/', '/me'], authenticate, async (req, res) => {
+        try {
+            const { profile, status, error } = await fetchProfile(supabase, req.user.id);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json({ ...formatProfile(profile, { isOwner: true }), email: req.user.email });
+
+        } catch (error) {
+            console.error('Error fetching own profile:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PUT /api/profile/me - Update the authenticated user's profile
+    // Common fields: name, bio, location. Talent: headline, summary, skills, experienceLevel, workHistory,
+    // education, portfolioLinks, industries, preferredLocationTypes, preferredPositionTypes.
+    // Company: industry, companySize, website. The logo/avatar is uploaded separately.
+    router.put('/me', authenticate, async (req, res) => {
+        try {
+            const { profile, status, error } = await updateOwnProfile(req.user.id, req.body);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json({ message: 'Profile updated.', profile: formatProfile(profile, { isOwner: true }) });
+
+        } catch (error) {
+            console.error('Error updating profile:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/profile/me/avatar - Upload a new avatar (company logo for company accounts)
+    router.post('/me/avatar', authenticate, avatarUpload, async (req, res) => {
+        try {
+            const userId = req.user.id;
+            if (!req.file) {
+                return res.status(400).json({ error: 'An image file is required (field name "avatar").' });
+            }
+
+            const { profile: current, status, error } = await fetchProfile(supabase, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+
+            const inspection = await inspectUpload(supabase, req.file, 'avatar', { userId });
+            if (inspection.error) {
+                return res.status(inspection.status).json({ code: inspection.code, error: inspection.error });
+            }
+
+            const filePath = `${userId}/${uuidv4()}${inspection.extension}`;
+            const { error: uploadError } = await supabase.storage
+                .from(AVATARS_BUCKET)
+                .upload(filePath, inspection.file.buffer, { contentType: inspection.file.mimetype });
+
+            if (uploadError) {
+                console.error('Supabase avatar upload error:', uploadError);
+                return res.status(500).json({ error: 'Failed to upload avatar.' });
+            }
+
+            const { data: publicUrlData } = supabase.storage.from(AVATARS_BUCKET).getPublicUrl(filePath);
+
+            const { data: profile, error: updateError } = await supabase
+                .from('profiles')
+                .update({ profile_picture_url: publicUrlData.publicUrl, updated_at: new Date().toISOString() })
+                .eq('id', userId)
+                .select('*')
+                .single();
+
+            if (updateError) {
+                console.error('Supabase update avatar url error:', updateError);
+                await supabase.storage.from(AVATARS_BUCKET).remove([filePath]);
+                return res.status(500).json({ error: 'Failed to update profile.' });
+            }
+
+            // The previous avatar is only removed once the profile points at the new one
+            const previousPath = current.profile_picture_url?.split(`/public/${AVATARS_BUCKET}/`)[1];
+            if (previousPath && previousPath.startsWith(`${userId}/`)) {
+                const { error: removeError } = await supabase.storage.from(AVATARS_BUCKET).remove([previousPath]);
+                if (removeError) console.warn('Could not delete old avatar:', removeError);
+            }
+
+            res.status(200).json({ message: 'Avatar updated.', profile: formatProfile(profile, { isOwner: true }) });
+
+        } catch (error) {
+            console.error('Error uploading avatar:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // POST /api/profile/resume - Parse an uploaded resume (PDF, DOCX or plain text)
+    // Nothing is saved; the parsed fields are returned for the user to review and confirm.
+    router.post('/resume', authenticate, resumeUpload, async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'A resume file is required (field name "resume").' });
+            }
+
+            const inspection = await inspectUpload(supabase, req.file, 'resume', { userId: req.user.id });
+            if (inspection.error) {
+                return res.status(inspection.status).json({ code: inspection.code, error: inspection.error });
+            }
+
+            const { resume, status, code, error } = parseResume(req.file.buffer, detectFileType(req.file.buffer));
+            if (error) {
+                return res.status(status).json({ code, error });
+            }
+
+            res.status(200).json({ resume });
+
+        } catch (error) {
+            console.error('Error parsing resume:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // PUT /api/profile/resume - Save the confirmed resume fields to the user's profile
+    // Body: { skills, workHistory, education, headline, summary, experienceLevel } (all optional)
+    router.put('/resume', authenticate, async (req, res) => {
+        try {
+            const { profile, status, error } = await updateOwnProfile(req.user.id, req.body, {
+                allowed: RESUME_FIELDS,
+                extra: { resume_parsed_at: new Date().toISOString() }
+            });
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json({ message: 'Profile updated from resume.', profile: formatProfile(profile, { isOwner: true }) });
+
+        } catch (error) {
+            console.error('Error saving resume fields:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/profile/:userId - Public view of any user's profile (no email or completeness)
+    // Signed-in viewers get a 404 for users they have blocked or who have blocked them.
+    router.get('/:userId', async (req, res) => {
+        const { userId } = req.params;
+        if (!isUuid(userId)) {
+            return res.status(400).json({ error: 'Invalid user id.' });
+        }
+
+        try {
+            const viewer = await optionalUser(supabase, req);
+            if (viewer && viewer.id !== userId) {
+                const { blocked, error: blockError } = await findBlockBetween(supabase, viewer.id, userId);
+                if (blockError) {
+                    return res.status(500).json({ error: 'Failed to fetch profile.' });
+                }
+                if (blocked) {
+                    return res.status(404).json({ error: 'Profile not found.' });
+                }
+            }
+
+            const { profile, status, error } = await fetchProfile(supabase, userId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            res.status(200).json(formatProfile(profile));
+
+        } catch (error) {
+            console.error('Error fetching profile:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+};
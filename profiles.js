@@ -0,0 +1,267 @@
+// profiles.js - The `profiles` table is the single source of user profile data (name, avatar, role and
+// role-specific fields). Route files read names, avatars and roles through these helpers.
+
+import { EXPERIENCE_LEVELS } from './jobMatching.js';
+
+export const PROFILE_ROLES = ['talent', 'company'];
+export const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+
+const MAX_LIST_ITEMS = 100;
+const MAX_ENTRIES = 30;
+const MAX_PORTFOLIO_LINKS = 10;
+
+// Columns needed to show a user next to a chat, job or notification
+export const PROFILE_SUMMARY_COLUMNS = 'id, name, role, profile_picture_url, avatar_url, headline';
+
+// Older rows stored the picture in avatar_url; profile_picture_url is the current column
+export const avatarUrlOf = (row) => (row ? row.profile_picture_url || row.avatar_url || null : null);
+
+const cleanText = (value, maxLength) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null);
+const cleanDate = (value) => (typeof value === 'string' && /^\d{4}(-\d{2})?$/.test(value) ? value : null);
+
+const cleanList = (values, maxLength) => {
+    const seen = new Set();
+    const list = [];
+    for (const value of values) {
+        const cleaned = cleanText(value, maxLength);
+        if (cleaned && !seen.has(cleaned.toLowerCase())) {
+            seen.add(cleaned.toLowerCase());
+            list.push(cleaned);
+        }
+    }
+    return list.slice(0, MAX_LIST_ITEMS);
+};
+
+const toHttpUrl = (value) => {
+    try {
+        const url = new URL(String(value).trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch {
+        return null;
+    }
+};
+
+// Editable fields per role: API name -> { column, normalize(value) returning { value } or { error } }
+const text = (column, maxLength) => ({ column, normalize: (value) => ({ value: cleanText(value, maxLength) }) });
+const list = (column, maxLength) => ({
+    column,
+    normalize: (value) => (Array.isArray(value) ? { value: cleanList(value, maxLength) } : { error: 'must be an array.' })
+});
+
+const COMMON_FIELDS = {
+    name: text('name', 100),
+    bio: text('bio', 2000),
+    location: text('location', 200)
+};
+
+const TALENT_FIELDS = {
+    headline: text('headline', 200),
+    summary: text('summary', 5000),
+    skills: list('skills', 60),
+    industries: list('industries', 100),
+    preferredLocationTypes: list('preferred_location_types', 50),
+    preferredPositionTypes: list('preferred_position_types', 50),
+    experienceLevel: {
+        column: 'experience_level',
+        normalize: (value) => (!value || EXPERIENCE_LEVELS.includes(value)
+            ? { value: value || null }
+            : { error: `must be one of: ${EXPERIENCE_LEVELS.join(', ')}.` })
+    },
+    workHistory: {
+        column: 'work_history',
+        normalize: (value) => (Array.isArray(value)
+            ? {
+                value: value.slice(0, MAX_ENTRIES).map(entry => ({
+                    title: cleanText(entry?.title, 200),
+                    company: cleanText(entry?.company, 200),
+                    startDate: cleanDate(entry?.startDate),
+                    endDate: cleanDate(entry?.endDate),
+                    current: entry?.current === true,
+                    description: cleanText(entry?.description, 5000)
+                })).filter(entry => entry.title || entry.company)
+            }
+            : { error: 'must be an array.' })
+    },
+    education: {
+        column: 'education',
+        normalize: (value) => (Array.isArray(value)
+            ? {
+                value: value.slice(0, MAX_ENTRIES).map(entry => ({
+                    institution: cleanText(entry?.institution, 200),
+                    degree: cleanText(entry?.degree, 200),
+                    startDate: cleanDate(entry?.startDate),
+                    endDate: cleanDate(entry?.endDate)
+                })).filter(entry => entry.institution || entry.degree)
+            }
+            : { error: 'must be an array.' })
+    },
+    portfolioLinks: {
+        column: 'portfolio_links',
+        normalize: (value) => {
+            if (!Array.isArray(value)) return { error: 'must be an array.' };
+            if (value.length > MAX_PORTFOLIO_LINKS) return { error: `allows at most ${MAX_PORTFOLIO_LINKS} links.` };
+            const links = value.map(toHttpUrl);
+            return links.includes(null) ? { error: 'must contain valid http(s) URLs.' } : { value: [...new Set(links)] };
+        }
+    }
+};
+
+const COMPANY_FIELDS = {
+    industry: text('industry', 100),
+    companySize: {
+        column: 'company_size',
+        normalize: (value) => (!value || COMPANY_SIZES.includes(value)
+            ? { value: value || null }
+            : { error: `must be one of: ${COMPANY_SIZES.join(', ')}.` })
+    },
+    website: {
+        column: 'website',
+        normalize: (value) => {
+            if (!value) return { value: null };
+            const url = toHttpUrl(value);
+            return url ? { value: url } : { error: 'must be a valid http(s) URL.' };
+        }
+    }
+};
+
+export const RESUME_FIELDS = ['headline', 'summary', 'skills', 'experienceLevel', 'workHistory', 'education'];
+
+const editableFieldsFor = (role) => ({ ...COMMON_FIELDS, ...(role === 'company' ? COMPANY_FIELDS : role === 'talent' ? TALENT_FIELDS : {}) });
+
+// Validates a profile update for the given role. Unknown or other-role fields are rejected.
+// "allowed" optionally narrows the accepted fields. Returns { updates } (column -> value) or { error }.
+export function normalizeProfileUpdate(body, role, { allowed } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Request body must be an object.' };
+
+    const fields = editableFieldsFor(role);
+    const updates = {};
+    for (const [key, value] of Object.entries(body)) {
+        if (!fields[key] || (allowed && !allowed.includes(key))) {
+            return { error: `"${key}" cannot be updated on a ${role || 'user'} profile.` };
+        }
+        if (value === undefined) continue;
+        const { value: normalized, error } = fields[key].normalize(value);
+        if (error) return { error: `${key} ${error}` };
+        updates[fields[key].column] = normalized;
+    }
+    if (updates.name === null) return { error: 'name cannot be empty.' };
+    return { updates };
+}
+
+// Weighted checklist of what a complete profile has, per role (weights add up to 100)
+const COMPLETENESS_CHECKS = {
+    talent: [
+        ['name', 10, (row) => Boolean(row.name)],
+        ['avatarUrl', 10, (row) => Boolean(avatarUrlOf(row))],
+        ['headline', 15, (row) => Boolean(row.headline)],
+        ['bio', 10, (row) => Boolean(row.bio || row.summary)],
+        ['location', 5, (row) => Boolean(row.location)],
+        ['skills', 20, (row) => Array.isArray(row.skills) && row.skills.length >= 3],
+        ['workHistory', 20, (row) => (Array.isArray(row.work_history) && row.work_history.length > 0) || Boolean(row.experience_level)],
+        ['portfolioLinks', 10, (row) => Array.isArray(row.portfolio_links) && row.portfolio_links.length > 0]
+    ],
+    company: [
+        ['name', 15, (row) => Boolean(row.name)],
+        ['logoUrl', 15, (row) => Boolean(avatarUrlOf(row))],
+        ['bio', 15, (row) => Boolean(row.bio)],
+        ['location', 10, (row) => Boolean(row.location)],
+        ['industry', 15, (row) => Boolean(row.industry)],
+        ['companySize', 10, (row) => Boolean(row.company_size)],
+        ['website', 20, (row) => Boolean(row.website)]
+    ]
+};
+
+// Returns { score: 0-100, missing: [field names] } for the profile's role.
+export function profileCompleteness(row) {
+    const checks = COMPLETENESS_CHECKS[row.role] || COMPLETENESS_CHECKS.talent.slice(0, 2);
+    const total = checks.reduce((sum, [, weight]) => sum + weight, 0);
+    let earned = 0;
+    const missing = [];
+    for (const [field, weight, isComplete] of checks) {
+        if (isComplete(row)) earned += weight;
+        else missing.push(field);
+    }
+    return { score: Math.round((earned / total) * 100), missing };
+}
+
+// Minimal shape for showing a user next to other content
+export const formatProfileSummary = (row) => (row
+    ? { id: row.id, name: row.name || null, role: row.role || null, avatarUrl: avatarUrlOf(row), headline: row.headline || null }
+    : null);
+
+// Full profile. The owner also gets their completeness score.
+export function formatProfile(row, { isOwner = false } = {}) {
+    const profile = {
+        id: row.id,
+        role: row.role || null,
+        name: row.name || null,
+        avatarUrl: avatarUrlOf(row),
+        bio: row.bio || null,
+        location: row.location || null,
+        createdAt: row.created_at || null
+    };
+
+    if (row.role === 'company') {
+        Object.assign(profile, {
+            logoUrl: avatarUrlOf(row),
+            industry: row.industry || null,
+            companySize: row.company_size || null,
+            website: row.website || null
+        });
+    } else if (row.role === 'talent') {
+        Object.assign(profile, {
+            headline: row.headline || null,
+            summary: row.summary || null,
+            skills: row.skills || [],
+            experienceLevel: row.experience_level || null,
+            workHistory: row.work_history || [],
+            education: row.education || [],
+            portfolioLinks: row.portfolio_links || [],
+            industries: row.industries || [],
+            preferredLocationTypes: row.preferred_location_types || [],
+            preferredPositionTypes: row.preferred_position_types || []
+        });
+    }
+
+    if (isOwner) {
+        profile.completeness = profileCompleteness(row);
+        profile.resumeParsedAt = row.resume_parsed_at || null;
+    }
+    return profile;
+}
+
+// Fetches one profile row. Returns { profile } or { status, error }.
+export async function fetchProfile(supabase, userId) {
+    const { data: profile, error } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', userId)
+        .maybeSingle();
+
+    if (error) {
+        console.error('Supabase fetch profile error:', error);
+        return { status: 500, error: 'Failed to fetch profile.' };
+    }
+    if (!profile) return { status: 404, error: 'Profile not found.' };
+    return { profile };
+}
+
+// Fetches summary rows for many users at once, keyed by id
+export async function fetchProfilesByIds(supabase, userIds, columns = PROFILE_SUMMARY_COLUMNS) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return new Map();
+
+    const { data, error } = await supabase.from('profiles').select(columns).in('id', ids);
+    if (error) {
+        console.error('Supabase fetch profiles error:', error);
+        return new Map();
+    }
+    return new Map(data.map(row => [row.id, row]));
+}
+
+// The user's role ('talent' or 'company'), or null if they have no profile
+export async function fetchUserRole(supabase, userId) {
+    const { data, error } = await supabase.from('profiles').select('role').eq('id', userId).maybeSingle();
+    if (error) console.error('Supabase fetch user role error:', error);
+    return data ? data.role : null;
+}
@@ -0,0 +1,124 @@
+// realtime.js - Pub/sub for realtime chat events (new/edited/deleted/pinned messages, typing, presence).
+// Route handlers publish events here; realtimeRoutes streams them to connected clients over Server-Sent Events.
+// The default broker is in-memory, which only reaches clients connected to this process. When running more
+// than one instance, install a shared broker (e.g. backed by Redis pub/sub) with setRealtimeBroker().
+
+import crypto from 'crypto';
+
+// A broker implements:
+//   publish(channel, event)               - deliver event to every subscriber of channel, on any instance
+//   subscribe(channel, handler)           - returns an unsubscribe function
+//   markOnline(userId, connectionId)      - record a live connection; returns true for the user's first one
+//   markOffline(userId, connectionId)     - returns true when the user has no connections left
+//   onlineUsers(userIds)                  - resolves to the Set of those users with a live connection
+export function createMemoryBroker() {
+    const handlers = new Map();
+    const connections = new Map();
+
+    return {
+        name: 'memory',
+        publish(channel, event) {
+            for (const handler of handlers.get(channel) || []) {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error(`Realtime handler for "${channel}" failed:`, error);
+                }
+            }
+        },
+        subscribe(channel, handler) {
+            if (!handlers.has(channel)) handlers.set(channel, new Set());
+            handlers.get(channel).add(handler);
+            return () => {
+                const channelHandlers = handlers.get(channel);
+                if (!channelHandlers) return;
+                channelHandlers.delete(handler);
+                if (channelHandlers.size === 0) handlers.delete(channel);
+            };
+        },
+        markOnline(userId, connectionId) {
+            const firstConnection = !connections.has(userId);
+            if (firstConnection) connections.set(userId, new Set());
+            connections.get(userId).add(connectionId);
+            return firstConnection;
+        },
+        markOffline(userId, connectionId) {
+            const userConnections = connections.get(userId);
+            if (!userConnections) return true;
+            userConnections.delete(connectionId);
+            if (userConnections.size > 0) return false;
+            connections.delete(userId);
+            return true;
+        },
+        async onlineUsers(userIds) {
+            return new Set(userIds.filter(id => connections.has(id)));
+        }
+    };
+}
+
+let activeBroker = createMemoryBroker();
+
+export function setRealtimeBroker(broker) {
+    activeBroker = broker;
+}
+
+export const getRealtimeBroker = () => activeBroker;
+
+export const roomChannel = (roomId) => `room:${roomId}`;
+export const userChannel = (userId) => `user:${userId}`;
+
+const buildEvent = (type, payload) => ({ type, payload, at: new Date().toISOString() });
+
+// Sends an event to everyone subscribed to a chat room. Publishing never fails the request that triggered it.
+export function publishToRoom(roomId, type, payload) {
+    try {
+        activeBroker.publish(roomChannel(roomId), buildEvent(type, { chatRoomId: roomId, ...payload }));
+    } catch (error) {
+        console.error(`Failed to publish "${type}" to room ${roomId}:`, error);
+    }
+}
+
+// Sends an event to every open stream of one user
+export function publishToUser(userId, type, payload) {
+    try {
+        activeBroker.publish(userChannel(userId), buildEvent(type, payload));
+    } catch (error) {
+        console.error(`Failed to publish "${type}" to user ${userId}:`, error);
+    }
+}
+
+// --- Stream tickets ---
+// EventSource cannot send an Authorization header, so clients exchange their Supabase token for a short-lived
+// signed ticket and pass that in the stream URL instead. Tickets are stateless, so any instance can verify them
+// as long as every instance shares REALTIME_TICKET_SECRET.
+
+const TICKET_TTL_SECONDS = 60;
+const ticketSecret = process.env.REALTIME_TICKET_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.REALTIME_TICKET_SECRET) {
+    console.warn('REALTIME_TICKET_SECRET is not set; realtime tickets are only valid on this server instance.');
+}
+
+const sign = (value) => crypto.createHmac('sha256', ticketSecret).update(value).digest('base64url');
+
+export function issueStreamTicket(userId, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({ sub: userId, exp: Math.floor(now / 1000) + TICKET_TTL_SECONDS })).toString('base64url');
+    return { ticket: `${payload}.${sign(payload)}`, expiresIn: TICKET_TTL_SECONDS };
+}
+
+// Returns the ticket's user id, or null if the ticket is malformed, forged or expired.
+export function verifyStreamTicket(ticket, now = Date.now()) {
+    if (typeof ticket !== 'string') return null;
+    const [payload, signature] = ticket.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return typeof sub === 'string' && exp * 1000 > now ? sub : null;
+    } catch {
+        return null;
+    }
+}
@@ -0,0 +1,228 @@
+// realtimeRoutes.js - Server-Sent Events stream of chat activity, plus typing indicators and presence.
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import {
+    getRealtimeBroker, issueStreamTicket, verifyStreamTicket, publishToRoom, roomChannel, userChannel
+} from './realtime.js';
+import { createAuthenticate } from './auth.js';
+import { fetchBlockSets } from './blocks.js';
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_PRESENCE_IDS = 100;
+
+// The user behind an event, used to drop events from blocked users
+const eventActor = (event) => event.payload?.message?.senderId || event.payload?.userId || null;
+
+// Room membership events for the user themselves, delivered on their own channel
+const MEMBERSHIP_EVENTS = ['room.created', 'room.removed'];
+
+export default (supabase) => {
+
+    const authenticate = createAuthenticate(supabase);
+
+    // EventSource can't set headers, so the stream also accepts a ticket from POST /ticket in the query string
+    const authenticateStream = (req, res, next) => {
+        if (req.headers.authorization) return authenticate(req, res, next);
+
+        const userId = verifyStreamTicket(req.query.ticket);
+        if (!userId) {
+            return res.status(401).json({ error: 'Unauthorized: Invalid or expired stream ticket.' });
+        }
+        req.user = { id: userId };
+        next();
+    };
+
+    const fetchRoomIds = async (userId) => {
+        const { data, error } = await supabase
+            .from('chat_rooms')
+            .select('id')
+            .contains('participants', [userId]);
+        if (error) {
+            console.error('Error fetching chat rooms for realtime stream:', error);
+            return { error };
+        }
+        return { roomIds: data.map(room => room.id) };
+    };
+
+    // POST /api/realtime/ticket - Exchange the Supabase token for a short-lived stream ticket
+    router.post('/ticket', authenticate, (req, res) => {
+        res.status(200).json(issueStreamTicket(req.user.id));
+    });
+
+    // GET /api/realtime/stream - Event stream for every chat room the user is in
+    // Query: ticket (or an Authorization header)
+    // Events: message.created, message.updated, message.deleted, message.hidden, message.pinned, room.read, typing, presence,
+    //         room.updated, room.created, room.removed
+    router.get('/stream', authenticateStream, async (req, res) => {
+        const userId = req.user.id;
+        const broker = getRealtimeBroker();
+        const connectionId = uuidv4();
+
+        // Registered before the first await so a client that leaves while the stream is being set up is still
+        // cleaned up; teardown is filled in once there is something to tear down
+        let closed = false;
+        let teardown = () => {};
+        req.on('close', () => {
+            closed = true;
+            teardown();
+        });
+
+        try {
+            const [{ roomIds, error: roomsError }, blocks] = await Promise.all([
+                fetchRoomIds(userId),
+                fetchBlockSets(supabase, userId)
+            ]);
+            if (roomsError || blocks.error) {
+                return res.status(500).json({ error: 'Failed to open realtime stream.' });
+            }
+            if (closed) return;
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+            });
+            res.flushHeaders();
+
+            // Messages follow the get-messages rule (hidden from the blocker only); typing, presence and
+            // receipts are dropped in both directions so a block can't be detected from them
+            const send = (event) => {
+                const hiddenActors = event.type.startsWith('message.') ? blocks.blockedByMe : blocks.all;
+                if (!MEMBERSHIP_EVENTS.includes(event.type) && hiddenActors.has(eventActor(event))) return;
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.payload, at: event.at })}\n\n`);
+            };
+
+            const subscriptions = new Map();
+            const joinRoom = (roomId) => {
+                if (!subscriptions.has(roomId)) {
+                    subscriptions.set(roomId, broker.subscribe(roomChannel(roomId), send));
+                }
+            };
+            const leaveRoom = (roomId) => {
+                subscriptions.get(roomId)?.();
+                subscriptions.delete(roomId);
+            };
+            roomIds.forEach(joinRoom);
+
+            const unsubscribeUser = broker.subscribe(userChannel(userId), (event) => {
+                if (event.type === 'room.created') joinRoom(event.payload.chatRoomId);
+                if (event.type === 'room.removed') leaveRoom(event.payload.chatRoomId);
+                send(event);
+            });
+
+            const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+            const online = Promise.resolve(broker.markOnline(userId, connectionId));
+
+            teardown = async () => {
+                clearInterval(heartbeat);
+                unsubscribeUser();
+                subscriptions.forEach(unsubscribe => unsubscribe());
+                try {
+                    // Let a pending markOnline land first, or it would mark the user online after they left
+                    await online.catch(() => {});
+                    if (await broker.markOffline(userId, connectionId)) {
+                        subscriptions.forEach((_, roomId) => publishToRoom(roomId, 'presence', { userId, online: false }));
+                    }
+                } catch (error) {
+                    console.error('Error updating presence on disconnect:', error);
+                }
+            };
+
+            res.write(`event: ready\ndata: ${JSON.stringify({ chatRoomIds: roomIds })}\n\n`);
+
+            // Tell the user's rooms they came online when this is their first open stream
+            if (await online) {
+                roomIds.forEach(roomId => publishToRoom(roomId, 'presence', { userId, online: true }));
+            }
+
+        } catch (error) {
+            console.error('Error opening realtime stream:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Internal server error.' });
+            } else {
+                res.end();
+            }
+        }
+    });
+
+    // POST /api/realtime/typing - Broadcast a typing indicator to a chat room
+    // Body: { chatRoomId, isTyping }
+    router.post('/typing', authenticate, async (req, res) => {
+        const { chatRoomId, isTyping } = req.body;
+        const userId = req.user.id;
+
+        if (!chatRoomId || typeof isTyping !== 'boolean') {
+            return res.status(400).json({ error: 'chatRoomId and boolean isTyping are required.' });
+        }
+
+        try {
+            const { data: chatRoom, error: roomError } = await supabase
+                .from('chat_rooms')
+                .select('participants, type')
+                .eq('id', chatRoomId)
+                .contains('participants', [userId])
+                .maybeSingle();
+
+            if (roomError || !chatRoom) {
+                return res.status(403).json({ error: 'Forbidden: You are not a participant in this chat room.' });
+            }
+
+            // Same rule as sending a message: no activity in a direct conversation with a block in either direction
+            const blocks = await fetchBlockSets(supabase, userId);
+            if (blocks.error) {
+                throw blocks.error;
+            }
+            if (chatRoom.type !== 'group' && chatRoom.participants.some(id => id !== userId && blocks.all.has(id))) {
+                return res.status(403).json({ error: 'You cannot send messages in this conversation.' });
+            }
+
+            publishToRoom(chatRoomId, 'typing', { userId, isTyping });
+            res.status(204).end();
+
+        } catch (error) {
+            console.error('Error sending typing indicator:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    // GET /api/realtime/presence - Which of the given users currently have an open stream
+    // Query: userIds (comma-separated). Only users who share a chat room with the requester are reported.
+    router.get('/presence', authenticate, async (req, res) => {
+        const userId = req.user.id;
+        const requestedIds = [...new Set(String(req.query.userIds || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+        if (requestedIds.length === 0 || requestedIds.length > MAX_PRESENCE_IDS) {
+            return res.status(400).json({ error: `userIds must list between 1 and ${MAX_PRESENCE_IDS} user ids.` });
+        }
+
+        try {
+            const [{ data: rooms, error: roomsError }, blocks] = await Promise.all([
+                supabase.from('chat_rooms').select('participants').contains('participants', [userId]),
+                fetchBlockSets(supabase, userId)
+            ]);
+            if (roomsError) {
+                console.error('Error fetching chat rooms for presence:', roomsError);
+                throw roomsError;
+            }
+            if (blocks.error) {
+                throw blocks.error;
+            }
+
+            const contacts = new Set(rooms.flatMap(room => room.participants));
+            const visibleIds = requestedIds.filter(id => id !== userId && contacts.has(id) && !blocks.all.has(id));
+            const online = await getRealtimeBroker().onlineUsers(visibleIds);
+
+            res.status(200).json({ presence: visibleIds.map(id => ({ userId: id, online: online.has(id) })) });
+
+        } catch (error) {
+            console.error('Error fetching presence:', error);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,441 @@
+// resumeParser.js - Offline resume parsing for PDF, DOCX and plain text.
+// Extracts text without external services, then pulls out contact info, work history,
+// education and skills with heuristics tuned for common resume layouts.
+
+import zlib from 'zlib';
+import { EXPERIENCE_LEVELS } from './jobMatching.js';
+import { UPLOAD_POLICIES } from './uploadPolicy.js';
+
+// --- Text extraction ---
+
+// Cap on decompressed output per resume, so a small upload can't inflate into gigabytes (zip bomb)
+const MAX_EXTRACTED_BYTES = 4 * UPLOAD_POLICIES.resume.maxBytes;
+
+// Reads one file out of a zip archive (DOCX is a zip) using the central directory.
+function readZipEntry(buffer, entryName) {
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) return null;
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    for (let i = 0; i < entryCount && offset + 46 <= buffer.length; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            const localNameLength = buffer.readUInt16LE(localOffset + 26);
+            const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+            const start = localOffset + 30 + localNameLength + localExtraLength;
+            const data = buffer.subarray(start, start + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_EXTRACTED_BYTES });
+            return null;
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+const decodeXmlEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+function extractDocxText(buffer) {
+    const documentXml = readZipEntry(buffer, 'word/document.xml');
+    if (!documentXml) return '';
+    return decodeXmlEntities(documentXml.toString('utf8')
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>|<\/w:p>/g, '\n')
+        .replace(/<[^>]+>/g, ''));
+}
+
+// Decodes a PDF literal string body, e.g. the inside of "(Hello\\(world\\))".
+const decodePdfString = (raw) => raw.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (_, escape) => {
+    const simple = { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' };
+    return simple[escape] ?? String.fromCharCode(parseInt(escape, 8));
+});
+
+const PDF_TEXT_TOKEN = /\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+
+// Pulls text-showing operators (Tj, TJ, ', ") out of a content stream, breaking lines on text moves.
+function extractContentStreamText(content) {
+    let output = '';
+    let operands = [];
+    let inArray = false;
+    let arrayText = '';
+
+    for (const [token] of content.matchAll(PDF_TEXT_TOKEN)) {
+        if (token === '[') {
+            inArray = true;
+            arrayText = '';
+        } else if (token === ']') {
+            inArray = false;
+            operands.push({ text: arrayText });
+        } else if (token.startsWith('(')) {
+            const text = decodePdfString(token.slice(1, -1));
+            if (inArray) arrayText += text; else operands.push({ text });
+        } else if (token.startsWith('<')) {
+            const hex = token.slice(1, -1).replace(/\s/g, '');
+            // Only single-byte hex strings map to readable characters without the font's CMap
+            const text = hex.length % 2 === 0 ? Buffer.from(hex, 'hex').toString('latin1').replace(/[^\x20-\x7e]/g, '') : '';
+            if (inArray) arrayText += text; else operands.push({ text });
+        } else if (/^-?\d*\.?\d+$/.test(token)) {
+            // Large negative kerning inside TJ arrays is how PDFs encode word gaps
+            if (inArray && Number(token) < -200) arrayText += ' ';
+            else if (!inArray) operands.push({ number: Number(token) });
+        } else if (token.startsWith('/')) {
+            operands.push({ name: token });
+        } else {
+            const texts = operands.filter(operand => operand.text !== undefined).map(operand => operand.text).join('');
+            if (token === 'Tj' || token === 'TJ') output += texts;
+            else if (token === "'" || token === '"') output += `\n${texts}`;
+            else if (token === 'T*' || token === 'ET') output += '\n';
+            else if (token === 'Td' || token === 'TD') {
+                const ty = operands.filter(operand => operand.number !== undefined).slice(-1)[0]?.number || 0;
+                output += ty !== 0 ? '\n' : ' ';
+            } else if (token === 'Tm') output += '\n';
+            operands = [];
+        }
+    }
+    return output;
+}
+
+const tooLargeError = () => Object.assign(new RangeError('Decompressed resume exceeds the size limit.'), { code: 'ERR_BUFFER_TOO_LARGE' });
+
+const MAX_PDF_DICTIONARY_LENGTH = 4096;
+
+// The dictionary ("<< ... >>") right before a "stream" keyword, looking back at most MAX_PDF_DICTIONARY_LENGTH
+// characters and no further than `from`. Returns null if the keyword doesn't follow a dictionary.
+function streamDictionary(raw, keyword, from) {
+    let end = keyword;
+    while (end > from && /\s/.test(raw[end - 1])) end--;
+    if (end - 2 < from || raw.slice(end - 2, end) !== '>>') return null;
+
+    const window = raw.slice(Math.max(from, end - MAX_PDF_DICTIONARY_LENGTH), end - 2);
+    // Start at the object this stream belongs to ("n 0 obj"), not at an earlier object's dictionary
+    const objectStart = window.lastIndexOf('obj');
+    const open = window.indexOf('<<', objectStart === -1 ? 0 : objectStart);
+    return open === -1 ? null : window.slice(open + 2);
+}
+
+// Finds streams by scanning for the "stream" keyword with indexOf: a regex over the whole file backtracks
+// quadratically on inputs full of "<<".
+function extractPdfText(buffer) {
+    const raw = buffer.toString('latin1');
+    let text = '';
+    let budget = MAX_EXTRACTED_BYTES;
+    let from = 0;
+    let keyword;
+
+    while ((keyword = raw.indexOf('stream', from)) !== -1) {
+        let start = keyword + 'stream'.length;
+        if (raw[start] === '\r') start++;
+        const dictionary = raw[start] === '\n' && !raw.startsWith('end', keyword - 3) ? streamDictionary(raw, keyword, from) : null;
+        if (dictionary === null) {
+            from = keyword + 'stream'.length;
+            continue;
+        }
+        start++;
+        const end = raw.indexOf('endstream', start);
+        if (end === -1) break;
+        from = end + 'endstream'.length;
+
+        // Images, fonts and other binary streams carry no page text
+        if (/\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(XObject|XRef|ObjStm)/.test(dictionary)) continue;
+
+        let data = buffer.subarray(start, end);
+        if (/\/FlateDecode/.test(dictionary)) {
+            if (budget <= 0) throw tooLargeError();
+            try {
+                data = zlib.inflateSync(data, { maxOutputLength: budget });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+                try {
+                    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: budget });
+                } catch (retryError) {
+                    if (retryError.code === 'ERR_BUFFER_TOO_LARGE') throw retryError;
+                    continue;
+                }
+            }
+            budget -= data.length;
+        } else if (/\/Filter/.test(dictionary)) {
+            continue;
+        }
+
+        const content = data.toString('latin1');
+        if (/\bBT\b/.test(content)) text += `${extractContentStreamText(content)}\n`;
+    }
+    return text;
+}
+
+// Returns the plain text of a resume. "type" is the detected file type (see uploadPolicy.detectFileType).
+// Throws on malformed archives (RangeError) and on output past MAX_EXTRACTED_BYTES (code ERR_BUFFER_TOO_LARGE).
+export function extractResumeText(buffer, type) {
+    if (type === 'pdf') return extractPdfText(buffer);
+    if (type === 'docx') return extractDocxText(buffer);
+    if (type === 'txt') return buffer.toString('utf8');
+    return '';
+}
+
+// --- Field extraction ---
+
+const SECTION_HEADINGS = {
+    summary: ['summary', 'profile', 'professional summary', 'objective', 'about me', 'career objective'],
+    experience: ['experience', 'work experience', 'professional experience', 'employment', 'employment history', 'work history', 'career history'],
+    education: ['education', 'academic background', 'education and training', 'qualifications'],
+    skills: ['skills', 'technical skills', 'core competencies', 'key skills', 'competencies', 'technologies', 'tools'],
+    projects: ['projects', 'personal projects'],
+    certifications: ['certifications', 'certificates', 'licenses', 'licenses and certifications'],
+    other: ['languages', 'interests', 'hobbies', 'references', 'awards', 'volunteer experience', 'publications']
+};
+
+// Common skills recognised anywhere in the text, for resumes without a skills section.
+// Matched case-sensitively, so "python" in prose doesn't count but "Python" does.
+const KNOWN_SKILLS = [
+    'JavaScript', 'TypeScript', 'Python', 'Java', 'C#', 'C++', 'Go', 'Rust', 'Ruby', 'PHP', 'Swift', 'Kotlin', 'SQL',
+    'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring', '.NET', 'Next.js', 'GraphQL',
+    'HTML', 'CSS', 'Tailwind', 'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'Supabase', 'Firebase',
+    'AWS', 'Azure', 'Google Cloud', 'Docker', 'Kubernetes', 'Terraform', 'Linux', 'Git', 'CI/CD',
+    'Machine Learning', 'Deep Learning', 'Data Analysis', 'Data Science', 'TensorFlow', 'PyTorch', 'Pandas', 'Excel',
+    'Power BI', 'Tableau', 'Figma', 'Photoshop', 'Illustrator', 'UI/UX', 'SEO', 'Digital Marketing', 'Copywriting',
+    'Project Management', 'Agile', 'Scrum', 'Product Management', 'Salesforce', 'SAP', 'QuickBooks', 'Accounting',
+    'Financial Analysis', 'Customer Service', 'Sales', 'Negotiation', 'Leadership', 'Public Speaking', 'Research'
+];
+
+// Known skills that are also everyday words ("Go", "Spring", "Excel"); only trusted inside the skills section
+const COMMON_WORD_SKILLS = new Set(['Go', 'Rust', 'Ruby', 'Swift', 'Express', 'Spring', 'Excel', 'Sales', 'Negotiation', 'Leadership', 'Research', 'Accounting', 'Agile']);
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to)\\s*(${DATE}|present|current|now)`, 'i');
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE = /(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/;
+const LINK = /\b(?:https?:\/\/|www\.)[^\s,;]+|\b(?:linkedin\.com|github\.com)\/[^\s,;]+/gi;
+const DEGREE = /\b(bachelor|master|b\.?sc|m\.?sc|b\.?a\b|m\.?a\b|b\.?eng|m\.?eng|mba|ph\.?d|doctorate|diploma|associate|certificate|high school)/i;
+const INSTITUTION = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const BULLET = /^[•●▪◦\-*–]\s*/;
+
+const normalizeHeading = (line) => line.toLowerCase().replace(/[:|]/g, '').replace(/\s+/g, ' ').trim();
+
+function splitSections(lines) {
+    const sections = { header: [] };
+    let current = 'header';
+    for (const line of lines) {
+        const heading = normalizeHeading(line);
+        const section = line.length <= 40 && Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].includes(heading));
+        if (section) {
+            current = section;
+            sections[current] = sections[current] || [];
+        } else {
+            sections[current].push(line);
+        }
+    }
+    return sections;
+}
+
+// Parses "Jan 2020", "01/2020" or "2020" into "YYYY-MM" (or "YYYY"); "Present" becomes null.
+function parseResumeDate(value) {
+    if (!value || /present|current|now/i.test(value)) return null;
+    const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+    if (numeric) return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+    const named = value.match(/^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i);
+    if (named) {
+        const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(named[1].toLowerCase()) + 1;
+        return `${named[2]}-${String(month).padStart(2, '0')}`;
+    }
+    return value.match(/\d{4}/)?.[0] || null;
+}
+
+// Splits "Senior Engineer at Acme", "Senior Engineer, Acme", "Acme | Senior Engineer" and similar.
+function splitTitleAndCompany(text) {
+    const cleaned = text.replace(DATE_RANGE, '').replace(/[()]/g, '').replace(/\s{2,}/g, ' ').replace(/[\s,|–—-]+$/, '').trim();
+    const atMatch = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (atMatch) return { title: atMatch[1].trim(), company: atMatch[2].trim() };
+    const parts = cleaned.split(/\s*(?:,|\||–|—|\s-\s)\s*/).filter(Boolean);
+    if (parts.length >= 2) return { title: parts[0], company: parts[1] };
+    return { title: cleaned || null, company: null };
+}
+
+function parseWorkHistory(lines) {
+    const entries = [];
+    let current = null;
+
+    lines.forEach((line, index) => {
+        const range = line.match(DATE_RANGE);
+        if (range) {
+            const sameLine = splitTitleAndCompany(line);
+            // Dates often sit on their own line under (or above) the title line
+            const previous = index > 0 && !lines[index - 1].match(DATE_RANGE) && !BULLET.test(lines[index - 1]) ? lines[index - 1] : null;
+            const roleInfo = sameLine.title ? sameLine : (previous ? splitTitleAndCompany(previous) : sameLine);
+            if (!sameLine.title && previous && current && current.description.at(-1) === previous.replace(BULLET, '')) {
+                current.description.pop();
+            }
+            current = {
+                title: roleInfo.title,
+                company: roleInfo.company,
+                startDate: parseResumeDate(range[1]),
+                endDate: parseResumeDate(range[2]),
+                current: /present|current|now/i.test(range[2]),
+                description: []
+            };
+            entries.push(current);
+        } else if (current) {
+            current.description.push(line.replace(BULLET, ''));
+        }
+    });
+
+    return entries.map(entry => ({ ...entry, description: entry.description.join('\n') }));
+}
+
+function parseEducation(lines) {
+    const entries = [];
+    let current = null;
+    for (const line of lines) {
+        const isDegree = DEGREE.test(line);
+        const isInstitution = INSTITUTION.test(line);
+        if (isDegree || isInstitution) {
+            if (!current || (isDegree && current.degree) || (isInstitution && current.institution)) {
+                current = { institution: null, degree: null, startDate: null, endDate: null };
+                entries.push(current);
+            }
+            const text = line.replace(DATE_RANGE, '').replace(/\s{2,}/g, ' ').trim();
+            const parts = text.split(/\s*(?:,|\||–|—|\s-\s)\s*/);
+            for (const part of parts) {
+                if (!current.degree && DEGREE.test(part)) current.degree = part;
+                else if (!current.institution && INSTITUTION.test(part)) current.institution = part;
+            }
+        }
+        const range = line.match(DATE_RANGE);
+        const singleYear = !range && line.match(/\b(19|20)\d{2}\b/);
+        if (current && range) {
+            current.startDate = parseResumeDate(range[1]);
+            current.endDate = parseResumeDate(range[2]);
+        } else if (current && singleYear && !current.endDate) {
+            current.endDate = singleYear[0];
+        }
+    }
+    return entries;
+}
+
+function parseSkills(sectionLines, fullText) {
+    const skills = new Map();
+    const add = (skill) => {
+        const cleaned = skill.replace(BULLET, '').replace(/^[A-Za-z ]{2,30}:\s*/, '').trim();
+        if (cleaned && cleaned.length <= 40 && !skills.has(cleaned.toLowerCase())) skills.set(cleaned.toLowerCase(), cleaned);
+    };
+
+    for (const line of sectionLines || []) {
+        // "Languages: Python, Go" -> category prefix dropped, items split
+        const items = line.replace(/^[A-Za-z ]{2,30}:\s*/, '').split(/\s*(?:,|;|\||•|·|\s&\s)\s*/);
+        items.forEach(add);
+    }
+
+    for (const skill of KNOWN_SKILLS) {
+        if (COMMON_WORD_SKILLS.has(skill)) continue;
+        const escaped = skill.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        if (new RegExp(`(^|[^A-Za-z0-9])${escaped}(?![A-Za-z0-9+#])`).test(fullText)) add(skill);
+    }
+    return [...skills.values()];
+}
+
+// Rough total experience from non-overlapping work history ranges, in years
+function totalExperienceYears(workHistory, now = new Date()) {
+    const toMonths = (value, fallback) => {
+        if (!value) return fallback;
+        const [year, month = '1'] = value.split('-');
+        return Number(year) * 12 + Number(month) - 1;
+    };
+    const nowMonths = now.getFullYear() * 12 + now.getMonth();
+    const ranges = workHistory
+        .filter(entry => entry.startDate)
+        .map(entry => [toMonths(entry.startDate), entry.current || !entry.endDate ? nowMonths : toMonths(entry.endDate)])
+        .sort((a, b) => a[0] - b[0]);
+
+    let months = 0;
+    let coveredUntil = -Infinity;
+    for (const [start, end] of ranges) {
+        const from = Math.max(start, coveredUntil);
+        if (end > from) months += end - from;
+        coveredUntil = Math.max(coveredUntil, end);
+    }
+    return Math.round((months / 12) * 10) / 10;
+}
+
+const experienceLevelFor = (years) => {
+    if (years < 2) return EXPERIENCE_LEVELS[0];
+    if (years < 5) return EXPERIENCE_LEVELS[1];
+    if (years < 12) return EXPERIENCE_LEVELS[2];
+    return EXPERIENCE_LEVELS[3];
+};
+
+// Turns resume text into structured profile fields.
+export function parseResumeText(text) {
+    const lines = text
+        .split(/\r?\n/)
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+    const fullText = lines.join('\n');
+    const sections = splitSections(lines);
+
+    const email = fullText.match(EMAIL)?.[0] || null;
+    const phoneMatch = sections.header.join('\n').match(PHONE) || fullText.match(PHONE);
+    const links = [...new Set((fullText.match(LINK) || []).map(link => link.replace(/[).]+$/, '')))];
+    const name = sections.header.find(line =>
+        !EMAIL.test(line) && !PHONE.test(line) && !line.match(LINK) && /^[A-Za-zÀ-ÿ'.-]+(?:\s+[A-Za-zÀ-ÿ'.-]+){1,3}$/.test(line)
+    ) || null;
+
+    const workHistory = parseWorkHistory(sections.experience || []);
+    const education = parseEducation(sections.education || []);
+    const skills = parseSkills(sections.skills, fullText);
+    const experienceYears = totalExperienceYears(workHistory);
+
+    return {
+        contact: { name, email, phone: phoneMatch ? phoneMatch[0].trim() : null, links },
+        summary: sections.summary ? sections.summary.join(' ') : null,
+        headline: workHistory[0]?.title || null,
+        workHistory,
+        education,
+        skills,
+        experienceYears,
+        experienceLevel: workHistory.length ? experienceLevelFor(experienceYears) : null
+    };
+}
+
+const UNREADABLE = {
+    status: 422,
+    code: 'UNREADABLE_RESUME',
+    error: 'No text could be read from this resume. Scanned PDFs are not supported; try a DOCX or text version.'
+};
+
+// Extracts and parses a resume. Returns { resume }, or { status, code, error } if it can't be read.
+export function parseResume(buffer, type) {
+    let text;
+    try {
+        text = extractResumeText(buffer, type);
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            return { status: 422, code: 'RESUME_TOO_LARGE', error: 'This resume expands to too much content to read. Try a smaller file.' };
+        }
+        // Truncated or corrupt archives fail with RangeError (bad offsets) or zlib data errors
+        return UNREADABLE;
+    }
+    if (!text || text.replace(/\s/g, '').length < 20) return UNREADABLE;
+    return { resume: parseResumeText(text) };
+}
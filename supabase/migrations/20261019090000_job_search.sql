@@ -0,0 +1,17 @@
+-- Full-text search and numeric salary bounds for GET /api/jobs.
+-- salary_min / salary_max are parsed from salary_compensation by the post-job handler.
+
+alter table public.jobs
+    add column if not exists salary_min numeric,
+    add column if not exists salary_max numeric,
+    add column if not exists search_vector tsvector generated always as (
+        setweight(to_tsvector('english', coalesce(job_title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(company_name, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(job_description, '')), 'C') ||
+        setweight(to_tsvector('english', coalesce(responsibilities, '')), 'D')
+    ) stored;
+
+create index if not exists jobs_search_vector_idx on public.jobs using gin (search_vector);
+create index if not exists jobs_created_at_id_idx on public.jobs (created_at, id);
+create index if not exists jobs_application_deadline_idx on public.jobs (application_deadline);
+create index if not exists jobs_salary_max_idx on public.jobs (salary_max);
@@ -0,0 +1,13 @@
+-- Job posting lifecycle. Jobs move between draft, open, paused, closed and expired;
+-- only open jobs are listed publicly and accept applications.
+
+alter table public.jobs
+    add column if not exists status text not null default 'open',
+    add column if not exists closed_reason text,
+    add column if not exists updated_at timestamptz not null default now();
+
+alter table public.jobs
+    drop constraint if exists jobs_status_check,
+    add constraint jobs_status_check check (status in ('draft', 'open', 'paused', 'closed', 'expired'));
+
+create index if not exists jobs_status_idx on public.jobs (status);
@@ -0,0 +1,67 @@
+-- Atomic application submission for POST /api/jobs/apply-job.
+-- The job row is locked FOR UPDATE, so concurrent applicants to the same job are serialized and
+-- the deadline, capacity and duplicate checks cannot race. Errors are raised with a stable code
+-- in the message, which the API maps to its structured error responses.
+
+-- Earlier double submissions left duplicate rows behind, which would stop the unique index from building.
+-- Keep each applicant's first application to a job and drop the later copies.
+delete from public.applications a
+ using public.applications earlier
+ where earlier.job_id = a.job_id
+   and earlier.user_id = a.user_id
+   and (earlier.created_at, earlier.id) < (a.created_at, a.id);
+
+create unique index if not exists applications_job_id_user_id_key on public.applications (job_id, user_id);
+
+create or replace function public.submit_application(p_job_id uuid, p_user_id uuid, p_content jsonb)
+returns setof public.applications
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_job public.jobs%rowtype;
+    v_count integer;
+    v_application public.applications%rowtype;
+begin
+    select * into v_job from public.jobs where id = p_job_id for update;
+
+    if not found then
+        raise exception 'JOB_NOT_FOUND';
+    end if;
+
+    -- Raising aborts the transaction, so status changes for expired or full jobs are left to
+    -- expireJobs() and to the insert that fills the last slot.
+    if v_job.application_deadline is not null and v_job.application_deadline < now() then
+        raise exception 'DEADLINE_PASSED';
+    end if;
+
+    if v_job.status <> 'open' then
+        raise exception 'JOB_NOT_OPEN';
+    end if;
+
+    if exists (select 1 from public.applications where job_id = p_job_id and user_id = p_user_id) then
+        raise exception 'DUPLICATE_APPLICATION';
+    end if;
+
+    select count(*) into v_count from public.applications where job_id = p_job_id;
+
+    if v_job.max_applicants is not null and v_count >= v_job.max_applicants then
+        raise exception 'CAPACITY_REACHED';
+    end if;
+
+    insert into public.applications (user_id, job_id, type, content)
+    values (p_user_id, p_job_id, 'application', p_content)
+    returning * into v_application;
+
+    if v_job.max_applicants is not null and v_count + 1 >= v_job.max_applicants then
+        update public.jobs
+           set status = 'closed', closed_reason = 'max_applicants', updated_at = now()
+         where id = p_job_id;
+    end if;
+
+    return next v_application;
+end;
+$$;
+
+revoke all on function public.submit_application(uuid, uuid, jsonb) from public, anon, authenticated;
@@ -0,0 +1,43 @@
+-- Application pipeline: a status on every application and a history of who changed it and when.
+
+alter table public.applications
+    add column if not exists status text not null default 'Submitted',
+    add column if not exists status_updated_at timestamptz;
+
+alter table public.applications
+    add constraint applications_status_check check (status in (
+        'Submitted', 'Under Review', 'Interview Needed', 'Needed to be Connected', 'Rejected', 'Hired', 'Withdrawn'
+    ));
+
+create index if not exists applications_job_id_status_idx on public.applications (job_id, status);
+
+create table if not exists public.application_status_history (
+    id uuid primary key default gen_random_uuid(),
+    application_id uuid not null references public.applications (id) on delete cascade,
+    from_status text,
+    to_status text not null,
+    actor_id uuid not null,
+    actor_role text,
+    note text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists application_status_history_application_id_idx
+    on public.application_status_history (application_id, created_at);
+
+-- Every new application starts its history with the applicant's own "Submitted" entry
+create or replace function public.record_application_submitted()
+returns trigger
+language plpgsql
+as $$
+begin
+    insert into public.application_status_history (application_id, from_status, to_status, actor_id, actor_role)
+    values (new.id, null, new.status, new.user_id, 'talent');
+    return new;
+end;
+$$;
+
+drop trigger if exists applications_record_submitted on public.applications;
+create trigger applications_record_submitted
+    after insert on public.applications
+    for each row execute function public.record_application_submitted();
@@ -0,0 +1,39 @@
+-- Private reviewer feedback on applications: notes, per-criterion ratings and tags.
+-- Row level security is enabled without policies, so only the API (service role) can read these.
+
+alter table public.jobs
+    add column if not exists review_criteria jsonb;
+
+create table if not exists public.application_notes (
+    id uuid primary key default gen_random_uuid(),
+    application_id uuid not null references public.applications (id) on delete cascade,
+    author_id uuid not null,
+    body text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists application_notes_application_id_idx on public.application_notes (application_id, created_at);
+
+create table if not exists public.application_ratings (
+    application_id uuid not null references public.applications (id) on delete cascade,
+    reviewer_id uuid not null,
+    criterion text not null,
+    score smallint not null check (score between 1 and 5),
+    updated_at timestamptz not null default now(),
+    primary key (application_id, reviewer_id, criterion)
+);
+
+create table if not exists public.application_tags (
+    application_id uuid not null references public.applications (id) on delete cascade,
+    tag text not null,
+    created_by uuid not null,
+    created_at timestamptz not null default now(),
+    primary key (application_id, tag)
+);
+
+create index if not exists application_tags_tag_idx on public.application_tags (tag);
+
+alter table public.application_notes enable row level security;
+alter table public.application_ratings enable row level security;
+alter table public.application_tags enable row level security;
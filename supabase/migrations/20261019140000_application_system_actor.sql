@@ -0,0 +1,4 @@
+-- Automatic transitions (e.g. knockout-question rejections) are recorded without a human actor.
+
+alter table public.application_status_history
+    alter column actor_id drop not null;
@@ -0,0 +1,31 @@
+-- Application files become private. They are served through GET /api/applications/:id/files/:key,
+-- which checks the requester and issues a short-lived signed URL.
+
+update storage.buckets
+   set public = false
+ where id = 'application_files';
+
+-- Existing file answers stored a permanent public URL in "value". Rewrite them to keep only the
+-- storage path (relative to the bucket), which is what the download endpoint signs.
+update public.applications a
+   set content = (
+       select jsonb_object_agg(
+           entry.key,
+           case
+               when entry.value->>'type' = 'File Upload'
+                    and entry.value->>'value' like '%/storage/v1/object/public/application_files/%'
+               then (entry.value - 'value') || jsonb_build_object(
+                   'storagePath', split_part(entry.value->>'value', '/storage/v1/object/public/application_files/', 2)
+               )
+               else entry.value
+           end
+       )
+       from jsonb_each(a.content) as entry
+   )
+ where jsonb_typeof(a.content) = 'object'
+   and exists (
+       select 1
+         from jsonb_each(a.content) as entry
+        where entry.value->>'type' = 'File Upload'
+          and entry.value->>'value' like '%/storage/v1/object/public/application_files/%'
+   );
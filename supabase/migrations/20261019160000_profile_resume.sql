@@ -0,0 +1,13 @@
+-- Structured talent profile fields filled from a confirmed resume parse.
+-- skills feeds job matching and candidate ranking; work_history and education are shown to reviewers.
+
+alter table public.profiles
+    add column if not exists headline text,
+    add column if not exists summary text,
+    add column if not exists skills text[],
+    add column if not exists experience_level text,
+    add column if not exists work_history jsonb,
+    add column if not exists education jsonb,
+    add column if not exists resume_parsed_at timestamptz;
+
+create index if not exists profiles_skills_idx on public.profiles using gin (skills);
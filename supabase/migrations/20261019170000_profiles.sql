@@ -0,0 +1,29 @@
+-- profiles becomes the single source of user profile data. Roles previously read from users are copied over,
+-- and the role-specific fields edited through /api/profile are added.
+
+alter table public.profiles
+    add column if not exists role text,
+    add column if not exists bio text,
+    add column if not exists location text,
+    add column if not exists portfolio_links text[],
+    add column if not exists industries text[],
+    add column if not exists preferred_location_types text[],
+    add column if not exists preferred_position_types text[],
+    add column if not exists industry text,
+    add column if not exists company_size text,
+    add column if not exists website text,
+    add column if not exists created_at timestamptz not null default now(),
+    add column if not exists updated_at timestamptz not null default now();
+
+insert into public.profiles (id, role)
+select u.user_id, u.role
+from public.users u
+on conflict (id) do update
+    set role = coalesce(public.profiles.role, excluded.role);
+
+alter table public.profiles
+    drop constraint if exists profiles_company_size_check,
+    add constraint profiles_company_size_check
+        check (company_size is null or company_size in ('1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'));
+
+create index if not exists profiles_role_idx on public.profiles (role);
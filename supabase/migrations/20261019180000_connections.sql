@@ -0,0 +1,23 @@
+-- Connection requests between users. A pair can have at most one pending or accepted connection at a time;
+-- declined, withdrawn and removed rows are kept as history and do not block a new request.
+
+create table if not exists public.connections (
+    id uuid primary key default gen_random_uuid(),
+    requester_id uuid not null,
+    addressee_id uuid not null,
+    status text not null default 'pending'
+        check (status in ('pending', 'accepted', 'declined', 'withdrawn', 'removed')),
+    message text,
+    created_at timestamptz not null default now(),
+    responded_at timestamptz,
+    check (requester_id <> addressee_id)
+);
+
+create unique index if not exists connections_active_pair_idx
+    on public.connections (least(requester_id, addressee_id), greatest(requester_id, addressee_id))
+    where status in ('pending', 'accepted');
+
+create index if not exists connections_requester_idx on public.connections (requester_id, status);
+create index if not exists connections_addressee_idx on public.connections (addressee_id, status);
+
+alter table public.connections enable row level security;
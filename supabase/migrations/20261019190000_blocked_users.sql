@@ -0,0 +1,15 @@
+-- blocked_users is now read on every chat, connection and notification request: index both directions
+-- and keep one row per blocker/blocked pair.
+
+create table if not exists public.blocked_users (
+    id uuid primary key default gen_random_uuid(),
+    blocker_id uuid not null,
+    blocked_id uuid not null,
+    created_at timestamptz not null default now()
+);
+
+alter table public.blocked_users
+    add column if not exists created_at timestamptz not null default now();
+
+create unique index if not exists blocked_users_pair_idx on public.blocked_users (blocker_id, blocked_id);
+create index if not exists blocked_users_blocked_idx on public.blocked_users (blocked_id);
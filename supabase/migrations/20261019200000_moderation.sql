@@ -0,0 +1,79 @@
+-- Moderation: reports on messages, chat rooms, job postings and profiles, the actions admins take on them,
+-- and the state those actions leave behind (deleted messages, removed jobs, suspended users).
+-- Admins are profiles with role 'admin'; the role is granted directly in the database.
+
+create table if not exists public.reports (
+    id uuid primary key default gen_random_uuid(),
+    reporter_id uuid not null,
+    item_type text not null,
+    item_id uuid not null,
+    reason text not null
+);
+
+alter table public.reports
+    add column if not exists reported_user_id uuid,
+    add column if not exists status text not null default 'open',
+    add column if not exists resolved_by uuid,
+    add column if not exists resolved_at timestamptz,
+    add column if not exists resolution_action text,
+    add column if not exists resolution_note text,
+    add column if not exists created_at timestamptz not null default now();
+
+alter table public.reports
+    drop constraint if exists reports_item_type_check,
+    add constraint reports_item_type_check check (item_type in ('message', 'chat', 'job', 'profile')),
+    drop constraint if exists reports_status_check,
+    add constraint reports_status_check check (status in ('open', 'resolved', 'dismissed'));
+
+-- Reporters could file the same report more than once before this index existed. Keep the first open
+-- report per reporter and item, and dismiss the repeats so the index can build.
+update public.reports r
+   set status = 'dismissed',
+       resolved_at = now(),
+       resolution_action = 'dismiss',
+       resolution_note = 'Duplicate report'
+  from public.reports earlier
+ where earlier.reporter_id = r.reporter_id
+   and earlier.item_type = r.item_type
+   and earlier.item_id = r.item_id
+   and earlier.status = 'open'
+   and r.status = 'open'
+   and (earlier.created_at, earlier.id) < (r.created_at, r.id);
+
+-- One open report per reporter and item
+create unique index if not exists reports_open_reporter_item_idx
+    on public.reports (reporter_id, item_type, item_id)
+    where status = 'open';
+
+create index if not exists reports_queue_idx on public.reports (status, created_at);
+create index if not exists reports_item_idx on public.reports (item_type, item_id);
+
+create table if not exists public.moderation_actions (
+    id uuid primary key default gen_random_uuid(),
+    moderator_id uuid not null,
+    action text not null,
+    report_id uuid references public.reports (id) on delete set null,
+    item_type text,
+    item_id uuid,
+    target_user_id uuid,
+    note text,
+    details jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_actions_created_idx on public.moderation_actions (created_at desc);
+create index if not exists moderation_actions_target_idx on public.moderation_actions (target_user_id);
+
+alter table public.moderation_actions enable row level security;
+
+alter table public.profiles
+    add column if not exists suspended_until timestamptz,
+    add column if not exists suspension_reason text;
+
+alter table public.messages
+    add column if not exists deleted_at timestamptz,
+    add column if not exists removed_by_moderation boolean not null default false;
+
+alter table public.jobs
+    drop constraint if exists jobs_status_check,
+    add constraint jobs_status_check check (status in ('draft', 'open', 'paused', 'closed', 'expired', 'removed'));
@@ -0,0 +1,43 @@
+-- Per-participant read cursors for chat rooms. A cursor marks the newest message the user has seen;
+-- unread counts and "seen" receipts are both derived from it, so there is no counter to drift.
+
+create table if not exists public.chat_read_cursors (
+    chat_id uuid not null,
+    user_id uuid not null,
+    last_read_at timestamptz not null,
+    last_read_message_id uuid,
+    updated_at timestamptz not null default now(),
+    primary key (chat_id, user_id)
+);
+
+create index if not exists chat_read_cursors_user_idx on public.chat_read_cursors (user_id);
+create index if not exists messages_chat_id_created_at_idx on public.messages (chat_id, created_at);
+
+alter table public.chat_read_cursors enable row level security;
+
+-- Unread messages per room for one user: messages from others after the user's cursor, skipping messages
+-- deleted for everyone, messages the user deleted for themselves (deleted_by) and senders the user blocked.
+create or replace function public.chat_unread_counts(p_user_id uuid)
+returns table (chat_id uuid, unread bigint)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select m.chat_id, count(*) as unread
+      from public.chat_rooms r
+      join public.messages m on m.chat_id = r.id
+      left join public.chat_read_cursors c on c.chat_id = r.id and c.user_id = p_user_id
+     where p_user_id::text = any (r.participants::text[])
+       and m.sender_id <> p_user_id
+       and m.deleted_at is null
+       and not (p_user_id::text = any (coalesce(m.deleted_by::text[], '{}')))
+       and m.created_at > coalesce(c.last_read_at, '-infinity'::timestamptz)
+       and not exists (
+           select 1 from public.blocked_users b
+            where b.blocker_id = p_user_id and b.blocked_id = m.sender_id
+       )
+     group by m.chat_id;
+$$;
+
+revoke all on function public.chat_unread_counts(uuid) from public, anon, authenticated;
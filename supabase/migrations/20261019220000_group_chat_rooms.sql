@@ -0,0 +1,28 @@
+-- Group chat rooms. chat_rooms.participants remains the membership list; admin_ids marks which members
+-- administer a group. Existing rooms are all two-person chats and become 'direct'.
+-- Membership changes and other room events are stored as messages of type 'system'.
+
+alter table public.chat_rooms
+    add column if not exists type text not null default 'direct',
+    add column if not exists name text,
+    add column if not exists avatar_url text,
+    add column if not exists admin_ids uuid[] not null default '{}',
+    add column if not exists created_by uuid;
+
+alter table public.chat_rooms drop constraint if exists chat_rooms_type_check;
+alter table public.chat_rooms
+    add constraint chat_rooms_type_check check (type in ('direct', 'group'));
+
+alter table public.chat_rooms drop constraint if exists chat_rooms_group_name_check;
+alter table public.chat_rooms
+    add constraint chat_rooms_group_name_check check (type = 'direct' or name is not null);
+
+create index if not exists chat_rooms_participants_idx on public.chat_rooms using gin (participants);
+
+alter table public.messages
+    add column if not exists type text not null default 'user',
+    add column if not exists system_event jsonb;
+
+alter table public.messages drop constraint if exists messages_type_check;
+alter table public.messages
+    add constraint messages_type_check check (type in ('user', 'system'));
@@ -0,0 +1,8 @@
+-- Full-text search over chat messages (GET /api/chat/search). The 'simple' configuration is used because
+-- chats mix languages, names and job titles that stemming would mangle.
+
+alter table public.messages
+    add column if not exists search_vector tsvector
+    generated always as (to_tsvector('simple', coalesce(text, ''))) stored;
+
+create index if not exists messages_search_vector_idx on public.messages using gin (search_vector);
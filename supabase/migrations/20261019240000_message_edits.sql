@@ -0,0 +1,17 @@
+-- Edit history for chat messages: each edit stores the text it replaced. Participants can read a message's
+-- history; it is deleted along with the text when the message is deleted for everyone.
+
+create table if not exists public.message_edits (
+    id uuid primary key default gen_random_uuid(),
+    message_id uuid not null references public.messages (id) on delete cascade,
+    editor_id uuid not null,
+    previous_text text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists message_edits_message_idx on public.message_edits (message_id, created_at);
+
+alter table public.message_edits enable row level security;
+
+alter table public.messages
+    add column if not exists edited_at timestamptz;
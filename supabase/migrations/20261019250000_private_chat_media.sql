@@ -0,0 +1,27 @@
+-- Chat attachments become private. Messages are served with short-lived signed URLs (and signed thumbnail
+-- URLs for images) that are only issued to room participants.
+
+update storage.buckets
+   set public = false
+ where id = 'chat_media';
+
+-- Existing attachments stored a permanent public URL. Keep only the storage path, which is what gets signed.
+update public.messages m
+   set files_urls = (
+       select jsonb_agg(
+           case
+               when file->>'url' like '%/storage/v1/object/public/chat_media/%'
+               then (file - 'url') || jsonb_build_object(
+                   'path', split_part(file->>'url', '/storage/v1/object/public/chat_media/', 2)
+               )
+               else file
+           end
+       )
+       from jsonb_array_elements(m.files_urls) as file
+   )
+ where jsonb_typeof(m.files_urls) = 'array'
+   and m.files_urls::text like '%/storage/v1/object/public/chat_media/%';
+
+create index if not exists messages_chat_id_with_files_idx
+    on public.messages (chat_id, created_at)
+ where files_urls is not null and deleted_at is null;
@@ -0,0 +1,45 @@
+-- Emoji reactions, reply threads and forwarded messages.
+-- A reply's thread_root_id is the first message of its thread, so a thread is one indexed query however deep
+-- the reply chain goes. Forwarded messages keep a link to the original (not enforced: the original may be deleted).
+
+create table if not exists public.message_reactions (
+    message_id uuid not null references public.messages (id) on delete cascade,
+    user_id uuid not null,
+    emoji text not null check (char_length(emoji) between 1 and 16),
+    created_at timestamptz not null default now(),
+    primary key (message_id, user_id, emoji)
+);
+
+create index if not exists message_reactions_message_idx on public.message_reactions (message_id, created_at);
+
+alter table public.message_reactions enable row level security;
+
+alter table public.messages
+    add column if not exists thread_root_id uuid,
+    add column if not exists forwarded_from_message_id uuid;
+
+create index if not exists messages_thread_idx on public.messages (thread_root_id, created_at)
+    where thread_root_id is not null;
+
+-- Existing replies: follow reply_to_message_id up to a message that isn't a reply
+with recursive chain as (
+    select id, reply_to_message_id as parent_id, reply_to_message_id as root_id
+    from public.messages
+    where reply_to_message_id is not null
+    union all
+    select chain.id, parent.reply_to_message_id, parent.reply_to_message_id
+    from chain
+    join public.messages parent on parent.id = chain.parent_id
+    where parent.reply_to_message_id is not null
+)
+update public.messages m
+set thread_root_id = roots.root_id
+from (
+    select distinct on (chain.id) chain.id, chain.root_id
+    from chain
+    where not exists (
+        select 1 from public.messages parent
+        where parent.id = chain.root_id and parent.reply_to_message_id is not null
+    )
+) roots
+where m.id = roots.id and m.thread_root_id is null;
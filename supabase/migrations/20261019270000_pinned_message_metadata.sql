@@ -0,0 +1,12 @@
+-- Who pinned a message and when. Messages pinned before this change keep their send time as pinned_at.
+
+alter table public.messages
+    add column if not exists pinned_by uuid,
+    add column if not exists pinned_at timestamptz;
+
+update public.messages
+set pinned_at = created_at
+where is_pinned and pinned_at is null;
+
+create index if not exists messages_pinned_idx on public.messages (chat_id, pinned_at desc)
+    where is_pinned;
@@ -0,0 +1,20 @@
+-- Columns for the notification service (notifications.js). Notifications are only written by the server:
+-- message is the rendered text, group_key/group_count collapse bursts of similar events into one unread
+-- notification, and dedup_key stops the same event from being delivered twice.
+
+alter table public.notifications
+    add column if not exists message text,
+    add column if not exists group_key text,
+    add column if not exists group_count integer not null default 1,
+    add column if not exists dedup_key text,
+    add column if not exists created_at timestamptz not null default now(),
+    add column if not exists updated_at timestamptz not null default now();
+
+-- At most one unread notification per group, so concurrent events update it instead of starting another
+create unique index if not exists notifications_unread_group_key on public.notifications (user_id, group_key)
+    where group_key is not null and not is_read;
+
+create unique index if not exists notifications_dedup_key on public.notifications (user_id, dedup_key)
+    where dedup_key is not null;
+
+alter table public.notifications enable row level security;
@@ -0,0 +1,10 @@
+-- Notification feed: archiving, and indexes for the paged feed and the unread count.
+
+alter table public.notifications
+    add column if not exists archived_at timestamptz;
+
+create index if not exists notifications_feed_idx on public.notifications (user_id, updated_at desc, id desc)
+    where archived_at is null;
+
+create index if not exists notifications_unread_idx on public.notifications (user_id)
+    where not is_read and archived_at is null;
@@ -0,0 +1,6 @@
+-- Private bucket for uploads the malware scanner rejects (see quarantineFile in uploadPolicy.js).
+-- Only the service role reads it, for later review; nothing in it is ever served to users.
+
+insert into storage.buckets (id, name, public)
+values ('quarantine', 'quarantine', false)
+on conflict (id) do nothing;
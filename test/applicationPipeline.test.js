@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canTransitionApplication, transitionApplication } from '../applicationPipeline.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const COMPANY = '11111111-1111-4111-8111-111111111111';
+const TALENT = '22222222-2222-4222-8222-222222222222';
+const APPLICATION = { id: '55555555-5555-4555-8555-555555555555', user_id: TALENT, status: 'Submitted' };
+const JOB = { id: '44444444-4444-4444-8444-444444444444', user_id: COMPANY, job_title: 'Backend Engineer', company_name: 'Acme' };
+
+const tableCalls = (supabase, table, method) => supabase.queries.filter(query => query.table === table).flatMap(query => callsTo(query, method));
+
+test('only the applicant withdraws and only the company moves the rest', () => {
+    assert.equal(canTransitionApplication('Submitted', 'Withdrawn', 'talent'), true);
+    assert.equal(canTransitionApplication('Submitted', 'Withdrawn', 'company'), false);
+    assert.equal(canTransitionApplication('Submitted', 'Under Review', 'talent'), false);
+    assert.equal(canTransitionApplication('Submitted', 'Under Review', 'company'), true);
+    assert.equal(canTransitionApplication('Submitted', 'Hired', 'company'), false);
+    assert.equal(canTransitionApplication('Hired', 'Rejected', 'company'), false);
+});
+
+test('a transition updates conditionally, records history and notifies the applicant', async () => {
+    const supabase = createFakeSupabase(query => {
+        if (query.table === 'applications') return { data: [{ ...APPLICATION, status: 'Under Review' }] };
+        return { data: callsTo(query, 'insert').length ? [{ id: 'n1' }] : [] };
+    });
+
+    const { application, error } = await transitionApplication(supabase, {
+        application: APPLICATION, job: JOB, toStatus: 'Under Review', actorId: COMPANY, actorRole: 'company', note: 'Looks good'
+    });
+
+    assert.equal(error, undefined);
+    assert.equal(application.status, 'Under Review');
+    assert.deepEqual(tableCalls(supabase, 'applications', 'eq'), [['id', APPLICATION.id], ['status', 'Submitted']]);
+
+    const [[history]] = tableCalls(supabase, 'application_status_history', 'insert');
+    assert.deepEqual(history[0], {
+        application_id: APPLICATION.id, from_status: 'Submitted', to_status: 'Under Review', actor_id: COMPANY, actor_role: 'company', note: 'Looks good'
+    });
+
+    const [[notification]] = tableCalls(supabase, 'notifications', 'insert');
+    assert.equal(notification[0].user_id, TALENT);
+});
+
+test('invalid and disallowed moves are refused before any write', async () => {
+    const supabase = createFakeSupabase();
+    const base = { application: APPLICATION, job: JOB, actorId: COMPANY, actorRole: 'company' };
+
+    assert.equal((await transitionApplication(supabase, { ...base, toStatus: 'Promoted' })).status, 400);
+    assert.equal((await transitionApplication(supabase, { ...base, toStatus: 'Hired' })).status, 409);
+    assert.equal((await transitionApplication(supabase, { ...base, toStatus: 'Withdrawn' })).status, 409);
+    assert.equal(supabase.queries.length, 0);
+});
+
+test('losing a race with another reviewer answers 409', async () => {
+    const supabase = createFakeSupabase(() => ({ data: [] }));
+    const result = await transitionApplication(supabase, {
+        application: APPLICATION, job: JOB, toStatus: 'Rejected', actorId: COMPANY, actorRole: 'company'
+    });
+
+    assert.equal(result.status, 409);
+    assert.equal(tableCalls(supabase, 'application_status_history', 'insert').length, 0);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAuthenticate, optionalUser, requireRole } from '../auth.js';
+import { createFakeSupabase } from './fakeSupabase.js';
+
+const USER = { id: '22222222-2222-4222-8222-222222222222' };
+
+const withAuth = (getUser, respond) => ({ ...createFakeSupabase(respond), auth: { getUser } });
+const request = (token) => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+// Runs a middleware and reports whether it called next() or answered, and with what
+const run = async (middleware, req) => {
+    const outcome = { next: false };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(body) {
+            outcome.body = body;
+            return this;
+        }
+    };
+    await middleware(req, res, () => { outcome.next = true; });
+    return outcome;
+};
+
+test('authenticate attaches the user for a valid token', async () => {
+    const supabase = withAuth(async () => ({ data: { user: USER }, error: null }), () => ({ data: [{ role: 'talent' }] }));
+    const req = request('good');
+
+    assert.deepEqual(await run(createAuthenticate(supabase, { withRole: true }), req), { next: true });
+    assert.equal(req.user, USER);
+    assert.equal(req.userRole, 'talent');
+});
+
+test('authenticate answers 401 without a token or for a rejected one', async () => {
+    const supabase = withAuth(async () => ({ data: { user: null }, error: { message: 'invalid JWT' } }));
+    const authenticate = createAuthenticate(supabase);
+
+    assert.equal((await run(authenticate, request())).status, 401);
+    assert.equal((await run(authenticate, request('bad'))).status, 401);
+});
+
+test('authenticate answers 500 when token verification throws', async () => {
+    const supabase = withAuth(async () => { throw new Error('fetch failed'); });
+    const outcome = await run(createAuthenticate(supabase), request('good'));
+
+    assert.deepEqual(outcome, { next: false, status: 500, body: { error: 'Internal server error.' } });
+});
+
+test('requireRole lets through only the given role', async () => {
+    const supabase = withAuth(null, () => ({ data: [{ role: 'talent' }] }));
+
+    assert.deepEqual(await run(requireRole(supabase, 'talent'), { user: USER }), { next: true });
+    assert.equal((await run(requireRole(supabase, 'company'), { user: USER })).status, 403);
+});
+
+test('optionalUser is null for anonymous requests and failed lookups', async () => {
+    const supabase = withAuth(async () => { throw new Error('fetch failed'); });
+
+    assert.equal(await optionalUser(supabase, request()), null);
+    assert.equal(await optionalUser(supabase, request('good')), null);
+});
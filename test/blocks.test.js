@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchBlockSets, findBlockBetween } from '../blocks.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+const CAROL = '33333333-3333-4333-8333-333333333333';
+
+test('findBlockBetween checks each direction with match() values', async () => {
+    const supabase = createFakeSupabase(query => ({
+        data: callsTo(query, 'match')[0][0].blocker_id === BOB ? [{ blocker_id: BOB }] : []
+    }));
+    const result = await findBlockBetween(supabase, ALICE, BOB);
+
+    assert.deepEqual(result, { blocked: true, blockedByFirst: false });
+    assert.deepEqual(supabase.queries.map(query => callsTo(query, 'match')[0][0]), [
+        { blocker_id: ALICE, blocked_id: BOB },
+        { blocker_id: BOB, blocked_id: ALICE }
+    ]);
+});
+
+test('findBlockBetween refuses a crafted id instead of reporting "not blocked"', async () => {
+    const supabase = createFakeSupabase();
+    const crafted = `${BOB}),and(blocker_id.eq.${CAROL}`;
+    const result = await findBlockBetween(supabase, ALICE, crafted);
+
+    assert.ok(result.error);
+    assert.equal(result.blocked, undefined);
+    assert.equal(supabase.queries.length, 0);
+});
+
+test('fetchBlockSets splits blocks by direction', async () => {
+    const supabase = createFakeSupabase(() => ({
+        data: [{ blocker_id: ALICE, blocked_id: BOB }, { blocker_id: CAROL, blocked_id: ALICE }]
+    }));
+    const { blockedByMe, blockedMe, all } = await fetchBlockSets(supabase, ALICE);
+
+    assert.deepEqual([...blockedByMe], [BOB]);
+    assert.deepEqual([...blockedMe], [CAROL]);
+    assert.deepEqual([...all].sort(), [BOB, CAROL]);
+});
+
+test('fetchBlockSets refuses ids that are not UUIDs', async () => {
+    const supabase = createFakeSupabase();
+    assert.ok((await fetchBlockSets(supabase, 'x,blocked_id.not.is.null')).error);
+    assert.equal(supabase.queries.length, 0);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchAttachmentMessages, fetchMessagePage, fetchThreadPage, searchMessages } from '../chatHistory.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const VIEWER = '22222222-2222-4222-8222-222222222222';
+const ROOM = '66666666-6666-4666-8666-666666666666';
+const ANCHOR = { id: '77777777-7777-4777-8777-777777777777', created_at: '2026-10-19T10:00:00.000Z' };
+const ROOT = { id: '88888888-8888-4888-8888-888888888888', chat_id: ROOM };
+
+// The anchor lookup resolves through maybeSingle; page queries get no rows
+const withAnchor = () => createFakeSupabase(query => ({ data: callsTo(query, 'maybeSingle').length ? ANCHOR : [] }));
+const pageQuery = (supabase) => supabase.queries.find(query => callsTo(query, 'limit').length > 0);
+const keysetFilter = (supabase) => callsTo(pageQuery(supabase), 'or').map(([filter]) => filter).find(filter => filter.startsWith('created_at'));
+
+test('history pages continue from the cursor on (created_at, id)', async () => {
+    let supabase = withAnchor();
+    await fetchMessagePage(supabase, ROOM, VIEWER, { before: ANCHOR.id });
+    assert.equal(keysetFilter(supabase), `created_at.lt."${ANCHOR.created_at}",and(created_at.eq."${ANCHOR.created_at}",id.lt.${ANCHOR.id})`);
+    assert.deepEqual(callsTo(pageQuery(supabase), 'order'), [['created_at', { ascending: false }], ['id', { ascending: false }]]);
+
+    supabase = withAnchor();
+    await fetchMessagePage(supabase, ROOM, VIEWER, { after: ANCHOR.id });
+    assert.equal(keysetFilter(supabase), `created_at.gt."${ANCHOR.created_at}",and(created_at.eq."${ANCHOR.created_at}",id.gt.${ANCHOR.id})`);
+});
+
+test('around includes the target message itself', async () => {
+    const supabase = withAnchor();
+    await fetchMessagePage(supabase, ROOM, VIEWER, { around: ANCHOR.id, limit: 10 });
+
+    assert.equal(keysetFilter(supabase), `created_at.lt."${ANCHOR.created_at}",and(created_at.eq."${ANCHOR.created_at}",id.lte.${ANCHOR.id})`);
+});
+
+test('threads, attachments and search page on (created_at, id) too', async () => {
+    let supabase = withAnchor();
+    await fetchThreadPage(supabase, ROOT, VIEWER, { after: ANCHOR.id });
+    assert.match(keysetFilter(supabase), new RegExp(`id\\.gt\\.${ANCHOR.id}\\)$`));
+
+    supabase = withAnchor();
+    await fetchAttachmentMessages(supabase, ROOM, VIEWER, { before: ANCHOR.id });
+    assert.match(keysetFilter(supabase), new RegExp(`id\\.lt\\.${ANCHOR.id}\\)$`));
+
+    supabase = withAnchor();
+    await searchMessages(supabase, VIEWER, { searchQuery: 'hello', roomIds: [ROOM], before: ANCHOR.id });
+    assert.match(keysetFilter(supabase), new RegExp(`id\\.lt\\.${ANCHOR.id}\\)$`));
+});
+
+test('cursors that are not message ids answer 400 without a query', async () => {
+    const supabase = createFakeSupabase();
+    const crafted = ['abc', '1),id.not.is.null', ['a', 'b']];
+
+    for (const cursor of crafted) {
+        assert.deepEqual(await fetchMessagePage(supabase, ROOM, VIEWER, { before: cursor }), { status: 400, error: 'Invalid before cursor.' });
+        assert.deepEqual(await fetchMessagePage(supabase, ROOM, VIEWER, { after: cursor }), { status: 400, error: 'Invalid after cursor.' });
+        assert.deepEqual(await fetchMessagePage(supabase, ROOM, VIEWER, { around: cursor }), { status: 400, error: 'Invalid around cursor.' });
+        assert.deepEqual(await fetchThreadPage(supabase, ROOT, VIEWER, { after: cursor }), { status: 400, error: 'Invalid after cursor.' });
+        assert.deepEqual(await fetchAttachmentMessages(supabase, ROOM, VIEWER, { before: cursor }), { status: 400, error: 'Invalid before cursor.' });
+        assert.deepEqual(
+            await searchMessages(supabase, VIEWER, { searchQuery: 'hello', roomIds: [ROOM], before: cursor }),
+            { status: 400, error: 'Invalid before cursor.' }
+        );
+    }
+    assert.equal(supabase.queries.length, 0);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canMessage, fetchConnectionGraph, findActiveConnection, severConnection } from '../connections.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const ALICE = '11111111-1111-4111-8111-111111111111';
+const BOB = '22222222-2222-4222-8222-222222222222';
+const INJECTED = `${BOB}),and(requester_id.eq.${ALICE},addressee_id.eq.${BOB}),or(id.is.null`;
+
+test('findActiveConnection looks up both directions with match() values', async () => {
+    const supabase = createFakeSupabase(() => ({ data: [] }));
+    const { connection, error } = await findActiveConnection(supabase, ALICE, BOB);
+
+    assert.equal(error, undefined);
+    assert.equal(connection, null);
+    assert.deepEqual(supabase.queries.map(query => callsTo(query, 'match')[0][0]), [
+        { requester_id: ALICE, addressee_id: BOB },
+        { requester_id: BOB, addressee_id: ALICE }
+    ]);
+    assert.equal(supabase.queries.some(query => callsTo(query, 'or').length > 0), false);
+});
+
+test('findActiveConnection returns the row found in either direction', async () => {
+    const row = { id: 'c1', requester_id: BOB, addressee_id: ALICE, status: 'accepted' };
+    const supabase = createFakeSupabase(query => ({ data: callsTo(query, 'match')[0][0].requester_id === BOB ? [row] : [] }));
+
+    const { connection } = await findActiveConnection(supabase, ALICE, BOB);
+    assert.deepEqual(connection, row);
+});
+
+test('findActiveConnection rejects a crafted id before querying', async () => {
+    const supabase = createFakeSupabase();
+    const { error } = await findActiveConnection(supabase, ALICE, INJECTED);
+
+    assert.ok(error);
+    assert.equal(supabase.queries.length, 0);
+});
+
+test('severConnection updates both directions and refuses crafted ids', async () => {
+    const supabase = createFakeSupabase();
+    assert.equal((await severConnection(supabase, ALICE, BOB)).error, null);
+    assert.equal(supabase.queries.length, 2);
+    assert.ok(supabase.queries.every(query => callsTo(query, 'update').length === 1));
+
+    const untouched = createFakeSupabase();
+    assert.ok((await severConnection(untouched, ALICE, INJECTED)).error);
+    assert.equal(untouched.queries.length, 0);
+});
+
+test('fetchConnectionGraph refuses ids that are not UUIDs', async () => {
+    const supabase = createFakeSupabase();
+    const { error } = await fetchConnectionGraph(supabase, [ALICE, 'x),id.not.is.null']);
+
+    assert.ok(error);
+    assert.equal(supabase.queries.length, 0);
+});
+
+test('fetchConnectionGraph builds an adjacency map of accepted connections', async () => {
+    const supabase = createFakeSupabase(() => ({ data: [{ requester_id: ALICE, addressee_id: BOB }] }));
+    const { graph } = await fetchConnectionGraph(supabase, [ALICE]);
+
+    assert.deepEqual([...graph.get(ALICE)], [BOB]);
+    assert.deepEqual([...graph.get(BOB)], [ALICE]);
+});
+
+test('canMessage answers 400 for a crafted recipient id without querying', async () => {
+    const supabase = createFakeSupabase();
+    const result = await canMessage(supabase, ALICE, INJECTED);
+
+    assert.deepEqual({ allowed: result.allowed, status: result.status }, { allowed: false, status: 400 });
+    assert.equal(supabase.queries.length, 0);
+});
+
+test('canMessage allows accepted connections and refuses blocked pairs', async () => {
+    const connected = createFakeSupabase(query => ({
+        data: query.table === 'connections' ? [{ id: 'c1', status: 'accepted' }] : []
+    }));
+    assert.deepEqual(await canMessage(connected, ALICE, BOB), { allowed: true });
+
+    const blocked = createFakeSupabase(query => ({
+        data: query.table === 'blocked_users' ? [{ blocker_id: BOB }] : [{ id: 'c1', status: 'accepted' }]
+    }));
+    assert.equal((await canMessage(blocked, ALICE, BOB)).allowed, false);
+});
@@ -0,0 +1,39 @@
+// A stand-in for the Supabase client in unit tests. Every query records the builder calls made on it
+// ({ table, calls: [[method, ...args]] }) and resolves to whatever respond(query) returns ({ data, error, count }).
+
+export function createFakeSupabase(respond = () => ({ data: [], error: null })) {
+    const queries = [];
+
+    const from = (table) => {
+        const query = { table, calls: [] };
+        queries.push(query);
+
+        const resolve = (single) => {
+            const result = respond(query) || {};
+            const data = single && Array.isArray(result.data) ? result.data[0] ?? null : result.data ?? null;
+            return Promise.resolve({ error: null, ...result, data });
+        };
+
+        const builder = new Proxy({}, {
+            get(target, method) {
+                if (method === 'then') return (onFulfilled, onRejected) => resolve(false).then(onFulfilled, onRejected);
+                if (method === 'single' || method === 'maybeSingle') {
+                    return () => {
+                        query.calls.push([method]);
+                        return resolve(true);
+                    };
+                }
+                return (...args) => {
+                    query.calls.push([method, ...args]);
+                    return builder;
+                };
+            }
+        });
+        return builder;
+    };
+
+    return { from, queries, rpc: () => Promise.resolve({ data: null, error: null }) };
+}
+
+// The arguments of every call to `method` on a recorded query
+export const callsTo = (query, method) => query.calls.filter(([name]) => name === method).map(([, ...args]) => args);
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applicationRejection, canTransitionJob, closingReason, countApplications } from '../jobLifecycle.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const JOB_ID = '44444444-4444-4444-8444-444444444444';
+
+test('job status transitions follow the lifecycle', () => {
+    assert.equal(canTransitionJob('draft', 'open'), true);
+    assert.equal(canTransitionJob('expired', 'paused'), false);
+    assert.equal(canTransitionJob('removed', 'open'), false);
+});
+
+test('closingReason reports a passed deadline before a full job', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    assert.deepEqual(closingReason({ application_deadline: '2026-10-18', max_applicants: 1 }, 5, now), { status: 'expired', reason: 'application_deadline' });
+    assert.deepEqual(closingReason({ application_deadline: null, max_applicants: 2 }, 2, now), { status: 'closed', reason: 'max_applicants' });
+    assert.equal(closingReason({ application_deadline: '2026-10-20', max_applicants: 3 }, 2, now), null);
+});
+
+test('applicationRejection checks deadline, status, duplicates and capacity', () => {
+    const job = { status: 'open', application_deadline: null, max_applicants: 2 };
+    assert.equal(applicationRejection(job, 1, false), null);
+    assert.equal(applicationRejection({ ...job, status: 'paused' }, 1, false), 'JOB_NOT_OPEN');
+    assert.equal(applicationRejection(job, 1, true), 'DUPLICATE_APPLICATION');
+    assert.equal(applicationRejection(job, 2, false), 'CAPACITY_REACHED');
+    assert.equal(applicationRejection({ ...job, application_deadline: '2000-01-01' }, 0, false), 'DEADLINE_PASSED');
+});
+
+test('countApplications leaves out withdrawn applications unless asked', async () => {
+    const supabase = createFakeSupabase(() => ({ count: 3 }));
+
+    assert.equal(await countApplications(supabase, JOB_ID), 3);
+    assert.deepEqual(callsTo(supabase.queries[0], 'neq'), [['status', 'Withdrawn']]);
+
+    await countApplications(supabase, JOB_ID, { includeWithdrawn: true });
+    assert.deepEqual(callsTo(supabase.queries[1], 'neq'), []);
+});
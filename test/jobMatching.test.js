@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTalentProfile, rankCandidatesForJob, rankJobsForProfile, tokenize } from '../jobMatching.js';
+
+const BACKEND_JOB = {
+    id: 'backend',
+    job_title: 'Backend Engineer',
+    job_description: 'Build APIs with Node.js and PostgreSQL.',
+    responsibilities: ['Design services', 'Review code'],
+    experience_level: 'Senior',
+    industry: 'Fintech',
+    location_type: 'Remote',
+    position_type: 'Full-time'
+};
+const DESIGN_JOB = {
+    id: 'design',
+    job_title: 'Product Designer',
+    job_description: 'Design user interfaces in Figma.',
+    experience_level: 'Entry-Level',
+    industry: 'Retail',
+    location_type: 'On-site',
+    position_type: 'Contract'
+};
+const BACKEND_TALENT = {
+    id: 'talent-1',
+    skills: ['Node.js', 'PostgreSQL'],
+    experience_level: 'Senior',
+    industries: ['Fintech'],
+    preferred_location_types: ['Remote'],
+    preferred_position_types: ['Full-time'],
+    bio: 'Backend engineer building APIs.'
+};
+
+test('tokenize lowercases, drops stop words and keeps skill punctuation', () => {
+    assert.deepEqual(tokenize('The Developers are testing C++ and C#.'), ['developer', 'test', 'c++', 'c#']);
+    assert.deepEqual(tokenize('Node.js'), tokenize('...node.js, '));
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+});
+
+test('buildTalentProfile reads lists from arrays or comma-separated text', () => {
+    const profile = buildTalentProfile({ user_id: 'u1', skills: 'Node.js, SQL', industry: 'Fintech', locationType: 'Remote', headline: 'Engineer' });
+
+    assert.equal(profile.id, 'u1');
+    assert.deepEqual(profile.skills, ['Node.js', 'SQL']);
+    assert.deepEqual(profile.industries, ['Fintech']);
+    assert.deepEqual(profile.locationTypes, ['Remote']);
+    assert.match(profile.text, /Engineer/);
+    assert.deepEqual(buildTalentProfile().skills, []);
+});
+
+test('rankJobsForProfile puts the matching job first', () => {
+    const ranked = rankJobsForProfile([DESIGN_JOB, BACKEND_JOB], BACKEND_TALENT);
+
+    assert.deepEqual(ranked.map(result => result.job.id), ['backend', 'design']);
+    assert.ok(ranked[0].score > ranked[1].score);
+    assert.deepEqual(ranked[0].breakdown.skills.matched, ['Node.js', 'PostgreSQL']);
+    assert.equal(ranked[0].breakdown.experience.score, 100);
+});
+
+test('rankJobsForProfile honours minScore and limit', () => {
+    assert.equal(rankJobsForProfile([DESIGN_JOB, BACKEND_JOB], BACKEND_TALENT, { limit: 1 }).length, 1);
+    assert.deepEqual(rankJobsForProfile([DESIGN_JOB, BACKEND_JOB], BACKEND_TALENT, { minScore: 101 }), []);
+});
+
+test('an empty profile scores every structured factor as neutral', () => {
+    const [result] = rankJobsForProfile([BACKEND_JOB], {});
+
+    for (const factor of ['skills', 'experience', 'industry', 'locationType', 'positionType']) {
+        assert.equal(result.breakdown[factor].score, 50, factor);
+    }
+    assert.equal(result.breakdown.text.score, 0);
+});
+
+test('a profile without skills or with an unknown experience level is not penalised for them', () => {
+    const [result] = rankJobsForProfile([BACKEND_JOB], { ...BACKEND_TALENT, skills: [], experience_level: 'Wizard' });
+
+    assert.equal(result.breakdown.skills.explanation, 'No skills on the profile to compare.');
+    assert.equal(result.breakdown.skills.score, 50);
+    assert.equal(result.breakdown.experience.score, 50);
+});
+
+test('rankCandidatesForJob puts the matching talent first', () => {
+    const designer = { id: 'talent-2', skills: ['Figma'], experience_level: 'Entry-Level', industries: ['Retail'], bio: 'Designer.' };
+    const ranked = rankCandidatesForJob(BACKEND_JOB, [designer, BACKEND_TALENT]);
+
+    assert.deepEqual(ranked.map(result => result.profile.id), ['talent-1', 'talent-2']);
+    assert.equal(ranked[1].breakdown.skills.score, 0);
+    assert.deepEqual(rankCandidatesForJob(BACKEND_JOB, []), []);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isKnockout, normalizeRequirements, validateAnswer } from '../jobRequirements.js';
+
+const checkbox = (limits) => ({ type: 'Checkbox', description: 'Stack', options: ['Node', 'Go', 'Rust'], ...limits });
+const dateRequirement = (bounds) => ({ type: 'Date', description: 'Start date', ...bounds });
+
+test('normalizeRequirements keeps valid ids and assigns missing ones', () => {
+    const { requirements } = normalizeRequirements(JSON.stringify([
+        { id: 'q1', type: 'Text Input', description: ' Name ' },
+        { type: 'Yes/No', description: 'Relocate?', knockoutAnswer: 'no' }
+    ]));
+
+    assert.equal(requirements[0].id, 'q1');
+    assert.equal(requirements[0].description, 'Name');
+    assert.equal(requirements[0].maxLength, 500);
+    assert.match(requirements[1].id, /^[0-9a-f-]{36}$/);
+    assert.equal(requirements[1].knockoutAnswer, 'No');
+});
+
+test('checkbox selection limits must be whole numbers with min <= max <= options', () => {
+    const { requirements } = normalizeRequirements([checkbox({ minSelections: '1', maxSelections: 2 })]);
+    assert.deepEqual([requirements[0].minSelections, requirements[0].maxSelections], [1, 2]);
+
+    for (const limits of [
+        { minSelections: 'abc' },
+        { maxSelections: 'abc' },
+        { minSelections: -1 },
+        { minSelections: 1.5 },
+        { maxSelections: 4 },
+        { minSelections: 3, maxSelections: 2 },
+        { minSelections: 4 }
+    ]) {
+        assert.ok(normalizeRequirements([checkbox(limits)]).error, JSON.stringify(limits));
+    }
+});
+
+test('checkbox answers respect the selection limits', () => {
+    const { requirements: [requirement] } = normalizeRequirements([checkbox({ minSelections: 1, maxSelections: 2 })]);
+
+    assert.deepEqual(validateAnswer(requirement, '["Node","Go"]'), { value: ['Node', 'Go'] });
+    assert.ok(validateAnswer(requirement, '[]').error);
+    assert.ok(validateAnswer(requirement, ['Node', 'Go', 'Rust']).error);
+    assert.ok(validateAnswer(requirement, ['Java']).error);
+});
+
+test('dates must exist on the calendar', () => {
+    assert.ok(normalizeRequirements([dateRequirement({ minDate: '2026-02-31' })]).error);
+    assert.ok(normalizeRequirements([dateRequirement({ minDate: '2026-03-01', maxDate: '2026-02-01' })]).error);
+
+    const { requirements: [requirement] } = normalizeRequirements([dateRequirement({ minDate: '2024-02-29' })]);
+    assert.deepEqual(validateAnswer(requirement, '2026-10-19'), { value: '2026-10-19' });
+    assert.ok(validateAnswer(requirement, '2026-02-31').error);
+    assert.ok(validateAnswer(requirement, '2026-13-01').error);
+    assert.ok(validateAnswer(requirement, '2024-01-01').error);
+});
+
+test('number answers respect integer and range settings', () => {
+    const { requirements: [requirement] } = normalizeRequirements([{ type: 'Number', description: 'Years', min: 0, max: 50, integer: true }]);
+
+    assert.deepEqual(validateAnswer(requirement, '5'), { value: 5 });
+    assert.ok(validateAnswer(requirement, '2.5').error);
+    assert.ok(validateAnswer(requirement, '51').error);
+    assert.ok(validateAnswer(requirement, '').error);
+});
+
+test('a knockout answer is flagged', () => {
+    const requirement = { type: 'Yes/No', description: 'Relocate?', knockoutAnswer: 'No' };
+    assert.equal(isKnockout(requirement, validateAnswer(requirement, 'n').value), true);
+    assert.equal(isKnockout(requirement, 'Yes'), false);
+});
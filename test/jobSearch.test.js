@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyJobFilters, applyJobPage, encodeCursor, parseJobSearchParams, parseSalaryRange } from '../jobSearch.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const JOB_ID = '44444444-4444-4444-8444-444444444444';
+const cursorOf = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('parseSalaryRange reads plain, comma and k/m amounts', () => {
+    assert.deepEqual(parseSalaryRange('$50,000 - $70,000'), { min: 50000, max: 70000 });
+    assert.deepEqual(parseSalaryRange('80k-100k'), { min: 80000, max: 100000 });
+    assert.deepEqual(parseSalaryRange('Negotiable'), { min: null, max: null });
+});
+
+test('parseJobSearchParams validates sort, limit and salary bounds', () => {
+    assert.ok(parseJobSearchParams({ sort: 'random' }).error);
+    assert.ok(parseJobSearchParams({ limit: '0' }).error);
+    assert.ok(parseJobSearchParams({ salaryMin: 'abc' }).error);
+    assert.ok(parseJobSearchParams({ salaryMin: '90', salaryMax: '10' }).error);
+
+    const { params } = parseJobSearchParams({ limit: '500', positionType: 'Full-time, Contract' });
+    assert.equal(params.limit, 100);
+    assert.deepEqual(params.lists.position_type, ['Full-time', 'Contract']);
+});
+
+test('a cursor round-trips for each sort', () => {
+    const job = { id: JOB_ID, created_at: '2026-10-19T10:00:00.000Z', application_deadline: null, salary_max: 90000 };
+    for (const sort of ['newest', 'oldest', 'deadline', 'salary']) {
+        const { params, error } = parseJobSearchParams({ sort, cursor: encodeCursor(job, sort) });
+        assert.equal(error, undefined, sort);
+        assert.equal(params.cursor.id, JOB_ID);
+    }
+});
+
+test('malformed cursors are rejected', () => {
+    const crafted = [
+        'not-base64-json',
+        cursorOf({ v: '2026-10-19T10:00:00Z', id: 'x",id.not.is.null' }),
+        cursorOf({ v: '2026-10-19T10:00:00Z),id.not.is.null,and(id.eq."', id: JOB_ID }),
+        cursorOf({ v: 'yesterday', id: JOB_ID }),
+        cursorOf({ v: null, id: JOB_ID })
+    ];
+    for (const cursor of crafted) {
+        assert.deepEqual(parseJobSearchParams({ sort: 'newest', cursor }), { error: 'Invalid cursor.' }, cursor);
+    }
+    assert.ok(parseJobSearchParams({ sort: 'salary', cursor: cursorOf({ v: '90000', id: JOB_ID }) }).error);
+    assert.ok(parseJobSearchParams({ sort: 'deadline', cursor: cursorOf({ v: 2026, id: JOB_ID }) }).error);
+});
+
+test('applyJobPage continues after the cursor row', () => {
+    const supabase = createFakeSupabase();
+    const { params } = parseJobSearchParams({ sort: 'salary', limit: '10', cursor: cursorOf({ v: 90000, id: JOB_ID }) });
+    applyJobPage(supabase.from('jobs'), params);
+
+    const [query] = supabase.queries;
+    assert.deepEqual(callsTo(query, 'or'), [[`salary_max.lt."90000",and(salary_max.eq."90000",id.gt."${JOB_ID}"),salary_max.is.null`]]);
+    assert.deepEqual(callsTo(query, 'limit'), [[11]]);
+});
+
+test('applyJobFilters matches location text literally', () => {
+    const supabase = createFakeSupabase();
+    const { params } = parseJobSearchParams({ location: '100%_Lagos' });
+    applyJobFilters(supabase.from('jobs'), params);
+
+    assert.deepEqual(callsTo(supabase.queries[0], 'ilike'), [['location_input', '%100\\%\\_Lagos%']]);
+});
+
+test('listings leave out jobs past their deadline without writing', () => {
+    const supabase = createFakeSupabase();
+    const { params } = parseJobSearchParams({});
+    applyJobFilters(supabase.from('jobs'), params);
+
+    const [query] = supabase.queries;
+    assert.deepEqual(callsTo(query, 'eq'), [['status', 'open']]);
+    assert.match(callsTo(query, 'or')[0][0], /^application_deadline\.is\.null,application_deadline\.gte\.\d{4}-/);
+    assert.equal(callsTo(query, 'update').length, 0);
+});
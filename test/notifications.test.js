@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchNotificationPage, publishEvent } from '../notifications.js';
+import { createFakeSupabase, callsTo } from './fakeSupabase.js';
+
+const COMPANY = '11111111-1111-4111-8111-111111111111';
+const TALENT = '22222222-2222-4222-8222-222222222222';
+const BLOCKED = '33333333-3333-4333-8333-333333333333';
+const JOB = { id: '44444444-4444-4444-8444-444444444444', user_id: COMPANY, job_title: 'Backend Engineer', company_name: 'Acme' };
+
+const inserts = (supabase) => supabase.queries.filter(query => callsTo(query, 'insert').length > 0);
+
+test('a second applicant is grouped into the unread notification', async () => {
+    const supabase = createFakeSupabase(query => {
+        if (callsTo(query, 'update').length) return { data: [{ id: 'n1', message: query.calls.find(([name]) => name === 'update')[1].message }] };
+        if (callsTo(query, 'maybeSingle').length) return { data: { id: 'n1', group_count: 1 } };
+        return { data: [] };
+    });
+
+    const result = await publishEvent(supabase, 'application.submitted', {
+        application: { id: 'a2', user_id: TALENT }, job: JOB, applicantName: 'Jane'
+    });
+
+    assert.deepEqual(result, { notified: 1 });
+    const [update] = supabase.queries.flatMap(query => callsTo(query, 'update'));
+    assert.equal(update[0].group_count, 2);
+    assert.equal(update[0].message, '👥 2 new applicants for Backend Engineer.');
+    assert.equal(inserts(supabase).length, 0);
+});
+
+test('the first applicant starts a new group', async () => {
+    const supabase = createFakeSupabase(query => ({ data: callsTo(query, 'insert').length ? [{ id: 'n1' }] : [] }));
+    await publishEvent(supabase, 'application.submitted', { application: { id: 'a1', user_id: TALENT }, job: JOB, applicantName: 'Jane' });
+
+    const [[rows]] = callsTo(inserts(supabase)[0], 'insert');
+    assert.deepEqual({ user: rows[0].user_id, key: rows[0].group_key, message: rows[0].message }, {
+        user: COMPANY, key: `application.submitted:${JOB.id}`, message: '👤 Jane applied for Backend Engineer.'
+    });
+});
+
+test('a repeated connection request is deduplicated', async () => {
+    const supabase = createFakeSupabase(query => (callsTo(query, 'insert').length ? { data: null, error: { code: '23505' } } : { data: [] }));
+    const result = await publishEvent(supabase, 'connection.requested', {
+        request: { id: 'r1', requester_id: TALENT, addressee_id: COMPANY }, senderName: 'Jane'
+    });
+
+    assert.deepEqual(result, { notified: 0 });
+    const [[rows]] = callsTo(inserts(supabase)[0], 'insert');
+    assert.equal(rows[0].dedup_key, 'connection.requested:r1');
+});
+
+test('recipients blocked by (or blocking) the actor are skipped', async () => {
+    const supabase = createFakeSupabase(query => {
+        if (query.table === 'connections') {
+            return { data: [{ requester_id: COMPANY, addressee_id: TALENT }, { requester_id: BLOCKED, addressee_id: COMPANY }] };
+        }
+        if (query.table === 'blocked_users') return { data: [{ blocker_id: BLOCKED, blocked_id: COMPANY }] };
+        return { data: callsTo(query, 'insert').length ? [{ id: 'n1' }] : [] };
+    });
+
+    const result = await publishEvent(supabase, 'job.posted', { job: JOB });
+
+    assert.deepEqual(result, { notified: 1 });
+    const recipients = inserts(supabase).map(query => callsTo(query, 'insert')[0][0][0].user_id);
+    assert.deepEqual(recipients, [TALENT]);
+});
+
+test('the feed hides notifications sent by blocked users', async () => {
+    const supabase = createFakeSupabase(() => ({ data: [] }));
+    await fetchNotificationPage(supabase, TALENT, { hiddenSenderIds: new Set([BLOCKED]) });
+
+    assert.deepEqual(callsTo(supabase.queries[0], 'or'), [[`content->>senderId.is.null,content->>senderId.not.in.(${BLOCKED})`]]);
+});
+
+test('the feed answers 400 for a before cursor that is not a notification id', async () => {
+    const supabase = createFakeSupabase();
+    for (const before of ['abc', "1' or 1=1", ['a', 'b']]) {
+        assert.deepEqual(await fetchNotificationPage(supabase, TALENT, { before }), { status: 400, error: 'Invalid before cursor.' });
+    }
+    assert.ok(supabase.queries.every(query => callsTo(query, 'maybeSingle').length === 0));
+});
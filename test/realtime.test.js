@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+// The ticket secret is read when the module loads
+process.env.REALTIME_TICKET_SECRET = 'test-ticket-secret';
+const { issueStreamTicket, verifyStreamTicket } = await import('../realtime.js');
+
+const USER = '22222222-2222-4222-8222-222222222222';
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+const signWith = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest('base64url');
+
+test('a freshly issued ticket verifies to its user', () => {
+    const { ticket, expiresIn } = issueStreamTicket(USER, NOW);
+
+    assert.equal(expiresIn, 60);
+    assert.equal(verifyStreamTicket(ticket, NOW), USER);
+    assert.equal(verifyStreamTicket(ticket, NOW + 59 * 1000), USER);
+});
+
+test('a ticket stops verifying once it expires', () => {
+    const { ticket } = issueStreamTicket(USER, NOW);
+
+    assert.equal(verifyStreamTicket(ticket, NOW + 60 * 1000), null);
+    assert.equal(verifyStreamTicket(ticket, NOW + 3600 * 1000), null);
+});
+
+test('a tampered payload or signature is rejected', () => {
+    const { ticket } = issueStreamTicket(USER, NOW);
+    const [payload, signature] = ticket.split('.');
+
+    const otherUser = encode({ sub: '33333333-3333-4333-8333-333333333333', exp: NOW / 1000 + 60 });
+    assert.equal(verifyStreamTicket(`${otherUser}.${signature}`, NOW), null);
+
+    const extended = encode({ sub: USER, exp: NOW / 1000 + 86400 });
+    assert.equal(verifyStreamTicket(`${extended}.${signature}`, NOW), null);
+
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+    assert.equal(verifyStreamTicket(`${payload}.${flipped}`, NOW), null);
+});
+
+test('a ticket signed with another secret is rejected', () => {
+    const payload = encode({ sub: USER, exp: NOW / 1000 + 60 });
+    assert.equal(verifyStreamTicket(`${payload}.${signWith('some-other-secret', payload)}`, NOW), null);
+    assert.equal(verifyStreamTicket(`${payload}.${signWith('test-ticket-secret', payload)}`, NOW), USER);
+});
+
+test('malformed tickets are rejected', () => {
+    for (const ticket of [undefined, '', 'abc', 'abc.', '.abc', ['a', 'b'], 42]) {
+        assert.equal(verifyStreamTicket(ticket, NOW), null, String(ticket));
+    }
+
+    const notJson = Buffer.from('not json').toString('base64url');
+    assert.equal(verifyStreamTicket(`${notJson}.${signWith('test-ticket-secret', notJson)}`, NOW), null);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { extractResumeText, parseResume, parseResumeText } from '../resumeParser.js';
+
+const MB = 1024 * 1024;
+
+// A minimal single-entry zip (enough for readZipEntry), deflated unless stored is set
+function buildZip(name, content, { stored = false } = {}) {
+    const data = stored ? content : zlib.deflateRawSync(content);
+    const nameBytes = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(0, 42);
+
+    const centralOffset = local.length + nameBytes.length + data.length;
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(1, 8);
+    eocd.writeUInt16LE(1, 10);
+    eocd.writeUInt32LE(central.length + nameBytes.length, 12);
+    eocd.writeUInt32LE(centralOffset, 16);
+
+    return Buffer.concat([local, nameBytes, data, central, nameBytes, eocd]);
+}
+
+const documentXml = (paragraphs) => Buffer.from(
+    `<w:document><w:body>${paragraphs.map(text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('')}</w:body></w:document>`
+);
+
+test('parseResume reads the text of a DOCX', () => {
+    const docx = buildZip('word/document.xml', documentXml([
+        'Jane Doe', 'jane@example.com', 'Experience', 'Backend Engineer at Acme', 'Jan 2020 - Present', 'Built APIs in Python'
+    ]));
+    const { resume, error } = parseResume(docx, 'docx');
+
+    assert.equal(error, undefined);
+    assert.equal(resume.contact.email, 'jane@example.com');
+    assert.equal(resume.workHistory[0].company, 'Acme');
+    assert.ok(resume.skills.includes('Python'));
+});
+
+test('parseResume refuses a DOCX that inflates past the limit (zip bomb)', () => {
+    const bomb = buildZip('word/document.xml', Buffer.alloc(25 * MB, 'a'));
+    assert.ok(bomb.length < MB);
+
+    const result = parseResume(bomb, 'docx');
+    assert.deepEqual({ status: result.status, code: result.code }, { status: 422, code: 'RESUME_TOO_LARGE' });
+});
+
+test('parseResume refuses a PDF whose streams inflate past the limit', () => {
+    const stream = zlib.deflateSync(Buffer.alloc(25 * MB, ' '));
+    const pdf = Buffer.concat([
+        Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream\nendobj\n%%EOF', 'latin1')
+    ]);
+
+    const result = parseResume(pdf, 'pdf');
+    assert.deepEqual({ status: result.status, code: result.code }, { status: 422, code: 'RESUME_TOO_LARGE' });
+});
+
+test('extractResumeText reads text streams and skips image streams in a PDF', () => {
+    const content = zlib.deflateSync(Buffer.from('BT /F1 12 Tf (Jane Doe) Tj 0 -14 Td (Backend Engineer) Tj ET', 'latin1'));
+    const pdf = Buffer.concat([
+        Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /XObject /Subtype /Image /Length 14 >>\nstream\nBT (Hidden) Tj ET\nendstream\nendobj\n', 'latin1'),
+        Buffer.from(`2 0 obj\n<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream\nendobj\n%%EOF', 'latin1')
+    ]);
+
+    const text = extractResumeText(pdf, 'pdf');
+    assert.match(text, /Jane Doe\s+Backend Engineer/);
+    assert.doesNotMatch(text, /Hidden/);
+});
+
+test('parseResume scans a PDF full of unclosed dictionaries in linear time', () => {
+    const pdf = Buffer.from(`%PDF-1.4\n${'<<'.repeat(200000)}${' stream\n'.repeat(20000)}`, 'latin1');
+
+    const startedAt = performance.now();
+    const result = parseResume(pdf, 'pdf');
+    assert.ok(performance.now() - startedAt < 500);
+    assert.deepEqual({ status: result.status, code: result.code }, { status: 422, code: 'UNREADABLE_RESUME' });
+});
+
+test('parseResume answers 422 for a zip with corrupt offsets instead of throwing', () => {
+    const docx = buildZip('word/document.xml', documentXml(['Jane Doe']), { stored: true });
+    // Point the entry's local header past the end of the file
+    docx.writeUInt32LE(0xfffffff0, docx.length - 22 - 46 - 'word/document.xml'.length + 42);
+
+    const result = parseResume(docx, 'docx');
+    assert.deepEqual({ status: result.status, code: result.code }, { status: 422, code: 'UNREADABLE_RESUME' });
+});
+
+test('known skills are matched case-sensitively and common words only in the skills section', () => {
+    const prose = parseResumeText([
+        'Jane Doe',
+        'Summary',
+        'In spring I go to sales meetings to excel at research, and I write python scripts in Python.'
+    ].join('\n'));
+    assert.deepEqual(prose.skills, ['Python']);
+
+    const listed = parseResumeText(['Jane Doe', 'Skills', 'Go, Spring, Excel'].join('\n'));
+    assert.deepEqual(listed.skills, ['Go', 'Spring', 'Excel']);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createUpload, detectFileType, imageDimensions, sanitizeFilename, withUploadErrors } from '../uploadPolicy.js';
+
+const MB = 1024 * 1024;
+
+const ftyp = (brand) => {
+    const box = Buffer.alloc(32);
+    box.writeUInt32BE(32, 0);
+    box.write('ftyp', 4, 'latin1');
+    box.write(brand, 8, 'latin1');
+    return box;
+};
+
+test('detectFileType recognises files by their leading bytes', () => {
+    assert.equal(detectFileType(Buffer.from('%PDF-1.7\n')), 'pdf');
+    assert.equal(detectFileType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])), 'png');
+    assert.equal(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'jpeg');
+    assert.equal(detectFileType(Buffer.from('PK\u0003\u0004[Content_Types].xml word/document.xml', 'latin1')), 'docx');
+    assert.equal(detectFileType(Buffer.from('PK\u0003\u0004other.txt', 'latin1')), 'zip');
+    assert.equal(detectFileType(Buffer.from('Plain old text, café.')), 'txt');
+    assert.equal(detectFileType(Buffer.alloc(0)), null);
+});
+
+test('only MP4 ftyp brands count as mp4', () => {
+    assert.equal(detectFileType(ftyp('isom')), 'mp4');
+    assert.equal(detectFileType(ftyp('mp42')), 'mp4');
+    assert.equal(detectFileType(ftyp('heic')), null);
+    assert.equal(detectFileType(ftyp('qt  ')), null);
+});
+
+test('large binary files are not mistaken for text', () => {
+    const binary = Buffer.alloc(20000, 0xff);
+    assert.equal(detectFileType(binary), null);
+
+    const invalidLater = Buffer.concat([Buffer.from('ok '), Buffer.from([0xc3, 0x28]), Buffer.alloc(9000, 0x61)]);
+    assert.equal(detectFileType(invalidLater), null);
+});
+
+test('a multi-byte character cut off by the 8 KB sample still reads as text', () => {
+    // 8191 ASCII bytes, then "é" (2 bytes) straddling the sample boundary
+    const text = Buffer.concat([Buffer.alloc(8191, 0x61), Buffer.from('é more text')]);
+    assert.equal(detectFileType(text), 'txt');
+
+    // A whole file that ends in half a character is not valid UTF-8
+    assert.equal(detectFileType(Buffer.concat([Buffer.from('text'), Buffer.from([0xc3])])), null);
+});
+
+test('imageDimensions reads a PNG header and fails soft on truncated input', () => {
+    const png = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+    png.writeUInt32BE(640, 16);
+    png.writeUInt32BE(480, 20);
+
+    assert.deepEqual(imageDimensions(png, 'png'), { width: 640, height: 480 });
+    assert.equal(imageDimensions(png.subarray(0, 10), 'png'), null);
+});
+
+test('sanitizeFilename strips paths and uses the detected extension', () => {
+    assert.equal(sanitizeFilename('../../etc/passwd.exe', 'pdf'), 'passwd.pdf');
+    assert.equal(sanitizeFilename('Résumé (final).docx', 'docx'), 'Resume _final_.docx');
+});
+
+test('chat uploads stop at the per-message total while streaming', async () => {
+    const app = express();
+    app.post('/upload', withUploadErrors(createUpload('chatMedia').array('files')), (req, res) => {
+        res.json({ files: req.files.length });
+    });
+    const server = app.listen(0);
+    const url = `http://127.0.0.1:${server.address().port}/upload`;
+
+    try {
+        const post = async (count, size) => {
+            const form = new FormData();
+            for (let i = 0; i < count; i++) form.append('files', new Blob([Buffer.alloc(size, 0x61)]), `file${i}.txt`);
+            const response = await fetch(url, { method: 'POST', body: form });
+            return { status: response.status, body: await response.json() };
+        };
+
+        assert.deepEqual(await post(2, 1 * MB), { status: 200, body: { files: 2 } });
+
+        const tooMuch = await post(3, 20 * MB);
+        assert.equal(tooMuch.status, 413);
+        assert.equal(tooMuch.body.code, 'LIMIT_TOTAL_SIZE');
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+});
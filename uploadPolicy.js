@@ -0,0 +1,348 @@
+// uploadPolicy.js - Shared upload checks for job logos, avatars, application files, resumes and chat media.
+// Verifies type by magic bytes (not the client mimetype), enforces per-purpose size limits,
+// sanitizes filenames, checks logo dimensions and runs every file through a pluggable scanner.
+
+import multer from 'multer';
+import net from 'net';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const MB = 1024 * 1024;
+
+// Detected file types: extension and the mimetype we store the file with
+const FILE_TYPES = {
+    png: { ext: '.png', mime: 'image/png' },
+    jpeg: { ext: '.jpg', mime: 'image/jpeg' },
+    gif: { ext: '.gif', mime: 'image/gif' },
+    webp: { ext: '.webp', mime: 'image/webp' },
+    pdf: { ext: '.pdf', mime: 'application/pdf' },
+    docx: { ext: '.docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    doc: { ext: '.doc', mime: 'application/msword' },
+    zip: { ext: '.zip', mime: 'application/zip' },
+    mp4: { ext: '.mp4', mime: 'video/mp4' },
+    txt: { ext: '.txt', mime: 'text/plain' }
+};
+
+const IMAGE_TYPES = ['png', 'jpeg', 'gif', 'webp'];
+
+export const UPLOAD_POLICIES = {
+    companyLogo: {
+        maxBytes: 2 * MB,
+        maxFiles: 1,
+        types: IMAGE_TYPES,
+        dimensions: { minWidth: 64, minHeight: 64, maxWidth: 4096, maxHeight: 4096 }
+    },
+    avatar: {
+        maxBytes: 2 * MB,
+        maxFiles: 1,
+        types: ['png', 'jpeg', 'webp'],
+        dimensions: { minWidth: 64, minHeight: 64, maxWidth: 4096, maxHeight: 4096 }
+    },
+    applicationFile: {
+        maxBytes: 10 * MB,
+        maxFiles: 10,
+        types: ['pdf', 'docx', 'doc', 'txt', 'png', 'jpeg']
+    },
+    resume: {
+        maxBytes: 5 * MB,
+        maxFiles: 1,
+        types: ['pdf', 'docx', 'txt']
+    },
+    chatMedia: {
+        maxBytes: 25 * MB,
+        maxFiles: 10,
+        maxTotalBytes: 50 * MB, // Per message
+        types: [...IMAGE_TYPES, 'pdf', 'docx', 'doc', 'txt', 'zip', 'mp4']
+    }
+};
+
+const QUARANTINE_BUCKET = 'quarantine';
+const MAX_FILENAME_LENGTH = 100;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const TEXT_SAMPLE_BYTES = 8192;
+
+// Valid UTF-8 without NUL bytes in the first 8 KB. When the file is longer than the sample, the decoder runs in
+// streaming mode so a multi-byte character cut off at the end of the sample is not mistaken for invalid input.
+const looksLikeText = (buffer) => {
+    const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+    if (sample.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: buffer.length > sample.length });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// ftyp major brands of MP4 video. HEIF images, QuickTime and 3GP share the box layout but are not accepted.
+const MP4_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'mmp4', 'MSNV'];
+
+const isMp4 = (buffer) => buffer.length >= 12 &&
+    buffer.toString('latin1', 4, 8) === 'ftyp' &&
+    buffer.readUInt32BE(0) >= 16 &&
+    MP4_BRANDS.includes(buffer.toString('latin1', 8, 12));
+
+// Identifies a file from its leading bytes. Returns a FILE_TYPES key or null.
+export function detectFileType(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+    if (buffer.toString('latin1', 0, 6) === 'GIF87a' || buffer.toString('latin1', 0, 6) === 'GIF89a') return 'gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+    if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'doc';
+    if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+        // DOCX is a zip whose entries live under word/
+        return buffer.includes('[Content_Types].xml') && buffer.includes('word/') ? 'docx' : 'zip';
+    }
+    if (isMp4(buffer)) return 'mp4';
+    if (looksLikeText(buffer)) return 'txt';
+    return null;
+}
+
+// Reads width/height from an image header without decoding it. Returns null if the header is unreadable.
+export function imageDimensions(buffer, type) {
+    try {
+        if (type === 'png') {
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+        if (type === 'gif') {
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+        if (type === 'webp') {
+            const chunk = buffer.toString('latin1', 12, 16);
+            if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+            if (chunk === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+            if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+            return null;
+        }
+        if (type === 'jpeg') {
+            // Walk the markers until a start-of-frame segment, which carries the dimensions
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xff) return null;
+                const marker = buffer[offset + 1];
+                const length = buffer.readUInt16BE(offset + 2);
+                const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+                if (isStartOfFrame) {
+                    return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+                }
+                offset += 2 + length;
+            }
+        }
+    } catch {
+        return null;
+    }
+    return null;
+}
+
+// Strips directories and anything outside a conservative character set, and gives the name the detected extension.
+export function sanitizeFilename(originalName, type) {
+    const base = path.basename(String(originalName || 'file').replace(/\\/g, '/'), path.extname(String(originalName || '')));
+    const cleaned = base
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._ -]+/g, '_')
+        .replace(/^[.\s_-]+/, '')
+        .trim()
+        .slice(0, MAX_FILENAME_LENGTH - 10);
+    return `${cleaned || 'file'}${FILE_TYPES[type].ext}`;
+}
+
+// --- Scanners ---
+// A scanner is { name, scan(buffer, { filename }) => Promise<{ clean, signature? }> }.
+
+// EICAR is the standard antivirus test file; the stub flags it so the quarantine path can be exercised without ClamAV.
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+export const stubScanner = {
+    name: 'stub',
+    async scan(buffer) {
+        return buffer.includes(EICAR_SIGNATURE) ? { clean: false, signature: 'Eicar-Test-Signature' } : { clean: true };
+    }
+};
+
+// Talks to a clamd daemon (or anything speaking its INSTREAM protocol) over TCP.
+export function createClamdScanner({ host = '127.0.0.1', port = 3310, timeoutMs = 10000 } = {}) {
+    return {
+        name: 'clamd',
+        scan(buffer) {
+            return new Promise((resolve, reject) => {
+                const socket = net.createConnection({ host, port });
+                let response = '';
+
+                socket.setTimeout(timeoutMs, () => socket.destroy(new Error('clamd scan timed out')));
+                socket.on('error', reject);
+                socket.on('data', chunk => { response += chunk.toString(); });
+                socket.on('end', () => {
+                    const result = response.replace(/\0/g, '').trim();
+                    if (result.endsWith('OK')) return resolve({ clean: true });
+                    const found = result.match(/:\s*(.+)\s+FOUND$/);
+                    if (found) return resolve({ clean: false, signature: found[1] });
+                    reject(new Error(`Unexpected clamd response: ${result}`));
+                });
+
+                socket.on('connect', () => {
+                    socket.write('zINSTREAM\0');
+                    const chunkSize = 64 * 1024;
+                    for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+                        const chunk = buffer.subarray(offset, offset + chunkSize);
+                        const size = Buffer.alloc(4);
+                        size.writeUInt32BE(chunk.length);
+                        socket.write(size);
+                        socket.write(chunk);
+                    }
+                    socket.end(Buffer.alloc(4));
+                });
+            });
+        }
+    };
+}
+
+let activeScanner = process.env.CLAMD_HOST
+    ? createClamdScanner({ host: process.env.CLAMD_HOST, port: Number(process.env.CLAMD_PORT) || 3310 })
+    : stubScanner;
+
+// Swaps the scanner used for all uploads (e.g. a hosted scanning service).
+export function setUploadScanner(scanner) {
+    activeScanner = scanner;
+}
+
+// Keeps a copy of a rejected file out of the public buckets for later review.
+async function quarantineFile(supabase, file, { purpose, userId, signature }) {
+    const quarantinePath = `${purpose}/${userId || 'anonymous'}/${uuidv4()}`;
+    const { error } = await supabase.storage
+        .from(QUARANTINE_BUCKET)
+        .upload(quarantinePath, file.buffer, { contentType: 'application/octet-stream' });
+
+    if (error) {
+        console.error('Failed to quarantine rejected upload:', error);
+    } else {
+        console.warn(`Quarantined upload "${file.originalname}" from ${userId} (${signature}) at ${QUARANTINE_BUCKET}/${quarantinePath}`);
+    }
+}
+
+// Bytes buffered so far for each in-flight request, across all of its files
+const bufferedBytes = new WeakMap();
+
+// Multer memory storage that also enforces a combined limit for all files of one request while streaming,
+// so ten 25 MB chat attachments are refused at 50 MB instead of after all of them have been buffered.
+function cappedMemoryStorage(maxTotalBytes) {
+    return {
+        _handleFile(req, file, cb) {
+            const chunks = [];
+            let size = 0;
+            let done = false;
+            const finish = (error, info) => {
+                if (done) return;
+                done = true;
+                cb(error, info);
+            };
+
+            file.stream.on('data', (chunk) => {
+                if (done) return;
+                const total = (bufferedBytes.get(req) || 0) + chunk.length;
+                bufferedBytes.set(req, total);
+                if (total > maxTotalBytes) {
+                    chunks.length = 0;
+                    return finish(Object.assign(
+                        new Error(`Attachments can total at most ${Math.round(maxTotalBytes / MB)} MB per message.`),
+                        { code: 'LIMIT_TOTAL_SIZE' }
+                    ));
+                }
+                chunks.push(chunk);
+                size += chunk.length;
+            });
+            file.stream.on('error', finish);
+            file.stream.on('end', () => finish(null, { buffer: Buffer.concat(chunks, size), size }));
+        },
+        _removeFile(req, file, cb) {
+            delete file.buffer;
+            cb(null);
+        }
+    };
+}
+
+// Multer instance with the purpose's size and count limits applied while streaming.
+export function createUpload(purpose) {
+    const policy = UPLOAD_POLICIES[purpose];
+    return multer({
+        storage: policy.maxTotalBytes ? cappedMemoryStorage(policy.maxTotalBytes) : multer.memoryStorage(),
+        limits: { fileSize: policy.maxBytes, files: policy.maxFiles }
+    });
+}
+
+// Wraps a multer middleware so limit violations come back as 4xx JSON instead of reaching the 500 handler.
+export function withUploadErrors(middleware) {
+    return (req, res, next) => {
+        middleware(req, res, (err) => {
+            if (!err) return next();
+            if (err instanceof multer.MulterError) {
+                const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return res.status(status).json({ code: err.code, error: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large.' : err.message });
+            }
+            if (err.code === 'LIMIT_TOTAL_SIZE') {
+                return res.status(413).json({ code: err.code, error: err.message });
+            }
+            next(err);
+        });
+    };
+}
+
+// Checks one uploaded file against a purpose's policy.
+// Returns { file, extension } with a sanitized name and detected mimetype, or { status, code, error }.
+export async function inspectUpload(supabase, file, purpose, { userId } = {}) {
+    const policy = UPLOAD_POLICIES[purpose];
+
+    if (!file || !file.buffer || file.buffer.length === 0) {
+        return { status: 400, code: 'EMPTY_FILE', error: 'Uploaded file is empty.' };
+    }
+    if (file.buffer.length > policy.maxBytes) {
+        return { status: 413, code: 'FILE_TOO_LARGE', error: `"${file.originalname}" exceeds the ${Math.round(policy.maxBytes / MB)} MB limit.` };
+    }
+
+    const type = detectFileType(file.buffer);
+    if (!type || !policy.types.includes(type)) {
+        const allowed = policy.types.map(allowedType => FILE_TYPES[allowedType].ext).join(', ');
+        return { status: 415, code: 'UNSUPPORTED_FILE_TYPE', error: `"${file.originalname}" is not an allowed file type. Allowed: ${allowed}.` };
+    }
+
+    if (policy.dimensions) {
+        const dimensions = imageDimensions(file.buffer, type);
+        const { minWidth, minHeight, maxWidth, maxHeight } = policy.dimensions;
+        if (!dimensions) {
+            return { status: 422, code: 'UNREADABLE_IMAGE', error: `"${file.originalname}" is not a readable image.` };
+        }
+        if (dimensions.width < minWidth || dimensions.height < minHeight || dimensions.width > maxWidth || dimensions.height > maxHeight) {
+            return {
+                status: 422,
+                code: 'INVALID_IMAGE_DIMENSIONS',
+                error: `Image must be between ${minWidth}x${minHeight} and ${maxWidth}x${maxHeight} pixels.`
+            };
+        }
+    }
+
+    let scanResult;
+    try {
+        scanResult = await activeScanner.scan(file.buffer, { filename: file.originalname });
+    } catch (scanError) {
+        console.error(`Upload scanner "${activeScanner.name}" failed:`, scanError);
+        return { status: 503, code: 'SCAN_UNAVAILABLE', error: 'File scanning is temporarily unavailable. Please try again later.' };
+    }
+
+    if (!scanResult.clean) {
+        await quarantineFile(supabase, file, { purpose, userId, signature: scanResult.signature });
+        return { status: 422, code: 'FILE_REJECTED', error: `"${file.originalname}" was rejected by the file scanner.` };
+    }
+
+    return {
+        file: { ...file, originalname: sanitizeFilename(file.originalname, type), mimetype: FILE_TYPES[type].mime },
+        extension: FILE_TYPES[type].ext
+    };
+}